@@ -6,7 +6,7 @@
 // ═══════════════════════════════════════════════════════════════
 
 import { Ionicons } from '@expo/vector-icons';
-import { useLocalSearchParams } from 'expo-router';
+import { router, useLocalSearchParams } from 'expo-router';
 import { useEffect, useState } from 'react';
 import {
   ActivityIndicator,
@@ -17,15 +17,46 @@ import {
   TouchableOpacity,
   View,
 } from 'react-native';
+import AmortizationTable from '../../components/AmortizationTable';
 import RiskChart from '../../components/RiskChart';
+import { formatCacheAge } from '../../services/AiDecisionCache';
 import CreditScoreCalculator from '../../services/CreditScoreCalculator';
 import FirebaseService from '../../services/FirebaseService';
+import { setAdvisorContext } from '../../services/LoanAdvisor';
 import LoanDecisionService from '../../services/LoanDecisionService';
+import { routeApplication } from '../../services/SegmentRouter';
 import UserFinancialProfile from '../../services/UserFinancialProfile';
 import COLORS from '../../utils/colors';
 
 const screenWidth = Dimensions.get('window').width;
 
+const ENSEMBLE_MODE_LABELS = {
+  'weighted':   'Weighted blend',
+  'rules-veto': 'Rules veto',
+  'ai-veto':    'AI veto',
+};
+
+// Why the AI answer was not used (decision.aiFallback.reason)
+const AI_FALLBACK_LABELS = {
+  'not-configured': 'AI not configured',
+  'timeout':        'AI timed out',
+  'http':           'AI service error',
+  'network':        'AI unreachable',
+  'empty':          'AI returned nothing',
+  'circuit-open':   'AI paused after repeated failures',
+  'parse':          'AI reply unreadable',
+  'guardrail':      'AI output rejected',
+  'error':          'AI unavailable',
+  'disabled':       'AI turned off in Settings',
+};
+
+const describeAiFallback = (fallback) => {
+  if (!fallback) return null;
+  if (fallback.status === 429) return 'AI request limit reached';
+  const label = AI_FALLBACK_LABELS[fallback.reason] || AI_FALLBACK_LABELS.error;
+  return fallback.status ? `${label} (HTTP ${fallback.status})` : label;
+};
+
 // ── FIX: Same pure-JS XOR cipher as financial.js ───────────────
 // crypto-js requires native crypto APIs not available in Expo Go.
 // Must match the key used in financial.js exactly.
@@ -60,6 +91,28 @@ const decryptAES = (ciphertext) => {
   return xorDecrypt(ciphertext, SECRET_KEY);
 };
 
+// Income sources / credit facilities are stored as one JSON string — [] if missing/corrupt
+const parseStoredList = (raw) => {
+  if (!raw) return [];
+  try {
+    const list = JSON.parse(raw);
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+// Expense categories are stored as one JSON object — {} if missing/corrupt
+const parseStoredObject = (raw) => {
+  if (!raw) return {};
+  try {
+    const obj = JSON.parse(raw);
+    return obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : {};
+  } catch {
+    return {};
+  }
+};
+
 // Safe parse: returns a number or 0, never NaN
 const safeNum = (val) => {
   const n = parseFloat(val);
@@ -143,7 +196,8 @@ const CreditScoreScreen = () => {
 
   useEffect(() => { loadAndCalculate(); }, []);
 
-  const loadAndCalculate = async () => {
+  // force → ask the AI again instead of reusing the cached assessment
+  const loadAndCalculate = async ({ force = false } = {}) => {
     try {
       const user = FirebaseService.getCurrentUser();
       if (user) {
@@ -159,16 +213,21 @@ const CreditScoreScreen = () => {
               financialProfile: {
                 hasData:             true,
                 income:              params.freshIncome,
+                incomeSources:       params.freshIncomeSources,
                 expenses:            params.freshExpenses,
+                expenseCategories:   params.freshExpenseCategories,
+                householdSize:       params.freshHouseholdSize,
                 debts:               params.freshDebts,
+                creditFacilities:    params.freshFacilities,
                 employment:          params.freshEmployment,
                 employmentYears:     params.freshEmpYears,
                 requestedLoanAmount: params.freshLoanAmount,
+                loanTermMonths:      params.freshTermMonths,
               },
             };
-            await calculateScore(freshData, true, params.freshAge ?? null);
+            await calculateScore(freshData, true, params.freshAge ?? null, force);
           } else if (result.data.financialProfile?.hasData) {
-            await calculateScore(result.data, false, null);
+            await calculateScore(result.data, false, null, force);
           }
         }
       }
@@ -181,7 +240,7 @@ const CreditScoreScreen = () => {
 
   // alreadyDecrypted = true  → plain numbers from fresh router params
   // alreadyDecrypted = false → encoded strings from Firebase
-  const calculateScore = async (data, alreadyDecrypted = false, freshAge = null) => {
+  const calculateScore = async (data, alreadyDecrypted = false, freshAge = null, force = false) => {
     try {
       setAiLoading(true);
 
@@ -189,24 +248,35 @@ const CreditScoreScreen = () => {
       const fp  = data.financialProfile;
 
       const income     = alreadyDecrypted ? fp.income              : decryptAES(fp.income);
+      const sources    = alreadyDecrypted ? fp.incomeSources       : decryptAES(fp.incomeSources);
       const expenses   = alreadyDecrypted ? fp.expenses            : decryptAES(fp.expenses);
+      const categories = alreadyDecrypted ? fp.expenseCategories   : decryptAES(fp.expenseCategories);
+      const household  = alreadyDecrypted ? fp.householdSize       : decryptAES(fp.householdSize);
       const debts      = alreadyDecrypted ? fp.debts               : decryptAES(fp.debts);
+      const facilities = alreadyDecrypted ? fp.creditFacilities    : decryptAES(fp.creditFacilities);
       const empYears   = alreadyDecrypted ? fp.employmentYears     : decryptAES(fp.employmentYears);
       const loanAmount = alreadyDecrypted ? fp.requestedLoanAmount : decryptAES(fp.requestedLoanAmount);
+      const termMonths = alreadyDecrypted ? fp.loanTermMonths      : decryptAES(fp.loanTermMonths);
 
       const userProfile = new UserFinancialProfile({
         monthlyIncome:       safeNum(income),
+        incomeSources:       parseStoredList(sources),
         monthlyExpenses:     safeNum(expenses),
+        expenseCategories:   parseStoredObject(categories),
+        householdSize:       safeNum(household),
         existingDebts:       safeNum(debts),
+        creditFacilities:    parseStoredList(facilities),
         age,
         employmentType:      fp.employment,
         employmentYears:     safeNum(empYears),
         requestedLoanAmount: safeNum(loanAmount),
+        loanTermMonths:      safeNum(termMonths),
       });
 
       setProfile(userProfile);
 
-      const calculator = new CreditScoreCalculator();
+      // Same segment scorecard the decision service will use
+      const calculator = new CreditScoreCalculator(routeApplication(userProfile).strategy);
       const ruleScore  = calculator.calculateScore(userProfile);
 
       const correctedRuleScore = {
@@ -216,18 +286,27 @@ const CreditScoreScreen = () => {
       };
       setScoreResult(correctedRuleScore);
 
+      // AI processing can be turned off under Settings → rules only, nothing is sent
+      const aiEnabled = data.appSettings?.aiProcessing !== false;
       const decisionService = new LoanDecisionService();
-      const decision = await decisionService.makeDecision(userProfile);
+      const authToken = aiEnabled ? await FirebaseService.getIdToken() : null;
+      const decision = await decisionService.makeDecision(userProfile, { force, authToken, aiEnabled });
       setLoanDecision(decision);
       setAiSource(decision.source);
+      // The advisor chat answers questions about this decision
+      setAdvisorContext({ profile: userProfile, decision, aiEnabled });
 
-      if (decision.source === 'openai' && decision.score) {
+      // AI + rules ensemble: show the combined score; the components stay on the decision
+      if (decision.source === 'ensemble' && decision.score) {
         setScoreResult({
           ...correctedRuleScore,
           score:     decision.score,
+          probabilityOfDefault: decision.probabilityOfDefault,
           riskLevel: getRiskLevelFromScore(decision.score),
           rating:    getRatingFromScore(decision.score),
           breakdown: decision.breakdown || correctedRuleScore?.breakdown,
+          // The rule ledger explains the rule score, not the AI's
+          ledger:    decision.ledger || null,
         });
       }
     } catch (error) {
@@ -275,15 +354,53 @@ const CreditScoreScreen = () => {
       {/* ── Header ──────────────────────────────────────────── */}
       <View style={styles.header}>
         <Text style={styles.title}>Credit Score Analysis</Text>
-        <View style={styles.sourceTag}>
-          <Ionicons
-            name={aiSource === 'openai' ? 'sparkles' : 'calculator-outline'}
-            size={12}
-            color={aiSource === 'openai' ? '#2ECC71' : '#F39C12'}
-          />
-          <Text style={[styles.sourceText, { color: aiSource === 'openai' ? '#2ECC71' : '#F39C12' }]}>
-            {aiSource === 'openai' ? 'AI-Powered (GPT-4)' : 'Rule-Based Analysis'}
-          </Text>
+        <View style={styles.tagRow}>
+          <View style={styles.sourceTag}>
+            <Ionicons
+              name={aiSource === 'ensemble' ? 'sparkles' : 'calculator-outline'}
+              size={12}
+              color={aiSource === 'ensemble' ? '#2ECC71' : '#F39C12'}
+            />
+            <Text style={[styles.sourceText, { color: aiSource === 'ensemble' ? '#2ECC71' : '#F39C12' }]}>
+              {aiSource === 'ensemble'
+                ? `AI (${loanDecision?.aiModel || 'LLM'}) + Rules · ${ENSEMBLE_MODE_LABELS[loanDecision?.ensemble?.mode] || 'Ensemble'}`
+                : ['Rule-Based Analysis', describeAiFallback(loanDecision?.aiFallback)].filter(Boolean).join(' · ')}
+            </Text>
+          </View>
+          {loanDecision?.guardrails?.length > 0 && (
+            <View style={styles.sourceTag}>
+              <Ionicons name="shield-checkmark-outline" size={12} color="#B45309" />
+              <Text style={[styles.sourceText, { color: '#B45309' }]}>
+                {aiSource === 'ensemble'
+                  ? `${loanDecision.guardrails.length} AI guardrail${loanDecision.guardrails.length === 1 ? '' : 's'} applied`
+                  : 'AI output rejected by guardrails'}
+              </Text>
+            </View>
+          )}
+          {loanDecision?.aiCache?.hit && (
+            <View style={styles.sourceTag}>
+              <Ionicons name="time-outline" size={12} color="#6B7280" />
+              <Text style={[styles.sourceText, { color: '#6B7280' }]}>
+                Cached AI analysis · {formatCacheAge(loanDecision.aiCache.ageMs)}
+              </Text>
+            </View>
+          )}
+          {loanDecision?.promptVersion && (
+            <View style={styles.sourceTag}>
+              <Ionicons name="document-text-outline" size={12} color="#6B7280" />
+              <Text style={[styles.sourceText, { color: '#6B7280' }]}>
+                Prompt v{loanDecision.promptVersion}
+              </Text>
+            </View>
+          )}
+          {loanDecision?.segment && (
+            <View style={styles.sourceTag}>
+              <Ionicons name="people-outline" size={12} color="#6B7280" />
+              <Text style={[styles.sourceText, { color: '#6B7280' }]}>
+                {loanDecision.segment.name} segment · {loanDecision.strategy} scorecard
+              </Text>
+            </View>
+          )}
         </View>
       </View>
 
@@ -308,6 +425,42 @@ const CreditScoreScreen = () => {
             {scoreResult.score}
           </Text>
           <Text style={styles.scoreRating}>{scoreResult.rating}</Text>
+          {scoreResult.probabilityOfDefault != null && (
+            <Text style={styles.scorePd}>
+              Estimated default probability: {(scoreResult.probabilityOfDefault * 100).toFixed(1)}%
+            </Text>
+          )}
+
+          {loanDecision?.componentScores && (
+            <View style={styles.componentRow}>
+              {[
+                { key: 'ai',    label: 'AI score',   icon: 'sparkles-outline' },
+                { key: 'rules', label: 'Rule score', icon: 'calculator-outline' },
+              ].map(({ key, label, icon }) => {
+                const component = loanDecision.componentScores[key];
+                const vetoed    = loanDecision.ensemble?.vetoedBy && loanDecision.ensemble.vetoedBy !== key;
+                return (
+                  <View key={key} style={styles.componentItem}>
+                    <Ionicons name={icon} size={14} color="#6B7280" />
+                    <Text style={styles.componentLabel}>{label}</Text>
+                    <Text style={styles.componentValue}>{component.score}</Text>
+                    <Text style={[styles.componentVerdict, { color: component.approved ? '#2ECC71' : '#E74C3C' }]}>
+                      {component.approved ? 'Approve' : 'Decline'}{vetoed ? ' · vetoed' : ''}
+                    </Text>
+                  </View>
+                );
+              })}
+            </View>
+          )}
+
+          {loanDecision?.needsReview && (
+            <View style={styles.reviewBanner}>
+              <Ionicons name="eye-outline" size={16} color="#B45309" />
+              <Text style={styles.reviewText}>
+                Needs manual review — {loanDecision.reviewReasons.join('; ')}
+              </Text>
+            </View>
+          )}
 
           <View style={styles.scoreBar}>
             <View style={[
@@ -441,6 +594,7 @@ const CreditScoreScreen = () => {
               <View style={styles.breakdownLeft}>
                 <Text style={styles.breakdownLabel}>{item.label}</Text>
                 <Text style={styles.breakdownValue}>{item.value}</Text>
+                {item.note ? <Text style={styles.breakdownNote}>{item.note}</Text> : null}
                 {item.score != null && item.maxScore != null && (
                   <Text style={styles.breakdownScore}>{item.score}/{item.maxScore} pts</Text>
                 )}
@@ -453,6 +607,30 @@ const CreditScoreScreen = () => {
         </View>
       )}
 
+      {/* ── Score Ledger (rule-based points per factor) ─────── */}
+      {scoreResult?.ledger?.length > 0 && (
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>How Your Score Was Built</Text>
+          {scoreResult.scorecardId && (
+            <Text style={styles.ledgerCaption}>
+              Scorecard {scoreResult.scorecardId} v{scoreResult.scorecardVersion}
+            </Text>
+          )}
+          {scoreResult.ledger.map((entry) => (
+            <View key={entry.factor} style={styles.breakdownItem}>
+              <View style={styles.breakdownLeft}>
+                <Text style={styles.breakdownLabel}>{entry.label} · {entry.code}</Text>
+                <Text style={styles.breakdownValue}>{entry.value}</Text>
+              </View>
+              <Text style={[styles.ledgerPoints, { color: entry.points < 0 ? '#E74C3C' : '#2C2C2C' }]}>
+                {entry.points > 0 ? '+' : ''}{entry.points}
+                {entry.maxPoints > 0 ? ` / ${entry.maxPoints}` : ''}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+
       {/* ── Approved: Loan recommendation ───────────────────── */}
       {loanDecision?.approved && loanDecision.recommendations?.length > 0 && (
         <View style={styles.card}>
@@ -473,6 +651,11 @@ const CreditScoreScreen = () => {
                       : rec.interestRate}
                   </Text>
                   <Text style={styles.loanDetail}>Term: {rec.term}</Text>
+                  {rec.monthlyInstallment > 0 && (
+                    <Text style={styles.loanDetail}>
+                      Installment: EGP {rec.monthlyInstallment.toLocaleString()}/mo
+                    </Text>
+                  )}
                 </View>
                 {rec.notes && <Text style={styles.loanNote}>{rec.notes}</Text>}
                 {rec.suitability && (
@@ -486,6 +669,35 @@ const CreditScoreScreen = () => {
         </View>
       )}
 
+      {/* ── Approved: Amortization schedule ─────────────────── */}
+      {loanDecision?.approved && loanDecision.loanOffer && (
+        <AmortizationTable offer={loanDecision.loanOffer} />
+      )}
+
+      {/* ── Declined: Path to approval ──────────────────────── */}
+      {!loanDecision?.approved && (loanDecision?.pathToApproval?.suggestions.length > 0
+        || loanDecision?.pathToApproval?.blockers.length > 0) && (
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Path to Approval</Text>
+          {loanDecision.pathToApproval.suggestions.map((s, i) => (
+            <View key={i} style={styles.improvementItem}>
+              <Ionicons name="git-branch-outline" size={18} color="#2ECC71" />
+              <View style={{ flex: 1 }}>
+                <Text style={styles.improvementTitle}>{s.title}</Text>
+                <Text style={styles.improvementDesc}>{s.description}</Text>
+                <Text style={styles.pathScore}>Projected score: {s.projectedScore}</Text>
+              </View>
+            </View>
+          ))}
+          {loanDecision.pathToApproval.blockers.map((b, i) => (
+            <View key={`b${i}`} style={styles.improvementItem}>
+              <Ionicons name="lock-closed-outline" size={18} color="#E74C3C" />
+              <Text style={[styles.improvementDesc, { flex: 1 }]}>{b}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+
       {/* ── Declined: Improvement tips ───────────────────────── */}
       {!loanDecision?.approved && loanDecision?.recommendations?.length > 0 && (
         <View style={styles.card}>
@@ -527,10 +739,50 @@ const CreditScoreScreen = () => {
         </View>
       )}
 
+      {/* ── Ask the advisor ─────────────────────────────────── */}
+      {profile && loanDecision && (
+        <TouchableOpacity
+          style={styles.recalcButton}
+          onPress={() => router.push('/main/LoanAdvisor')}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="chatbubbles-outline" size={18} color="#0A2540" />
+          <Text style={styles.recalcText}>Ask the Loan Advisor</Text>
+        </TouchableOpacity>
+      )}
+
+      {/* ── Compare strategies ───────────────────────────────── */}
+      {profile && (
+        <TouchableOpacity
+          style={styles.recalcButton}
+          onPress={() => router.push({
+            pathname: '/main/StrategyComparison',
+            params:   { profile: JSON.stringify(profile) },
+          })}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="git-compare-outline" size={18} color="#0A2540" />
+          <Text style={styles.recalcText}>Compare Scoring Strategies</Text>
+        </TouchableOpacity>
+      )}
+
+      {/* ── Re-analyze button (skips the cached AI assessment) ── */}
+      {loanDecision?.aiCache?.hit && (
+        <TouchableOpacity
+          style={styles.recalcButton}
+          onPress={() => loadAndCalculate({ force: true })}
+          disabled={aiLoading}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="sparkles-outline" size={18} color="#0A2540" />
+          <Text style={styles.recalcText}>{aiLoading ? 'Re-analyzing...' : 'Re-analyze with AI'}</Text>
+        </TouchableOpacity>
+      )}
+
       {/* ── Recalculate button ───────────────────────────────── */}
       <TouchableOpacity
         style={styles.recalcButton}
-        onPress={loadAndCalculate}
+        onPress={() => loadAndCalculate()}
         activeOpacity={0.8}
       >
         <Ionicons name="refresh-outline" size={18} color="#0A2540" />
@@ -576,6 +828,7 @@ const styles = StyleSheet.create({
 
   header:     { marginBottom: 16, marginTop: 10 },
   title:      { fontSize: 26, fontWeight: 'bold', color: '#2C2C2C' },
+  tagRow:     { flexDirection: 'row', flexWrap: 'wrap', columnGap: 12 },
   sourceTag:  { flexDirection: 'row', alignItems: 'center', marginTop: 4, gap: 4 },
   sourceText: { fontSize: 12, fontWeight: '600' },
 
@@ -596,6 +849,14 @@ const styles = StyleSheet.create({
   scoreLabel:        { fontSize: 13, color: '#6B7280', marginBottom: 8 },
   scoreValue:        { fontSize: 72, fontWeight: 'bold', marginBottom: 6 },
   scoreRating:       { fontSize: 18, fontWeight: '600', color: '#2C2C2C', marginBottom: 16 },
+  scorePd:           { fontSize: 12, color: '#6B7280', marginTop: -10, marginBottom: 16 },
+  componentRow:      { flexDirection: 'row', justifyContent: 'center', gap: 12, marginBottom: 14 },
+  componentItem:     { flex: 1, alignItems: 'center', backgroundColor: '#F9FAFB', borderRadius: 10, paddingVertical: 8 },
+  componentLabel:    { fontSize: 11, color: '#6B7280', marginTop: 2 },
+  componentValue:    { fontSize: 20, fontWeight: '700', color: '#1F2937' },
+  componentVerdict:  { fontSize: 11, fontWeight: '600' },
+  reviewBanner:      { flexDirection: 'row', alignItems: 'center', gap: 8, backgroundColor: '#FFFBEB', borderRadius: 10, padding: 10, marginBottom: 14 },
+  reviewText:        { flex: 1, fontSize: 12, color: '#B45309' },
   scoreBar:          { width: '100%', height: 8, backgroundColor: '#F0F0F0', borderRadius: 4, overflow: 'hidden', marginBottom: 8 },
   scoreProgress:     { height: '100%', borderRadius: 4 },
   scoreRange:        { flexDirection: 'row', justifyContent: 'space-between', width: '100%', marginBottom: 16 },
@@ -624,8 +885,11 @@ const styles = StyleSheet.create({
   breakdownLeft:  { flex: 1 },
   breakdownLabel: { fontSize: 12, color: '#6B7280', marginBottom: 3 },
   breakdownValue: { fontSize: 15, fontWeight: '600', color: '#2C2C2C' },
+  breakdownNote:  { fontSize: 11, color: '#B45309', marginTop: 3 },
   breakdownScore: { fontSize: 11, color: '#9CA3AF', marginTop: 2 },
   impactBadge:    { paddingHorizontal: 10, paddingVertical: 4, borderRadius: 10 },
+  ledgerPoints:   { fontSize: 14, fontWeight: '700' },
+  ledgerCaption:  { fontSize: 11, color: '#9CA3AF', marginTop: -10, marginBottom: 6 },
   impactText:     { fontSize: 11, fontWeight: '600', color: '#2C2C2C' },
 
   loanOption:       { flexDirection: 'row', backgroundColor: '#F8FAFC', borderRadius: 12, padding: 14, marginBottom: 12 },
@@ -644,6 +908,7 @@ const styles = StyleSheet.create({
   improvementHeader: { flexDirection: 'row', alignItems: 'center', marginBottom: 4 },
   improvementTitle:  { fontSize: 14, fontWeight: '600', color: '#2C2C2C', flex: 1 },
   improvementDesc:   { fontSize: 13, color: '#6B7280', lineHeight: 18 },
+  pathScore:         { fontSize: 12, color: '#2ECC71', fontWeight: '600', marginTop: 4 },
 
   reasonItem: { flexDirection: 'row', alignItems: 'flex-start', marginBottom: 12, gap: 10 },
   reasonText: { flex: 1, fontSize: 13, color: '#0A2540', lineHeight: 20 },
@@ -13,7 +13,9 @@ import {
   TouchableOpacity,
   View,
 } from 'react-native';
+import { EXPENSE_CATEGORIES, INCOME_FREQUENCIES, INCOME_SOURCE_TYPES } from '../../config/lendingPolicy';
 import FirebaseService from '../../services/FirebaseService';
+import UserFinancialProfile, { CREDIT_FACILITY_TYPES } from '../../services/UserFinancialProfile';
 
 // ── Encryption Configuration ────────────────────────────────────
 // FIX: crypto-js uses window.crypto / native crypto APIs that are
@@ -218,22 +220,200 @@ const CustomInput = ({
   );
 };
 
+// ── Income sources ─────────────────────────────────────────────
+const EMPTY_INCOME_SOURCE = { type: 'salary', amount: '', frequency: 'monthly' };
+
+const INCOME_TYPE_OPTIONS = Object.entries(INCOME_SOURCE_TYPES).map(([value, t]) => ({ value, label: t.label }));
+const FREQUENCY_OPTIONS   = Object.entries(INCOME_FREQUENCIES).map(([value, f]) => ({ value, label: f.label }));
+
+// Declared (pre-haircut) monthly equivalent of one source
+const toMonthlyAmount = (src) =>
+  (parseFloat(src.amount) || 0) / (INCOME_FREQUENCIES[src.frequency]?.months || 1);
+
+const toIncomeSourceForm = (src) => ({
+  type:      INCOME_SOURCE_TYPES[src.type] ? src.type : EMPTY_INCOME_SOURCE.type,
+  amount:    src.amount ? String(src.amount) : '',
+  frequency: INCOME_FREQUENCIES[src.frequency] ? src.frequency : EMPTY_INCOME_SOURCE.frequency,
+});
+
+const ChipGroup = ({ options, selected, onSelect }) => (
+  <View style={styles.chipRow}>
+    {options.map(o => (
+      <TouchableOpacity
+        key={o.value}
+        style={[styles.chip, selected === o.value && styles.chipActive]}
+        onPress={() => onSelect(o.value)}
+        activeOpacity={0.7}
+      >
+        <Text style={[styles.chipText, selected === o.value && styles.chipTextActive]}>{o.label}</Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+const IncomeSourceCard = ({ index, source, error, canRemove, onChange, onRemove }) => {
+  const haircut = INCOME_SOURCE_TYPES[source.type]?.haircut || 0;
+  return (
+    <View style={styles.facilityCard}>
+      <View style={styles.facilityHeader}>
+        <Text style={styles.facilityTitle}>Income Source {index + 1}</Text>
+        {canRemove && (
+          <TouchableOpacity onPress={onRemove} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+            <Ionicons name="trash-outline" size={18} color={THEME.error} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <ChipGroup options={INCOME_TYPE_OPTIONS} selected={source.type}      onSelect={(v) => onChange('type', v)} />
+      <ChipGroup options={FREQUENCY_OPTIONS}   selected={source.frequency} onSelect={(v) => onChange('frequency', v)} />
+
+      <CustomInput
+        placeholder="Amount per payment (EGP)"
+        value={source.amount}
+        onChangeText={(t) => onChange('amount', t)}
+        keyboardType="decimal-pad"
+        containerStyle={styles.facilityInput}
+        error={error}
+      />
+      {haircut > 0 && (
+        <Text style={styles.helperText}>
+          Banks count {Math.round((1 - haircut) * 100)}% of this income when assessing affordability.
+        </Text>
+      )}
+    </View>
+  );
+};
+
+// ── Expense categories ─────────────────────────────────────────
+const EMPTY_EXPENSES = Object.keys(EXPENSE_CATEGORIES).reduce((acc, key) => ({ ...acc, [key]: '' }), {});
+
+// Stored as one encrypted JSON object — {} for missing/corrupt values
+const parseStoredObject = (raw) => {
+  if (!raw) return {};
+  try {
+    const obj = JSON.parse(raw);
+    return obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : {};
+  } catch {
+    return {};
+  }
+};
+
+const toExpenseForm = (stored) => Object.keys(EMPTY_EXPENSES).reduce((acc, key) => ({
+  ...acc, [key]: stored[key] ? String(stored[key]) : '',
+}), {});
+
+// ── Credit facilities (itemized debts) ─────────────────────────
+const EMPTY_FACILITY = {
+  type: 'personal-loan', outstandingBalance: '', monthlyInstallment: '',
+  annualRate: '', remainingMonths: '', creditLimit: '',
+};
+
+// Stored as one encrypted JSON string — returns [] for missing/corrupt values
+const parseStoredList = (raw) => {
+  if (!raw) return [];
+  try {
+    const list = JSON.parse(raw);
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+// Stored numbers → editable strings ('' for zero / missing)
+const toFacilityForm = (f) => ({
+  type:               f.type || EMPTY_FACILITY.type,
+  outstandingBalance: f.outstandingBalance ? String(f.outstandingBalance) : '',
+  monthlyInstallment: f.monthlyInstallment ? String(f.monthlyInstallment) : '',
+  annualRate:         f.annualRate         ? String(f.annualRate)         : '',
+  remainingMonths:    f.remainingMonths    ? String(f.remainingMonths)    : '',
+  creditLimit:        f.creditLimit        ? String(f.creditLimit)        : '',
+});
+
+const FacilityCard = ({ index, facility, errors, onChange, onRemove }) => {
+  const isCard = facility.type === 'credit-card';
+  return (
+    <View style={styles.facilityCard}>
+      <View style={styles.facilityHeader}>
+        <Text style={styles.facilityTitle}>Facility {index + 1}</Text>
+        <TouchableOpacity onPress={onRemove} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+          <Ionicons name="trash-outline" size={18} color={THEME.error} />
+        </TouchableOpacity>
+      </View>
+
+      <ChipGroup options={CREDIT_FACILITY_TYPES} selected={facility.type} onSelect={(v) => onChange('type', v)} />
+
+      <CustomInput
+        placeholder="Outstanding balance (EGP)"
+        value={facility.outstandingBalance}
+        onChangeText={(t) => onChange('outstandingBalance', t)}
+        keyboardType="decimal-pad"
+        containerStyle={styles.facilityInput}
+        error={errors?.outstandingBalance}
+      />
+      <CustomInput
+        placeholder={isCard ? 'Monthly payment (optional, EGP)' : 'Monthly installment (EGP)'}
+        value={facility.monthlyInstallment}
+        onChangeText={(t) => onChange('monthlyInstallment', t)}
+        keyboardType="decimal-pad"
+        containerStyle={styles.facilityInput}
+        error={errors?.monthlyInstallment}
+      />
+      {isCard && (
+        <CustomInput
+          placeholder="Card limit (EGP)"
+          value={facility.creditLimit}
+          onChangeText={(t) => onChange('creditLimit', t)}
+          keyboardType="decimal-pad"
+          containerStyle={styles.facilityInput}
+          error={errors?.creditLimit}
+        />
+      )}
+      <View style={styles.facilityRow}>
+        <View style={{ flex: 1 }}>
+          <CustomInput
+            placeholder="Rate % p.a."
+            value={facility.annualRate}
+            onChangeText={(t) => onChange('annualRate', t)}
+            keyboardType="decimal-pad"
+            containerStyle={styles.facilityInput}
+          />
+        </View>
+        {!isCard && (
+          <View style={{ flex: 1 }}>
+            <CustomInput
+              placeholder="Months left"
+              value={facility.remainingMonths}
+              onChangeText={(t) => onChange('remainingMonths', t)}
+              keyboardType="number-pad"
+              containerStyle={styles.facilityInput}
+            />
+          </View>
+        )}
+      </View>
+    </View>
+  );
+};
+
 // ── Main Screen ─────────────────────────────────────────────────
 const FinancialInputScreen = () => {
   const router = useRouter();
 
   const [formData, setFormData] = useState({
-    monthlyIncome:       '',
-    monthlyExpenses:     '',
-    existingDebts:       '',
+    incomeSources:       [{ ...EMPTY_INCOME_SOURCE }],
+    expenseCategories:   { ...EMPTY_EXPENSES },
+    householdSize:       '1',
+    creditFacilities:    [],
     employmentType:      'permanent',
     employmentYears:     '',
     requestedLoanAmount: '',
+    loanTermMonths:      '60',
   });
 
   const [loading,  setLoading]  = useState(false);
   const [errors,   setErrors]   = useState({});
   const [userData, setUserData] = useState(null);
+  // Single expense total saved before categories existed — shown as a hint
+  const [legacyExpenses, setLegacyExpenses] = useState('');
 
   useEffect(() => { loadExistingData(); }, []);
 
@@ -244,13 +424,21 @@ const FinancialInputScreen = () => {
         const result = await FirebaseService.getUserData(user.uid);
         if (result.success && result.data.financialProfile?.hasData) {
           const fp = result.data.financialProfile;
+          // Profiles saved before itemized income carry a single monthly figure
+          const storedSources = parseStoredList(decryptAES(fp.incomeSources));
+          const legacyIncome  = decryptAES(fp.income);
+          if (!fp.expenseCategories) setLegacyExpenses(decryptAES(fp.expenses));
           setFormData({
-            monthlyIncome:       decryptAES(fp.income)              || '',
-            monthlyExpenses:     decryptAES(fp.expenses)            || '',
-            existingDebts:       decryptAES(fp.debts)               || '',
+            incomeSources:       storedSources.length
+              ? storedSources.map(toIncomeSourceForm)
+              : [{ ...EMPTY_INCOME_SOURCE, amount: legacyIncome || '' }],
+            expenseCategories:   toExpenseForm(parseStoredObject(decryptAES(fp.expenseCategories))),
+            householdSize:       decryptAES(fp.householdSize)       || '1',
+            creditFacilities:    parseStoredList(decryptAES(fp.creditFacilities)).map(toFacilityForm),
             employmentType:      fp.employment                      || 'permanent',
             employmentYears:     decryptAES(fp.employmentYears)     || '',
             requestedLoanAmount: decryptAES(fp.requestedLoanAmount) || '',
+            loanTermMonths:      decryptAES(fp.loanTermMonths)      || '60',
           });
         }
         setUserData(result.data);
@@ -270,17 +458,121 @@ const FinancialInputScreen = () => {
     if (errors[field]) setErrors(prev => ({ ...prev, [field]: '' }));
   };
 
+  const updateExpense = (key, value) => {
+    const clean = value.replace(/[^0-9.]/g, '');
+    setFormData(prev => ({ ...prev, expenseCategories: { ...prev.expenseCategories, [key]: clean } }));
+    if (errors.expenses) setErrors(prev => ({ ...prev, expenses: '' }));
+  };
+
+  // Numeric categories (non-zero only) + declared total (kept in `expenses` for older screens)
+  const getExpensePayload = () => {
+    const categories = Object.entries(formData.expenseCategories).reduce((acc, [key, v]) => {
+      const amount = parseFloat(v) || 0;
+      if (amount > 0) acc[key] = amount;
+      return acc;
+    }, {});
+    const totalExpenses = Object.values(categories).reduce((sum, v) => sum + v, 0);
+    return { categories, totalExpenses: String(totalExpenses) };
+  };
+
+  const addIncomeSource = () => {
+    setFormData(prev => ({ ...prev, incomeSources: [...prev.incomeSources, { ...EMPTY_INCOME_SOURCE }] }));
+  };
+
+  const removeIncomeSource = (index) => {
+    setFormData(prev => ({ ...prev, incomeSources: prev.incomeSources.filter((_, i) => i !== index) }));
+    setErrors(prev => ({ ...prev, incomeSources: undefined }));
+  };
+
+  const updateIncomeSource = (index, field, value) => {
+    const clean = field === 'amount' ? value.replace(/[^0-9.]/g, '') : value;
+    setFormData(prev => ({
+      ...prev,
+      incomeSources: prev.incomeSources.map((s, i) => (i === index ? { ...s, [field]: clean } : s)),
+    }));
+    if (errors.incomeSources?.[index]) {
+      setErrors(prev => ({ ...prev, incomeSources: { ...prev.incomeSources, [index]: '' } }));
+    }
+  };
+
+  // Numeric source list + declared monthly total (kept in `income` for older screens)
+  const getIncomePayload = () => {
+    const sources = formData.incomeSources
+      .map(s => ({ type: s.type, amount: parseFloat(s.amount) || 0, frequency: s.frequency }))
+      .filter(s => s.amount > 0);
+    const totalIncome = sources.reduce((sum, s) => sum + toMonthlyAmount(s), 0);
+    return { sources, totalIncome: String(Math.round(totalIncome * 100) / 100) };
+  };
+
+  const addFacility = () => {
+    setFormData(prev => ({ ...prev, creditFacilities: [...prev.creditFacilities, { ...EMPTY_FACILITY }] }));
+  };
+
+  const removeFacility = (index) => {
+    setFormData(prev => ({ ...prev, creditFacilities: prev.creditFacilities.filter((_, i) => i !== index) }));
+    setErrors(prev => ({ ...prev, facilities: undefined }));
+  };
+
+  const updateFacility = (index, field, value) => {
+    const clean = field === 'type' ? value : value.replace(/[^0-9.]/g, '');
+    setFormData(prev => ({
+      ...prev,
+      creditFacilities: prev.creditFacilities.map((f, i) => (i === index ? { ...f, [field]: clean } : f)),
+    }));
+    if (errors.facilities?.[index]?.[field]) {
+      setErrors(prev => ({
+        ...prev,
+        facilities: { ...prev.facilities, [index]: { ...prev.facilities[index], [field]: '' } },
+      }));
+    }
+  };
+
+  // Numeric facility list + total outstanding balance (kept in `debts` for older screens)
+  const getFacilityPayload = () => {
+    const facilities = formData.creditFacilities.map(f => ({
+      type:               f.type,
+      outstandingBalance: parseFloat(f.outstandingBalance) || 0,
+      monthlyInstallment: parseFloat(f.monthlyInstallment) || 0,
+      annualRate:         parseFloat(f.annualRate)         || 0,
+      remainingMonths:    parseFloat(f.remainingMonths)    || 0,
+      creditLimit:        f.type === 'credit-card' ? parseFloat(f.creditLimit) || 0 : 0,
+    }));
+    const totalDebt = facilities.reduce((sum, f) => sum + f.outstandingBalance, 0);
+    return { facilities, totalDebt: String(totalDebt) };
+  };
+
   const validateForm = () => {
     const newErrors = {};
-    if (!formData.monthlyIncome)       newErrors.monthlyIncome       = 'Required';
-    if (!formData.monthlyExpenses)     newErrors.monthlyExpenses     = 'Required';
-    if (!formData.existingDebts)       newErrors.existingDebts       = 'Required';
+    const incomeErrors = {};
+    formData.incomeSources.forEach((s, i) => { if (!s.amount) incomeErrors[i] = 'Required'; });
+    if (Object.keys(incomeErrors).length) newErrors.incomeSources = incomeErrors;
+    if (!Object.values(formData.expenseCategories).some(v => parseFloat(v) > 0))
+      newErrors.expenses = 'Enter at least one expense category';
+    const household = parseFloat(formData.householdSize);
+    if (!formData.householdSize)       newErrors.householdSize       = 'Required';
+    else if (household < 1 || household > 20) newErrors.householdSize = 'Must be between 1 and 20';
+    const facilityErrors = {};
+    formData.creditFacilities.forEach((f, i) => {
+      const e = {};
+      if (!f.outstandingBalance) e.outstandingBalance = 'Required';
+      if (f.type !== 'credit-card' && !f.monthlyInstallment) e.monthlyInstallment = 'Required';
+      if (f.type === 'credit-card' && !f.creditLimit) e.creditLimit = 'Required';
+      if (Object.keys(e).length) facilityErrors[i] = e;
+    });
+    if (Object.keys(facilityErrors).length) newErrors.facilities = facilityErrors;
     if (!formData.employmentYears)     newErrors.employmentYears     = 'Required';
     if (!formData.requestedLoanAmount) newErrors.requestedLoanAmount = 'Required';
+    const term = parseFloat(formData.loanTermMonths);
+    if (!formData.loanTermMonths)      newErrors.loanTermMonths      = 'Required';
+    else if (term < 6 || term > 84)    newErrors.loanTermMonths      = 'Must be between 6 and 84 months';
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  const livingCostBenchmark = new UserFinancialProfile({
+    householdSize: parseFloat(formData.householdSize) || 1,
+  }).getLivingCostBenchmark();
+
   const handleSave = async () => {
     if (!validateForm()) {
       Alert.alert('Attention', 'Please complete all fields to calculate your score.');
@@ -305,13 +597,22 @@ const FinancialInputScreen = () => {
         }
       };
 
+      const { sources, totalIncome }  = getIncomePayload();
+      const { categories, totalExpenses } = getExpensePayload();
+      const { facilities, totalDebt } = getFacilityPayload();
+
       const result = await FirebaseService.saveFinancialProfile(user.uid, {
-        income:              safeEncrypt(formData.monthlyIncome),
-        expenses:            safeEncrypt(formData.monthlyExpenses),
-        debts:               safeEncrypt(formData.existingDebts),
+        income:              safeEncrypt(totalIncome),
+        incomeSources:       safeEncrypt(JSON.stringify(sources)),
+        expenses:            safeEncrypt(totalExpenses),
+        expenseCategories:   safeEncrypt(JSON.stringify(categories)),
+        householdSize:       safeEncrypt(formData.householdSize),
+        debts:               safeEncrypt(totalDebt),
+        creditFacilities:    safeEncrypt(JSON.stringify(facilities)),
         employment:          formData.employmentType,
         employmentYears:     safeEncrypt(formData.employmentYears),
         requestedLoanAmount: safeEncrypt(formData.requestedLoanAmount),
+        loanTermMonths:      safeEncrypt(formData.loanTermMonths),
         hasData: true,
       });
 
@@ -320,12 +621,17 @@ const FinancialInputScreen = () => {
         router.push({
           pathname: '/main/CreditScore',
           params: {
-            freshIncome:     formData.monthlyIncome,
-            freshExpenses:   formData.monthlyExpenses,
-            freshDebts:      formData.existingDebts,
+            freshIncome:     totalIncome,
+            freshIncomeSources: JSON.stringify(sources),
+            freshExpenses:   totalExpenses,
+            freshExpenseCategories: JSON.stringify(categories),
+            freshHouseholdSize: formData.householdSize,
+            freshDebts:      totalDebt,
+            freshFacilities: JSON.stringify(facilities),
             freshEmployment: formData.employmentType,
             freshEmpYears:   formData.employmentYears,
             freshLoanAmount: formData.requestedLoanAmount,
+            freshTermMonths: formData.loanTermMonths,
           },
         });
       } else {
@@ -353,36 +659,87 @@ const FinancialInputScreen = () => {
 
         <View style={styles.form}>
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>Monthly Income</Text>
+            <Text style={styles.label}>Income Sources</Text>
+            <Text style={styles.helperText}>
+              Add salary, allowances, bonuses, rent or other income. Variable income is discounted.
+            </Text>
+            {formData.incomeSources.map((s, i) => (
+              <IncomeSourceCard
+                key={i}
+                index={i}
+                source={s}
+                error={errors.incomeSources?.[i]}
+                canRemove={formData.incomeSources.length > 1}
+                onChange={(field, value) => updateIncomeSource(i, field, value)}
+                onRemove={() => removeIncomeSource(i)}
+              />
+            ))}
+            <TouchableOpacity style={styles.addButton} onPress={addIncomeSource} activeOpacity={0.8}>
+              <Ionicons name="add-circle-outline" size={18} color={THEME.primary} />
+              <Text style={styles.addButtonText}>Add Income Source</Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Household Size</Text>
             <CustomInput
-              placeholder="Enter your Income"
-              value={formData.monthlyIncome}
-              onChangeText={(t) => updateField('monthlyIncome', t)}
-              keyboardType="decimal-pad"
-              error={errors.monthlyIncome}
+              placeholder="People in your household"
+              value={formData.householdSize}
+              onChangeText={(t) => updateField('householdSize', t.replace(/\./g, ''))}
+              keyboardType="number-pad"
+              error={errors.householdSize}
             />
           </View>
 
           <View style={styles.inputGroup}>
             <Text style={styles.label}>Monthly Expenses</Text>
-            <CustomInput
-              placeholder="Enter your Expenses"
-              value={formData.monthlyExpenses}
-              onChangeText={(t) => updateField('monthlyExpenses', t)}
-              keyboardType="decimal-pad"
-              error={errors.monthlyExpenses}
-            />
+            <Text style={styles.helperText}>
+              Minimum living cost for your household: EGP {livingCostBenchmark.toLocaleString()}/month.
+              Lower totals are replaced by this benchmark.
+            </Text>
+            {legacyExpenses ? (
+              <Text style={styles.helperText}>
+                Previously saved total: EGP {Number(legacyExpenses).toLocaleString()} — please itemize it below.
+              </Text>
+            ) : null}
+            {Object.entries(EXPENSE_CATEGORIES).map(([key, c]) => (
+              <CustomInput
+                key={key}
+                placeholder={`${c.label} (EGP)`}
+                value={formData.expenseCategories[key]}
+                onChangeText={(t) => updateExpense(key, t)}
+                keyboardType="decimal-pad"
+                containerStyle={styles.expenseInput}
+              />
+            ))}
+            <Text style={styles.totalText}>Total: EGP {Number(getExpensePayload().totalExpenses).toLocaleString()}</Text>
+            {errors.expenses ? (
+              <View style={styles.errorRow}>
+                <Ionicons name="alert-circle-outline" size={13} color={THEME.error} />
+                <Text style={styles.errorText}>{errors.expenses}</Text>
+              </View>
+            ) : null}
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>Total Existing Debts</Text>
-            <CustomInput
-              placeholder="Enter total debt"
-              value={formData.existingDebts}
-              onChangeText={(t) => updateField('existingDebts', t)}
-              keyboardType="decimal-pad"
-              error={errors.existingDebts}
-            />
+            <Text style={styles.label}>Existing Credit Facilities</Text>
+            <Text style={styles.helperText}>
+              Personal loans, car loans, credit cards and BNPL plans. Leave empty if you have none.
+            </Text>
+            {formData.creditFacilities.map((f, i) => (
+              <FacilityCard
+                key={i}
+                index={i}
+                facility={f}
+                errors={errors.facilities?.[i]}
+                onChange={(field, value) => updateFacility(i, field, value)}
+                onRemove={() => removeFacility(i)}
+              />
+            ))}
+            <TouchableOpacity style={styles.addButton} onPress={addFacility} activeOpacity={0.8}>
+              <Ionicons name="add-circle-outline" size={18} color={THEME.primary} />
+              <Text style={styles.addButtonText}>Add Facility</Text>
+            </TouchableOpacity>
           </View>
 
           <View style={styles.inputGroup}>
@@ -414,6 +771,17 @@ const FinancialInputScreen = () => {
               error={errors.requestedLoanAmount}
             />
           </View>
+
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Loan Term (months)</Text>
+            <CustomInput
+              placeholder="6 – 84 months"
+              value={formData.loanTermMonths}
+              onChangeText={(t) => updateField('loanTermMonths', t)}
+              keyboardType="number-pad"
+              error={errors.loanTermMonths}
+            />
+          </View>
         </View>
 
         <TouchableOpacity
@@ -470,6 +838,29 @@ const styles = StyleSheet.create({
   },
   pillButtonText: { color: '#FFFFFF', fontWeight: 'bold', fontSize: 16 },
 
+  expenseInput: { marginBottom: 8 },
+  totalText:  { fontSize: 13, fontWeight: '600', color: THEME.text, textAlign: 'right', marginRight: 4 },
+  helperText: { fontSize: 12, color: THEME.textLight, marginBottom: 10, marginLeft: 4 },
+
+  facilityCard:   { backgroundColor: THEME.background, borderRadius: 18, padding: 14, marginBottom: 12 },
+  facilityHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 },
+  facilityTitle:  { fontSize: 14, fontWeight: '700', color: THEME.primary },
+  facilityRow:    { flexDirection: 'row', gap: 10 },
+  facilityInput:  { backgroundColor: THEME.card, height: 50, marginBottom: 8 },
+
+  chipRow:        { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginBottom: 10 },
+  chip:           { paddingHorizontal: 12, paddingVertical: 6, borderRadius: 14, backgroundColor: THEME.card, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive:     { backgroundColor: THEME.primary, borderColor: THEME.primary },
+  chipText:       { fontSize: 12, color: THEME.text, fontWeight: '500' },
+  chipTextActive: { color: '#FFFFFF' },
+
+  addButton: {
+    flexDirection: 'row', alignItems: 'center', justifyContent: 'center', gap: 6,
+    borderWidth: 1.5, borderColor: THEME.primary, borderStyle: 'dashed',
+    borderRadius: 30, height: 48,
+  },
+  addButtonText: { fontSize: 14, fontWeight: '600', color: THEME.primary },
+
   secureFooter: { flexDirection: 'row', justifyContent: 'center', alignItems: 'center', marginTop: 25 },
   footerText:   { fontSize: 12, color: THEME.textLight, marginLeft: 5, fontWeight: '500' },
 });
@@ -0,0 +1,313 @@
+// app/main/LoanAdvisor.js
+// ═══════════════════════════════════════════════════════════════
+// LOAN ADVISOR — chat about the last credit decision
+// Opened from CreditScore.js, which hands over the profile and the
+// decision (services/LoanAdvisor.js setAdvisorContext). "What if"
+// questions are re-run by the rule engine and shown before → after;
+// answers come from the LLM, or from the rules when AI is off.
+// The conversation is kept on this device, per signed-in user.
+// ═══════════════════════════════════════════════════════════════
+
+import { Ionicons } from '@expo/vector-icons';
+import { router, useFocusEffect } from 'expo-router';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import FirebaseService from '../../services/FirebaseService';
+import { AdvisorChatHistory, askAdvisor, getAdvisorContext } from '../../services/LoanAdvisor';
+import { MAX_QUESTION_CHARS } from '../../services/LoanAdvisorPrompt';
+
+const formatEGP = (n) => `EGP ${Math.round(n).toLocaleString()}`;
+
+const newId = (suffix) => `${Date.now().toString(36)}-${suffix}`;
+
+// Alert.alert has no buttons on web
+const confirmClear = (onConfirm) => {
+  const title   = 'Clear Conversation';
+  const message = 'Remove this conversation from this device?';
+  if (Platform.OS === 'web') {
+    if (window.confirm(`${title}\n\n${message}`)) onConfirm();
+    return;
+  }
+  Alert.alert(title, message, [
+    { text: 'Cancel', style: 'cancel' },
+    { text: 'Clear', style: 'destructive', onPress: onConfirm },
+  ]);
+};
+
+const suggestionsFor = (decision) => [
+  decision.approved ? 'Why was I approved?' : 'Why was I declined?',
+  'What if I pay off all my debt?',
+  'What if I borrow EGP 100,000?',
+  'What if I take the loan over 5 years?',
+];
+
+// ── What-if result card ────────────────────────────────────────
+const WhatIfCard = ({ whatIf }) => {
+  const { before, after } = whatIf;
+  const rows = [
+    ['Score',    before.score,                             after.score],
+    ['Decision', before.approved ? 'Approved' : 'Declined', after.approved ? 'Approved' : 'Declined'],
+    ['DTI',      `${before.postLoanDti}%`,                 `${after.postLoanDti}%`],
+    ['Max loan', formatEGP(before.maxLoanAmount),          formatEGP(after.maxLoanAmount)],
+  ];
+  return (
+    <View style={styles.whatIfCard}>
+      <View style={styles.whatIfHeader}>
+        <Ionicons name="calculator-outline" size={13} color="#1F6AE1" />
+        <Text style={styles.whatIfTitle} numberOfLines={2}>{whatIf.scenario}</Text>
+      </View>
+      {rows.map(([label, from, to]) => (
+        <View key={label} style={styles.whatIfRow}>
+          <Text style={styles.whatIfLabel}>{label}</Text>
+          <Text style={styles.whatIfValue}>{from}</Text>
+          <Ionicons name="arrow-forward" size={12} color="#9CA3AF" />
+          <Text style={[styles.whatIfValue, from !== to && styles.whatIfChanged]}>{to}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+// ── Message bubble ─────────────────────────────────────────────
+const MessageBubble = ({ message }) => {
+  const mine = message.role === 'user';
+  return (
+    <View style={[styles.bubble, mine ? styles.bubbleMine : styles.bubbleAdvisor]}>
+      {!mine && (
+        <View style={styles.sourceTag}>
+          <Ionicons
+            name={message.source === 'ai' ? 'sparkles' : 'calculator-outline'}
+            size={11}
+            color={message.source === 'ai' ? '#2ECC71' : '#F39C12'}
+          />
+          <Text style={styles.sourceText}>
+            {message.source === 'ai' ? 'AI advisor'
+              : message.fallbackReason === 'disabled' ? 'Rule engine · AI off' : 'Rule engine · AI unavailable'}
+          </Text>
+        </View>
+      )}
+      <Text style={[styles.bubbleText, mine && { color: '#FFF' }]}>{message.content}</Text>
+      {message.whatIf && <WhatIfCard whatIf={message.whatIf} />}
+    </View>
+  );
+};
+
+const LoanAdvisorScreen = () => {
+  const [context,  setContext]  = useState(getAdvisorContext);
+  const [history,  setHistory]  = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [draft,    setDraft]    = useState('');
+  const [sending,  setSending]  = useState(false);
+  const [aiEnabled, setAiEnabled] = useState(context?.aiEnabled !== false);
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    const user  = FirebaseService.getCurrentUser();
+    const store = new AdvisorChatHistory({ userId: user?.uid });
+    setHistory(store);
+    store.list().then(setMessages);
+  }, []);
+
+  // The screen stays mounted between visits — pick up the latest
+  // decision and the AI toggle each time it comes into focus
+  useFocusEffect(useCallback(() => {
+    let active = true;
+    const latest = getAdvisorContext();
+    setContext(latest);
+    setAiEnabled(latest?.aiEnabled !== false);
+
+    // The toggle may have changed since the decision was made
+    const user = FirebaseService.getCurrentUser();
+    if (user) {
+      FirebaseService.getUserData(user.uid).then(result => {
+        if (active && result.success) setAiEnabled(result.data.appSettings?.aiProcessing !== false);
+      });
+    }
+    return () => { active = false; };
+  }, []));
+
+  const send = async (text) => {
+    const question = text.trim();
+    if (!question || sending || !history) return;
+
+    const mine = { id: newId('u'), role: 'user', content: question, sentAt: Date.now() };
+    const earlier = messages;
+    setMessages([...earlier, mine]);
+    setDraft('');
+    setSending(true);
+    try {
+      const authToken = aiEnabled ? await FirebaseService.getIdToken() : null;
+      const reply = await askAdvisor(question, {
+        profile:  context.profile,
+        decision: context.decision,
+        history:  earlier,
+        aiEnabled,
+        authToken,
+      });
+      setMessages(await history.append(mine, { id: newId('a'), ...reply }));
+    } catch (error) {
+      console.error('Advisor error:', error);
+      setMessages([...earlier, mine, {
+        id: newId('a'), role: 'assistant', source: 'rules', fallbackReason: 'error',
+        content: 'Sorry — that question could not be answered. Please try again.',
+      }]);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleClear = () => confirmClear(async () => {
+    await history?.clear();
+    setMessages([]);
+  });
+
+  if (!context) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Ionicons name="chatbubbles-outline" size={80} color="#6B7280" />
+        <Text style={styles.emptyTitle}>No Decision Yet</Text>
+        <Text style={styles.emptyDescription}>
+          Open the advisor from the Credit Score screen after your profile has been scored.
+        </Text>
+        <TouchableOpacity style={styles.emptyButton} onPress={() => router.replace('/main/CreditScore')} activeOpacity={0.8}>
+          <Text style={styles.emptyButtonText}>Go to Credit Score</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const { decision } = context;
+
+  return (
+    <KeyboardAvoidingView style={styles.container} behavior={Platform.OS === 'ios' ? 'padding' : 'height'}>
+
+      {/* ── Header ──────────────────────────────────────────── */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.iconButton} activeOpacity={0.7}>
+          <Ionicons name="arrow-back" size={22} color="#2C2C2C" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>Loan Advisor</Text>
+          <Text style={styles.subtitle}>
+            Score {decision.score} · {decision.approved ? 'Approved' : 'Declined'}
+            {aiEnabled ? '' : ' · AI off'}
+          </Text>
+        </View>
+        {messages.length > 0 && (
+          <TouchableOpacity onPress={handleClear} style={styles.iconButton} activeOpacity={0.7}>
+            <Ionicons name="trash-outline" size={20} color="#6B7280" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* ── Conversation ────────────────────────────────────── */}
+      <ScrollView
+        ref={scrollRef}
+        style={{ flex: 1 }}
+        contentContainerStyle={styles.conversation}
+        onContentSizeChange={() => scrollRef.current?.scrollToEnd({ animated: true })}
+        keyboardShouldPersistTaps="handled"
+      >
+        {messages.length === 0 && (
+          <View style={styles.intro}>
+            <Text style={styles.introText}>
+              Ask about your result, or try a change — &quot;what if I pay off my car loan?&quot; — and the
+              numbers are re-run with the bank&apos;s rules.
+            </Text>
+            <View style={styles.chips}>
+              {suggestionsFor(decision).map(s => (
+                <TouchableOpacity key={s} style={styles.chip} onPress={() => send(s)} activeOpacity={0.7}>
+                  <Text style={styles.chipText}>{s}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+        {messages.map(m => <MessageBubble key={m.id} message={m} />)}
+        {sending && (
+          <View style={[styles.bubble, styles.bubbleAdvisor, styles.typing]}>
+            <ActivityIndicator size="small" color="#0A2540" />
+            <Text style={styles.sourceText}>Working it out…</Text>
+          </View>
+        )}
+      </ScrollView>
+
+      {/* ── Input ───────────────────────────────────────────── */}
+      <View style={styles.inputBar}>
+        <TextInput
+          style={styles.input}
+          value={draft}
+          onChangeText={setDraft}
+          placeholder="Ask about your loan…"
+          placeholderTextColor="#9CA3AF"
+          maxLength={MAX_QUESTION_CHARS}
+          multiline
+          editable={!sending}
+        />
+        <TouchableOpacity
+          style={[styles.sendButton, (!draft.trim() || sending) && { opacity: 0.4 }]}
+          onPress={() => send(draft)}
+          disabled={!draft.trim() || sending}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="send" size={18} color="#FFF" />
+        </TouchableOpacity>
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#F5F7FA' },
+
+  emptyContainer:   { flex: 1, justifyContent: 'center', alignItems: 'center', padding: 40, backgroundColor: '#F5F7FA' },
+  emptyTitle:       { fontSize: 22, fontWeight: 'bold', color: '#2C2C2C', marginTop: 20, marginBottom: 10 },
+  emptyDescription: { fontSize: 14, color: '#6B7280', textAlign: 'center', lineHeight: 22 },
+  emptyButton:      { borderWidth: 1.5, borderColor: '#0A2540', borderRadius: 30, paddingVertical: 12, paddingHorizontal: 24, marginTop: 20 },
+  emptyButtonText:  { fontSize: 15, fontWeight: '600', color: '#0A2540' },
+
+  header:     { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 20, paddingTop: 30, paddingBottom: 12 },
+  iconButton: { padding: 4, marginRight: 8 },
+  title:      { fontSize: 24, fontWeight: 'bold', color: '#2C2C2C' },
+  subtitle:   { fontSize: 12, color: '#6B7280', marginTop: 3 },
+
+  conversation: { padding: 16, paddingBottom: 24 },
+  intro:        { backgroundColor: '#FFF', padding: 18, borderRadius: 16, marginBottom: 12, elevation: 2 },
+  introText:    { fontSize: 13, color: '#6B7280', lineHeight: 19, marginBottom: 12 },
+  chips:        { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
+  chip:         { borderWidth: 1.5, borderColor: '#0A2540', borderRadius: 20, paddingVertical: 7, paddingHorizontal: 12 },
+  chipText:     { fontSize: 12, fontWeight: '600', color: '#0A2540' },
+
+  bubble:        { maxWidth: '88%', padding: 12, borderRadius: 16, marginBottom: 10 },
+  bubbleMine:    { alignSelf: 'flex-end', backgroundColor: '#0A2540', borderBottomRightRadius: 4 },
+  bubbleAdvisor: { alignSelf: 'flex-start', backgroundColor: '#FFF', borderBottomLeftRadius: 4, elevation: 1 },
+  bubbleText:    { fontSize: 14, color: '#2C2C2C', lineHeight: 20 },
+  sourceTag:     { flexDirection: 'row', alignItems: 'center', gap: 4, marginBottom: 6 },
+  sourceText:    { fontSize: 11, fontWeight: '600', color: '#6B7280' },
+  typing:        { flexDirection: 'row', alignItems: 'center', gap: 8 },
+
+  whatIfCard:    { marginTop: 10, padding: 10, borderRadius: 12, backgroundColor: '#F5F7FA' },
+  whatIfHeader:  { flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 6 },
+  whatIfTitle:   { flex: 1, fontSize: 12, fontWeight: '700', color: '#2C2C2C' },
+  whatIfRow:     { flexDirection: 'row', alignItems: 'center', paddingVertical: 2, gap: 6 },
+  whatIfLabel:   { width: 62, fontSize: 12, color: '#6B7280' },
+  whatIfValue:   { fontSize: 12, color: '#2C2C2C' },
+  whatIfChanged: { fontWeight: '700', color: '#1F6AE1' },
+
+  inputBar:   { flexDirection: 'row', alignItems: 'flex-end', gap: 8, padding: 12, backgroundColor: '#FFF', borderTopWidth: 1, borderTopColor: '#E5E7EB' },
+  input:      { flex: 1, maxHeight: 110, minHeight: 42, borderWidth: 1.5, borderColor: '#E5E7EB', borderRadius: 21, paddingHorizontal: 16, paddingVertical: 10, fontSize: 14, color: '#2C2C2C' },
+  sendButton: { width: 42, height: 42, borderRadius: 21, backgroundColor: '#0A2540', alignItems: 'center', justifyContent: 'center' },
+});
+
+export default LoanAdvisorScreen;
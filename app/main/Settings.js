@@ -18,6 +18,7 @@ import {
   View,
 } from 'react-native';
 import { ThemeContext } from '../../Context/themecontext';
+import AiAuditLog from '../../services/AiAuditLog';
 import FirebaseService from '../../services/FirebaseService';
 import COLORS from '../../utils/colors';
 
@@ -259,6 +260,7 @@ const SettingsScreen = () => {
     notifications: true,
     emailUpdates:  false,
     biometricAuth: false,
+    aiProcessing:  true,
   });
 
   const [privacy, setPrivacy] = useState({
@@ -272,6 +274,7 @@ const SettingsScreen = () => {
     changePassword:  false,
     privacySettings: false,
     exportData:      false,
+    aiAuditLog:      false,
   });
 
   const openModal  = (key) => setModal(p => ({ ...p, [key]: true  }));
@@ -295,6 +298,7 @@ const SettingsScreen = () => {
               notifications: s.notifications ?? prev.notifications,
               emailUpdates:  s.emailUpdates  ?? prev.emailUpdates,
               biometricAuth: s.biometricAuth ?? prev.biometricAuth,
+              aiProcessing:  s.aiProcessing  ?? prev.aiProcessing,
             }));
           }
           const p = result.data?.privacySettings;
@@ -456,9 +460,10 @@ const SettingsScreen = () => {
               if (user) {
                 await FirebaseService.updateUserData(user.uid, {
                   financialProfile: {
-                    income: '', expenses: '', debts: '',
+                    income: '', incomeSources: '', expenses: '', expenseCategories: '', householdSize: '',
+                    debts: '', creditFacilities: '',
                     employment: '', employmentYears: '',
-                    requestedLoanAmount: '', hasData: false,
+                    requestedLoanAmount: '', loanTermMonths: '', hasData: false,
                   },
                 });
                 showAlert('✅ Done', 'All financial data has been cleared.', [{ text: 'OK' }]);
@@ -546,6 +551,23 @@ const SettingsScreen = () => {
         />
       </SectionCard>
 
+      <SectionCard title="AI & Data">
+        <SettingItem
+          icon="sparkles-outline"
+          title="AI Analysis"
+          description={settings.aiProcessing ? 'Rounded metrics are sent for an AI assessment' : 'Off — rule-based analysis only, nothing is sent'}
+          rightComponent={
+            <Switch
+              value={settings.aiProcessing}
+              onValueChange={() => toggleSetting('aiProcessing')}
+              trackColor={{ false: COLORS.border, true: COLORS.primary }}
+              thumbColor={COLORS.white}
+            />
+          }
+        />
+        <SettingButton icon="list-outline" title="AI Request Log" onPress={() => openModal('aiAuditLog')} last />
+      </SectionCard>
+
       <SectionCard title="Account">
         <SettingButton icon="person-outline" title="Edit Profile" onPress={() => openModal('editProfile')} />
         <SettingButton icon="key-outline" title="Change Password" onPress={() => openModal('changePassword')} />
@@ -617,6 +639,10 @@ const SettingsScreen = () => {
         onClose={() => closeModal('exportData')}
         userData={userData}
       />
+      <AiAuditLogModal
+        visible={modal.aiAuditLog}
+        onClose={() => closeModal('aiAuditLog')}
+      />
     </ScrollView>
   );
 };
@@ -911,6 +937,24 @@ const ExportDataModal = ({ visible, onClose, userData }) => {
     return _xorDec(v, _SK);
   };
 
+  // Income sources / credit facilities are stored as one encrypted JSON string
+  const listOf = (v) => {
+    if (!v) return [];
+    try {
+      const list = JSON.parse(_xorDec(v, _SK));
+      return Array.isArray(list) ? list : [];
+    } catch { return []; }
+  };
+
+  // Expense categories are stored as one encrypted JSON object
+  const objectOf = (v) => {
+    if (!v) return {};
+    try {
+      const obj = JSON.parse(_xorDec(v, _SK));
+      return obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : {};
+    } catch { return {}; }
+  };
+
   const buildCSV = () => {
     const fp  = userData?.financialProfile || {};
     const now = new Date().toLocaleDateString('en-EG');
@@ -925,11 +969,15 @@ const ExportDataModal = ({ visible, onClose, userData }) => {
       [''],
       ['FINANCIAL PROFILE'],
       ['Monthly Income (EGP)',    dec(fp.income)              || 'N/A'],
+      ['Income Sources',          listOf(fp.incomeSources).length],
       ['Monthly Expenses (EGP)',  dec(fp.expenses)            || 'N/A'],
+      ['Household Size',          dec(fp.householdSize)       || 'N/A'],
       ['Existing Debts (EGP)',    dec(fp.debts)               || 'N/A'],
+      ['Credit Facilities',       listOf(fp.creditFacilities).length],
       ['Employment Type',         fp.employment               || 'N/A'],
       ['Employment Years',        dec(fp.employmentYears)     || 'N/A'],
       ['Requested Loan (EGP)',    dec(fp.requestedLoanAmount) || 'N/A'],
+      ['Loan Term (months)',      dec(fp.loanTermMonths)      || 'N/A'],
       ['Data Recorded',           fp.hasData ? 'Yes' : 'No'],
     ];
     return rows.map(r => r.map(c => `"${c}"`).join(',')).join('\n');
@@ -963,11 +1011,16 @@ const ExportDataModal = ({ visible, onClose, userData }) => {
         },
         financialProfile: {
           income:              dec(fp.income),
+          incomeSources:       listOf(fp.incomeSources),
           expenses:            dec(fp.expenses),
+          expenseCategories:   objectOf(fp.expenseCategories),
+          householdSize:       dec(fp.householdSize),
           debts:               dec(fp.debts),
+          creditFacilities:    listOf(fp.creditFacilities),
           employment:          fp.employment,
           employmentYears:     dec(fp.employmentYears),
           requestedLoanAmount: dec(fp.requestedLoanAmount),
+          loanTermMonths:      dec(fp.loanTermMonths),
           hasData:             fp.hasData,
         },
         exportedAt: new Date().toISOString(),
@@ -1035,6 +1088,134 @@ const exportStyles = StyleSheet.create({
   optionDesc:  { fontSize: 12, color: '#6B7280' },
 });
 
+// ═══════════════════════════════════════════════════════════════
+// AI REQUEST LOG MODAL
+// What each AI assessment and advisor question sent
+// (services/AiAuditLog.js), read from the device — the exact
+// payload and context, not a summary of them.
+// ═══════════════════════════════════════════════════════════════
+const formatLogValue = (value) => {
+  if (value === null || value === undefined) return 'none';
+  if (Array.isArray(value)) return value.length ? value.map(formatLogValue).join(', ') : '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return typeof value === 'number' ? value.toLocaleString() : String(value);
+};
+
+const LogRows = ({ values }) => Object.entries(values || {}).map(([field, value]) => (
+  <View key={field} style={{ flexDirection: 'row', justifyContent: 'space-between', paddingVertical: 2, gap: 12 }}>
+    <Text style={{ fontSize: 12, color: '#6B7280' }}>{field}</Text>
+    <Text style={{ fontSize: 12, color: '#111827', fontWeight: '500', flexShrink: 1, textAlign: 'right' }}>{formatLogValue(value)}</Text>
+  </View>
+));
+
+const LogHeading = ({ children }) => (
+  <Text style={{ fontSize: 12, fontWeight: '700', color: '#374151', marginTop: 10, marginBottom: 4 }}>{children}</Text>
+);
+
+const AiAuditLogModal = ({ visible, onClose }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [open,    setOpen]    = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    setLoading(true);
+    new AiAuditLog().list()
+      .then(setEntries)
+      .finally(() => setLoading(false));
+  }, [visible]);
+
+  const handleClear = () => {
+    showAlert('Clear AI Request Log', 'Remove every entry from this device?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Clear', style: 'destructive',
+        onPress: async () => {
+          await new AiAuditLog().clear();
+          setEntries([]);
+        },
+      },
+    ]);
+  };
+
+  return (
+    <SlideModal visible={visible} onClose={onClose} title="AI Request Log">
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <Text style={{ fontSize: 13, color: '#6B7280', marginBottom: 16, lineHeight: 19 }}>
+          Everything sent for an AI assessment or advisor question, exactly as it left this device. Cached results send nothing.
+        </Text>
+
+        {!loading && entries.length === 0 && (
+          <Text style={{ fontSize: 14, color: '#9CA3AF', textAlign: 'center', paddingVertical: 24 }}>
+            No AI requests yet
+          </Text>
+        )}
+
+        {entries.map(entry => {
+          const expanded = open === entry.id;
+          const r = entry.response || {};
+          return (
+            <TouchableOpacity
+              key={entry.id}
+              onPress={() => setOpen(expanded ? null : entry.id)}
+              activeOpacity={0.7}
+              style={{ borderWidth: 1.5, borderColor: '#E5E7EB', borderRadius: 14, padding: 14, marginBottom: 10 }}
+            >
+              <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }}>
+                <View style={{ flex: 1 }}>
+                  <Text style={{ fontSize: 14, fontWeight: '600', color: '#111827' }}>
+                    {new Date(entry.sentAt).toLocaleString()}
+                  </Text>
+                  <Text style={{ fontSize: 12, color: '#6B7280', marginTop: 2 }}>
+                    {entry.purpose === 'loan-advisor' ? 'Advisor' : 'Assessment'} · {r.provider} · {r.model} · {r.success ? 'answered' : `failed (${r.reason}${r.status ? ` ${r.status}` : ''})`}
+                  </Text>
+                </View>
+                <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={18} color="#9CA3AF" />
+              </View>
+
+              {expanded && (
+                <View style={{ marginTop: 12 }}>
+                  <Text style={{ fontSize: 12, fontWeight: '700', color: '#374151', marginBottom: 6 }}>Sent</Text>
+                  <LogRows values={entry.payload} />
+                  {entry.context && (
+                    <>
+                      <LogHeading>Question</LogHeading>
+                      <Text style={{ fontSize: 12, color: '#111827', lineHeight: 17 }}>{entry.context.question}</Text>
+                      <LogHeading>Decision summary</LogHeading>
+                      <LogRows values={entry.context.decision} />
+                      {entry.context.whatIf && (
+                        <>
+                          <LogHeading>What-if: {entry.context.whatIf.scenario}</LogHeading>
+                          <LogRows values={{ before: entry.context.whatIf.before, after: entry.context.whatIf.after }} />
+                        </>
+                      )}
+                      <LogHeading>Earlier messages</LogHeading>
+                      {(entry.context.history || []).length === 0
+                        ? <Text style={{ fontSize: 12, color: '#6B7280' }}>—</Text>
+                        : entry.context.history.map((m, i) => (
+                          <Text key={i} style={{ fontSize: 12, color: '#6B7280', lineHeight: 17, marginBottom: 4 }}>
+                            <Text style={{ fontWeight: '600', color: '#374151' }}>{m.role === 'user' ? 'You' : 'Advisor'}: </Text>{m.content}
+                          </Text>
+                        ))}
+                    </>
+                  )}
+                  <LogHeading>Kept on device</LogHeading>
+                  <Text style={{ fontSize: 12, color: '#6B7280', lineHeight: 17 }}>{(entry.withheld || []).join(', ') || '—'}</Text>
+                  <Text style={{ fontSize: 11, color: '#9CA3AF', marginTop: 10 }}>
+                    Prompt v{entry.promptVersion} · data policy v{entry.policyVersion} · {r.attempts} attempt{r.attempts === 1 ? '' : 's'} · {r.durationMs} ms
+                  </Text>
+                </View>
+              )}
+            </TouchableOpacity>
+          );
+        })}
+
+        {entries.length > 0 && <PrimaryButton title="Clear Log" onPress={handleClear} danger />}
+      </ScrollView>
+    </SlideModal>
+  );
+};
+
 // ═══════════════════════════════════════════════════════════════
 // REUSABLE COMPONENTS
 // ═══════════════════════════════════════════════════════════════
@@ -0,0 +1,186 @@
+// app/main/StrategyComparison.js
+// ═══════════════════════════════════════════════════════════════
+// STRATEGY COMPARISON — the current profile scored by every
+// strategy side by side, for loan officers checking how sensitive
+// a case is to policy choice. Opened from CreditScore.js with the
+// profile passed as a JSON route param.
+// ═══════════════════════════════════════════════════════════════
+
+import { Ionicons } from '@expo/vector-icons';
+import { router, useLocalSearchParams } from 'expo-router';
+import { useMemo } from 'react';
+import {
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { compareStrategies } from '../../services/StrategyComparison';
+import UserFinancialProfile from '../../services/UserFinancialProfile';
+
+const getRiskColor = (riskLevel) => ({
+  'Very Low':  '#2ECC71',
+  'Low':       '#27AE60',
+  'Moderate':  '#F39C12',
+  'High':      '#E67E22',
+  'Very High': '#E74C3C',
+}[riskLevel] || '#95A5A6');
+
+const formatEGP = (n) => `EGP ${Math.round(n).toLocaleString()}`;
+
+// Route params arrive as strings — rebuild the profile from its JSON
+const parseProfile = (json) => {
+  try {
+    return json ? new UserFinancialProfile(JSON.parse(json)) : null;
+  } catch (e) {
+    console.warn('[StrategyComparison] Could not parse profile param:', e.message);
+    return null;
+  }
+};
+
+const StrategyComparisonScreen = () => {
+  const params = useLocalSearchParams();
+
+  const comparison = useMemo(() => {
+    const profile = parseProfile(params?.profile);
+    return profile ? compareStrategies(profile) : null;
+  }, [params?.profile]);
+
+  if (!comparison) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Ionicons name="git-compare-outline" size={80} color="#6B7280" />
+        <Text style={styles.emptyTitle}>Nothing to Compare</Text>
+        <Text style={styles.emptyDescription}>
+          Open this view from the Credit Score screen after your profile has been scored.
+        </Text>
+      </View>
+    );
+  }
+
+  const { strategies, disagreements, eligibilityIssues, threshold, scoreSpread } = comparison;
+  const approvals = strategies.filter(s => s.approved).length;
+  const split     = approvals > 0 && approvals < strategies.length;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+
+      {/* ── Header ──────────────────────────────────────────── */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton} activeOpacity={0.7}>
+          <Ionicons name="arrow-back" size={22} color="#2C2C2C" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>Strategy Comparison</Text>
+          <Text style={styles.subtitle}>Same profile, scored under every policy</Text>
+        </View>
+      </View>
+
+      {/* ── Summary ─────────────────────────────────────────── */}
+      <View style={[styles.summaryCard, { borderLeftColor: split ? '#F39C12' : '#0A2540' }]}>
+        <Text style={styles.summaryTitle}>
+          {split ? 'Policy-sensitive case' : approvals === strategies.length ? 'Approved under every policy' : 'Declined under every policy'}
+        </Text>
+        <Text style={styles.summaryText}>
+          {approvals} of {strategies.length} strategies approve (threshold {threshold}). Scores differ by {scoreSpread} points.
+        </Text>
+        {eligibilityIssues.map((issue, i) => (
+          <View key={i} style={styles.issueRow}>
+            <Ionicons name="lock-closed-outline" size={14} color="#E74C3C" />
+            <Text style={styles.issueText}>{issue}</Text>
+          </View>
+        ))}
+      </View>
+
+      {/* ── Side-by-side scores ─────────────────────────────── */}
+      <View style={styles.grid}>
+        {strategies.map(s => (
+          <View key={s.name} style={styles.strategyCard}>
+            <Text style={styles.strategyName}>{s.name}</Text>
+            <Text style={styles.strategyVersion}>v{s.scorecardVersion}</Text>
+            <Text style={[styles.strategyScore, { color: getRiskColor(s.riskLevel) }]}>{s.score}</Text>
+            <Text style={styles.strategyRating}>{s.rating}</Text>
+            {s.rawScore !== s.score && <Text style={styles.strategyMeta}>Raw {s.rawScore}</Text>}
+            <Text style={styles.strategyMeta}>PD {(s.probabilityOfDefault * 100).toFixed(1)}%</Text>
+            <View style={[styles.verdictBadge, { backgroundColor: s.approved ? '#D1FAE5' : '#FEE2E2' }]}>
+              <Text style={[styles.verdictText, { color: s.approved ? '#065F46' : '#991B1B' }]}>
+                {s.approved ? 'Approved' : 'Declined'}
+              </Text>
+            </View>
+            <Text style={styles.strategyLoan}>
+              {s.approved ? `Max ${formatEGP(s.maxLoanAmount)}` : 'No offer'}
+            </Text>
+          </View>
+        ))}
+      </View>
+
+      {/* ── Where the strategies disagree ───────────────────── */}
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>Where the Strategies Disagree</Text>
+        {disagreements.length === 0 && (
+          <Text style={styles.summaryText}>Every strategy rates each factor about the same.</Text>
+        )}
+        {disagreements.map(d => (
+          <View key={d.factor} style={styles.factorBlock}>
+            <Text style={styles.factorLabel}>{d.label}</Text>
+            {d.entries.map(e => (
+              <View key={e.strategy} style={styles.factorRow}>
+                <Text style={styles.factorStrategy}>{e.strategy}</Text>
+                <Text style={styles.factorShort} numberOfLines={1}>{e.short}</Text>
+                <Text style={[styles.factorPoints, { color: e.points < 0 ? '#E74C3C' : '#2C2C2C' }]}>
+                  {e.points > 0 ? '+' : ''}{e.points}
+                  {e.maxPoints > 0 ? ` / ${e.maxPoints}` : ''}
+                </Text>
+              </View>
+            ))}
+          </View>
+        ))}
+      </View>
+
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container:        { flex: 1, backgroundColor: '#F5F7FA' },
+  contentContainer: { padding: 20, paddingBottom: 40 },
+
+  emptyContainer:   { flex: 1, justifyContent: 'center', alignItems: 'center', padding: 40, backgroundColor: '#F5F7FA' },
+  emptyTitle:       { fontSize: 22, fontWeight: 'bold', color: '#2C2C2C', marginTop: 20, marginBottom: 10 },
+  emptyDescription: { fontSize: 14, color: '#6B7280', textAlign: 'center', lineHeight: 22 },
+
+  header:     { flexDirection: 'row', alignItems: 'center', marginBottom: 16, marginTop: 10 },
+  backButton: { marginRight: 12, padding: 4 },
+  title:      { fontSize: 24, fontWeight: 'bold', color: '#2C2C2C' },
+  subtitle:   { fontSize: 12, color: '#6B7280', marginTop: 3 },
+
+  summaryCard:  { backgroundColor: '#FFF', padding: 18, borderRadius: 16, marginBottom: 16, borderLeftWidth: 5, elevation: 2 },
+  summaryTitle: { fontSize: 16, fontWeight: 'bold', color: '#2C2C2C', marginBottom: 6 },
+  summaryText:  { fontSize: 13, color: '#6B7280', lineHeight: 19 },
+  issueRow:     { flexDirection: 'row', alignItems: 'flex-start', gap: 6, marginTop: 8 },
+  issueText:    { flex: 1, fontSize: 12, color: '#991B1B' },
+
+  grid:            { flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'space-between', marginBottom: 4 },
+  strategyCard:    { width: '48%', backgroundColor: '#FFF', padding: 14, borderRadius: 16, marginBottom: 12, alignItems: 'center', elevation: 2 },
+  strategyName:    { fontSize: 14, fontWeight: '700', color: '#2C2C2C' },
+  strategyVersion: { fontSize: 10, color: '#9CA3AF', marginBottom: 6 },
+  strategyScore:   { fontSize: 34, fontWeight: 'bold' },
+  strategyRating:  { fontSize: 13, fontWeight: '600', color: '#2C2C2C', marginBottom: 4 },
+  strategyMeta:    { fontSize: 11, color: '#6B7280' },
+  verdictBadge:    { paddingHorizontal: 10, paddingVertical: 4, borderRadius: 10, marginTop: 8 },
+  verdictText:     { fontSize: 11, fontWeight: '700' },
+  strategyLoan:    { fontSize: 11, color: '#2C2C2C', marginTop: 6, fontWeight: '600' },
+
+  card:         { backgroundColor: '#FFF', padding: 20, borderRadius: 16, marginBottom: 16, elevation: 2 },
+  sectionTitle: { fontSize: 17, fontWeight: 'bold', color: '#2C2C2C', marginBottom: 12 },
+
+  factorBlock:    { paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: '#F3F4F6' },
+  factorLabel:    { fontSize: 14, fontWeight: '700', color: '#2C2C2C', marginBottom: 6 },
+  factorRow:      { flexDirection: 'row', alignItems: 'center', paddingVertical: 3 },
+  factorStrategy: { width: 90, fontSize: 12, color: '#6B7280' },
+  factorShort:    { flex: 1, fontSize: 12, color: '#2C2C2C' },
+  factorPoints:   { fontSize: 12, fontWeight: '700', marginLeft: 8 },
+});
+
+export default StrategyComparisonScreen;
@@ -75,6 +75,15 @@ export default function TabsLayout() {
           ),
         }}
       />
+      {/* Opened from CreditScore — not a tab */}
+      <Tabs.Screen
+        name="StrategyComparison"
+        options={{ href: null }}
+      />
+      <Tabs.Screen
+        name="LoanAdvisor"
+        options={{ href: null }}
+      />
     </Tabs>
   );
 }
\ No newline at end of file
@@ -0,0 +1,106 @@
+// components/AmortizationTable.js
+// ═══════════════════════════════════════════════════════════════
+// AMORTIZATION TABLE COMPONENT
+// Month-by-month repayment schedule for the recommended loan
+// Shows: installment summary, total interest, schedule rows
+// ═══════════════════════════════════════════════════════════════
+
+import { useState } from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+// Rows shown before the user expands the full schedule
+const PREVIEW_ROWS = 12;
+
+const formatEGP = (n) => Math.round(n || 0).toLocaleString();
+
+// ═══════════════════════════════════════════════════════════════
+// Props:
+//   offer — loanOffer from LoanDecisionService.makeDecision()
+//           { principal, annualRate, termMonths, monthlyInstallment,
+//             totalInterest, totalPayment, schedule[] }
+// ═══════════════════════════════════════════════════════════════
+const AmortizationTable = ({ offer }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!offer?.schedule?.length) return null;
+
+  const rows = expanded ? offer.schedule : offer.schedule.slice(0, PREVIEW_ROWS);
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>📆 Repayment Schedule</Text>
+
+      {/* ── Summary ─────────────────────────────────────────── */}
+      <View style={styles.summaryRow}>
+        <SummaryItem label="Loan Amount"  value={`EGP ${formatEGP(offer.principal)}`} />
+        <SummaryItem label="Monthly"      value={`EGP ${formatEGP(offer.monthlyInstallment)}`} />
+      </View>
+      <View style={styles.summaryRow}>
+        <SummaryItem label="Rate / Term"    value={`${offer.annualRate}% · ${offer.termMonths} mo`} />
+        <SummaryItem label="Total Interest" value={`EGP ${formatEGP(offer.totalInterest)}`} />
+      </View>
+      <Text style={styles.totalText}>
+        Total repayment: EGP {formatEGP(offer.totalPayment)}
+      </Text>
+
+      {/* ── Table ───────────────────────────────────────────── */}
+      <View style={[styles.tableRow, styles.tableHeader]}>
+        <Text style={[styles.cell, styles.monthCell, styles.headerText]}>#</Text>
+        <Text style={[styles.cell, styles.headerText]}>Payment</Text>
+        <Text style={[styles.cell, styles.headerText]}>Interest</Text>
+        <Text style={[styles.cell, styles.headerText]}>Principal</Text>
+        <Text style={[styles.cell, styles.headerText]}>Balance</Text>
+      </View>
+      {rows.map((row) => (
+        <View key={row.month} style={styles.tableRow}>
+          <Text style={[styles.cell, styles.monthCell]}>{row.month}</Text>
+          <Text style={styles.cell}>{formatEGP(row.installment)}</Text>
+          <Text style={styles.cell}>{formatEGP(row.interest)}</Text>
+          <Text style={styles.cell}>{formatEGP(row.principal)}</Text>
+          <Text style={styles.cell}>{formatEGP(row.balance)}</Text>
+        </View>
+      ))}
+
+      {offer.schedule.length > PREVIEW_ROWS && (
+        <TouchableOpacity style={styles.toggle} onPress={() => setExpanded(e => !e)} activeOpacity={0.7}>
+          <Text style={styles.toggleText}>
+            {expanded ? 'Show first 12 months' : `Show all ${offer.schedule.length} months`}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const SummaryItem = ({ label, value }) => (
+  <View style={styles.summaryItem}>
+    <Text style={styles.summaryLabel}>{label}</Text>
+    <Text style={styles.summaryValue}>{value}</Text>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#FFFFFF', borderRadius: 16, padding: 18, marginBottom: 16,
+    shadowColor: '#000', shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.07, shadowRadius: 6, elevation: 3,
+  },
+  cardTitle:    { fontSize: 15, fontWeight: '700', color: '#0A2540', marginBottom: 14 },
+
+  summaryRow:   { flexDirection: 'row', gap: 10, marginBottom: 10 },
+  summaryItem:  { flex: 1, backgroundColor: '#F8FAFC', borderRadius: 10, padding: 10 },
+  summaryLabel: { fontSize: 11, color: '#6B7280', marginBottom: 3 },
+  summaryValue: { fontSize: 14, fontWeight: '700', color: '#2C2C2C' },
+  totalText:    { fontSize: 12, color: '#6B7280', marginBottom: 12, textAlign: 'right' },
+
+  tableHeader:  { backgroundColor: '#F3F4F6', borderRadius: 6 },
+  tableRow:     { flexDirection: 'row', paddingVertical: 6, borderBottomWidth: 1, borderBottomColor: '#F3F4F6' },
+  cell:         { flex: 1, fontSize: 11, color: '#2C2C2C', textAlign: 'right', paddingHorizontal: 2 },
+  monthCell:    { flex: 0.5, textAlign: 'center' },
+  headerText:   { fontWeight: '700', color: '#0A2540' },
+
+  toggle:       { alignItems: 'center', paddingTop: 12 },
+  toggleText:   { fontSize: 13, fontWeight: '600', color: '#1F6AE1' },
+});
+
+export default AmortizationTable;
@@ -3,10 +3,12 @@
 // RISK CHART COMPONENT
 // Visual representation of financial health / credit risk
 // Shows: Score Gauge, Risk Zone Bar, Factor Radar, DTI Ring
+// Factor bars come from the strategy's points ledger when present
 // ═══════════════════════════════════════════════════════════════
 
 import { useEffect, useRef } from 'react';
 import { Animated, Dimensions, StyleSheet, Text, View } from 'react-native';
+import { isAdverse } from '../services/ReasonCodes';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const CHART_WIDTH = SCREEN_WIDTH - 40;
@@ -256,6 +258,23 @@ const FACTOR_CONFIG = [
   { key: 'age',        label: 'Age Factor',           icon: '📅', maxValue: 100, lowerIsBetter: false },
 ];
 
+// ── Ledger rows (points per factor, from ScoringStrategy.evaluate) ──
+const LEDGER_ICONS = {
+  dti: '📉', income: '💰', employment: '💼', tenure: '⏳', savings: '🏦',
+  disposable: '💵', netWorth: '📈', age: '📅', lti: '⚖️', utilization: '💳',
+};
+
+const ledgerColor = (entry) => {
+  if (entry.maxPoints === 0) return entry.points < 0 ? '#E74C3C' : '#2ECC71';
+  const ratio = entry.points / entry.maxPoints;
+  if (!isAdverse(entry) && ratio >= 0.6) return '#2ECC71';
+  if (ratio >= 0.4) return '#F39C12';
+  return '#E74C3C';
+};
+
+const ledgerPoints = (entry) =>
+  entry.maxPoints === 0 ? `${entry.points} pts` : `${entry.points}/${entry.maxPoints}`;
+
 const impactToScore = (impact) => {
   if (impact === 'Positive') return 80;
   if (impact === 'Neutral')  return 50;
@@ -278,13 +297,15 @@ const impactToColor = (impact) => {
 const RiskChart = ({ scoreResult, loanDecision, profile }) => {
   if (!scoreResult) return null;
 
-  const { score, riskLevel, breakdown } = scoreResult;
+  const { score, riskLevel, breakdown, ledger } = scoreResult;
   const riskColor = RISK_COLORS[riskLevel] || '#95A5A6';
 
-  // DTI value for ring
-  const dtiRaw = breakdown?.dti?.value
-    ? parseFloat(breakdown.dti.value)
-    : 0;
+  // DTI value for ring — prefers post-loan DTI (incl. the new installment),
+  // which is the figure the Egyptian 50% cap applies to
+  const postLoanDTI = loanDecision?.postLoanDTI
+    ?? (breakdown?.postLoanDti?.value ? parseFloat(breakdown.postLoanDti.value) : null);
+  const dtiRaw = postLoanDTI
+    ?? (breakdown?.dti?.value ? parseFloat(breakdown.dti.value) : 0);
 
   // Savings value for ring
   const savingsRaw = breakdown?.savings?.value
@@ -322,7 +343,7 @@ const RiskChart = ({ scoreResult, loanDecision, profile }) => {
           <RingIndicator
             percent={Math.min(100, dtiRaw)}
             color={getDTIColor(dtiRaw)}
-            label="Debt-to-Income"
+            label={postLoanDTI != null ? 'DTI After Loan' : 'Debt-to-Income'}
             sublabel={getDTISublabel(dtiRaw)}
           />
           <RingIndicator
@@ -341,7 +362,33 @@ const RiskChart = ({ scoreResult, loanDecision, profile }) => {
       </View>
 
       {/* ── 3. FACTOR BREAKDOWN BARS ─────────────────────── */}
-      {breakdown && (
+      {ledger?.length > 0 && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>📋 Factor Analysis</Text>
+          {ledger.map((entry, i) => {
+            const color = ledgerColor(entry);
+            return (
+              <View key={entry.factor} style={styles.factorRow}>
+                <Text style={styles.factorIcon}>{LEDGER_ICONS[entry.factor] || '•'}</Text>
+                <View style={styles.factorMid}>
+                  <View style={styles.factorLabelRow}>
+                    <Text style={styles.factorLabel}>{entry.label}</Text>
+                    <Text style={styles.factorValue}>{entry.value}</Text>
+                  </View>
+                  {entry.maxPoints > 0 && (
+                    <AnimatedBar value={entry.points} maxValue={entry.maxPoints} color={color} delay={i * 120} />
+                  )}
+                  <Text style={styles.factorCode}>{entry.code}</Text>
+                </View>
+                <View style={[styles.impactPill, { backgroundColor: color + '25' }]}>
+                  <Text style={[styles.impactPillText, { color }]}>{ledgerPoints(entry)}</Text>
+                </View>
+              </View>
+            );
+          })}
+        </View>
+      )}
+      {!ledger?.length && breakdown && (
         <View style={styles.card}>
           <Text style={styles.cardTitle}>📋 Factor Analysis</Text>
           {FACTOR_CONFIG.map((factor, i) => {
@@ -534,6 +581,11 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#6B7280',
   },
+  factorCode: {
+    fontSize: 10,
+    color: '#9CA3AF',
+    letterSpacing: 0.3,
+  },
   impactPill: {
     paddingHorizontal: 8,
     paddingVertical: 3,
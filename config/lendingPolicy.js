@@ -0,0 +1,193 @@
+// config/lendingPolicy.js
+// ═══════════════════════════════════════════════════════════════
+// LENDING POLICY — Configurable Egyptian banking assumptions
+// Values here change how an application is assessed without
+// touching the scoring code in services/.
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Income source types and the haircut each one takes.
+ * haircut = share of the declared amount the bank does NOT count,
+ * e.g. 0.50 → only 50% of a variable bonus is bankable.
+ */
+export const INCOME_SOURCE_TYPES = {
+  salary:     { label: 'Salary',           haircut: 0    },
+  allowance:  { label: 'Allowances',       haircut: 0.10 },
+  bonus:      { label: 'Bonus (variable)', haircut: 0.50 },
+  rental:     { label: 'Rental Income',    haircut: 0.30 },
+  freelance:  { label: 'Freelance',        haircut: 0.40 },
+  remittance: { label: 'Remittances',      haircut: 0.50 },
+};
+
+/** Payment frequencies → months covered by one payment */
+export const INCOME_FREQUENCIES = {
+  monthly:   { label: 'Monthly',   months: 1  },
+  quarterly: { label: 'Quarterly', months: 3  },
+  annual:    { label: 'Annual',    months: 12 },
+};
+
+/** Monthly expense categories captured on the Financial Profile screen */
+export const EXPENSE_CATEGORIES = {
+  housing:    { label: 'Housing (rent / mortgage)' },
+  food:       { label: 'Food & Groceries'          },
+  transport:  { label: 'Transport'                 },
+  education:  { label: 'Education'                 },
+  dependents: { label: 'Dependents Support'        },
+  utilities:  { label: 'Utilities & Bills'         },
+};
+
+/**
+ * Minimum plausible monthly living cost (EGP) for a household.
+ * Declared expenses below this are replaced by the benchmark when
+ * assessing affordability.
+ * benchmark = firstMember + additionalMember × (householdSize − 1)
+ */
+export const MIN_LIVING_COST = {
+  firstMember:      6000,
+  additionalMember: 2500,
+};
+
+/**
+ * Loan products an application can be made for. Segment routing
+ * (config/segments.json) can pick a scorecard per product.
+ */
+export const LOAN_PRODUCTS = {
+  'personal-loan': { label: 'Personal Loan' },
+};
+
+/**
+ * Common credit score scale every strategy is calibrated onto,
+ * and the odds curve that turns a score into a probability of
+ * default (PD):
+ *   odds(good:bad) = anchorOdds × 2 ^ ((score − anchorScore) / pointsToDoubleOdds)
+ *   PD             = 1 / (1 + odds)
+ * With these values 580 (the approval threshold) ≈ 8.6% PD.
+ */
+export const SCORE_SCALE = {
+  min:                300,
+  max:                850,
+  anchorScore:        600,
+  anchorOdds:         15,
+  pointsToDoubleOdds: 40,
+};
+
+/**
+ * Hard eligibility — failing any one declines the application
+ * (UserFinancialProfile.getEgyptianEligibilityIssues).
+ */
+export const ELIGIBILITY_RULES = {
+  minAge:             21,
+  maxAge:             65,
+  minBankableIncome:  10000,   // EGP per month
+  minEmploymentYears: 0.5,     // probation completed
+  maxPostLoanDti:     50,      // %, including the new installment
+};
+
+/**
+ * Terms and pricing (LoanDecisionService). A score gets the first
+ * pricing band whose minScore it reaches: the annual rate range
+ * quoted and the largest loan as a multiple of annual bankable income.
+ * maxInstallmentRatio caps the new installment as a share of
+ * bankable monthly income.
+ */
+export const LOAN_TERMS = {
+  approvalThreshold:   580,
+  minTermMonths:       6,
+  maxTermMonths:       84,
+  maxInstallmentRatio: 0.40,
+  pricingBands: [
+    { minScore: 750, rates: [25, 27], incomeMultiple: 4.0 },
+    { minScore: 700, rates: [27, 29], incomeMultiple: 3.5 },
+    { minScore: 650, rates: [29, 31], incomeMultiple: 3.0 },
+    { minScore: 600, rates: [31, 33], incomeMultiple: 2.5 },
+    { minScore: 0,   rates: [33, 35], incomeMultiple: 2.0 },
+  ],
+};
+
+/**
+ * Labels for a common-scale score — the first band whose minScore
+ * it reaches (CreditScoreCalculator.getRiskLevel / getScoreRating).
+ */
+export const SCORE_BANDS = {
+  riskLevel: [
+    { minScore: 750, label: 'Very Low'  },
+    { minScore: 700, label: 'Low'       },
+    { minScore: 650, label: 'Moderate'  },
+    { minScore: 600, label: 'High'      },
+    { minScore: 0,   label: 'Very High' },
+  ],
+  rating: [
+    { minScore: 800, label: 'Exceptional' },
+    { minScore: 740, label: 'Very Good'   },
+    { minScore: 670, label: 'Good'        },
+    { minScore: 580, label: 'Fair'        },
+    { minScore: 0,   label: 'Poor'        },
+  ],
+};
+
+/**
+ * How an AI assessment and the rule score combine into one decision
+ * (services/EnsemblePolicy.js):
+ *   weighted   — score = aiWeight × AI + (1 − aiWeight) × rules;
+ *                approve when the blend meets the threshold
+ *   rules-veto — the AI decides; a rule decline overrides an AI approval
+ *   ai-veto    — the rules decide; an AI decline overrides a rule approval
+ * Scores further apart than reviewGap points flag the decision for
+ * manual review whatever the mode.
+ */
+export const ENSEMBLE_POLICY = {
+  mode:      'weighted',
+  aiWeight:  0.5,
+  reviewGap: 60,
+};
+
+/**
+ * What may leave the device for the AI assessment
+ * (services/AiRedaction.js). Only the fields listed here are sent;
+ * everything else — declared totals, itemized amounts, expense
+ * categories, names and contact details — stays on the device.
+ *   number — rounded to the nearest `round` when set
+ *   bucket — sent as a range label, e.g. 30–50; each edge starts a range
+ *   code   — a short code such as "permanent"
+ *   codes  — a list of codes (types only, no amounts)
+ * Bump version when the list changes; it is recorded in the audit log.
+ */
+export const AI_DATA_POLICY = {
+  version: 1,
+  fields: {
+    age:                      { type: 'bucket', edges: [21, 25, 30, 51, 56, 61, 66] },
+    employmentType:           { type: 'code' },
+    employmentYears:          { type: 'number', round: 0.5 },
+    householdSize:            { type: 'number' },
+    incomeSourceTypes:        { type: 'codes' },
+    facilityTypes:            { type: 'codes' },
+    bankableIncome:           { type: 'number', round: 500 },
+    assessedExpenses:         { type: 'number', round: 500 },
+    livingCostBenchmark:      { type: 'number', round: 500 },
+    monthlyDebtObligations:   { type: 'number', round: 100 },
+    creditCardUtilization:    { type: 'number', round: 5 },
+    requestedLoanAmount:      { type: 'number', round: 5000 },
+    loanTermMonths:           { type: 'number' },
+    proposedInstallment:      { type: 'number', round: 100 },
+    dti:                      { type: 'number', round: 0.5 },
+    postLoanDti:              { type: 'number', round: 0.5 },
+    disposableIncome:         { type: 'number', round: 500 },
+    savingsRate:              { type: 'number', round: 1 },
+    employmentStabilityScore: { type: 'number', round: 1 },
+    loanToIncomeRatio:        { type: 'number', round: 0.05 },
+  },
+};
+
+export default {
+  AI_DATA_POLICY,
+  ELIGIBILITY_RULES,
+  ENSEMBLE_POLICY,
+  EXPENSE_CATEGORIES,
+  INCOME_FREQUENCIES,
+  INCOME_SOURCE_TYPES,
+  LOAN_PRODUCTS,
+  LOAN_TERMS,
+  MIN_LIVING_COST,
+  SCORE_BANDS,
+  SCORE_SCALE,
+};
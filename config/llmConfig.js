@@ -0,0 +1,61 @@
+// ═══════════════════════════════════════════════════════════════
+// LLM CONFIGURATION
+// Which model the AI assessment calls (services/LLMClient.js).
+// Set in .env — Expo only bundles variables with the EXPO_PUBLIC_
+// prefix, and only when each one is read by its full name.
+//
+// Everything here ships inside the app bundle, so the default
+// provider is the API proxy (server/index.js), which keeps the
+// model key on the server. The direct providers put
+// EXPO_PUBLIC_LLM_API_KEY in the bundle — local development only.
+//
+//   EXPO_PUBLIC_LLM_PROVIDER      proxy | openai | azure | openai-compatible | mock
+//                                 (default proxy)
+//   EXPO_PUBLIC_LLM_MODEL         e.g. gpt-4o, llama3.1:8b
+//   EXPO_PUBLIC_LLM_TEMPERATURE   0–2                      (default 0.2)
+//   EXPO_PUBLIC_LLM_MAX_TOKENS                             (default 1500)
+//   EXPO_PUBLIC_LLM_TIMEOUT_MS    per attempt              (default 20000)
+//   EXPO_PUBLIC_LLM_MAX_RETRIES   retries on 429 / 5xx     (default 2)
+//   EXPO_PUBLIC_LLM_RETRY_BASE_MS first backoff, doubled   (default 500)
+//   EXPO_PUBLIC_LLM_CIRCUIT_THRESHOLD   failed calls in a row before
+//                                       the AI is skipped   (default 3)
+//   EXPO_PUBLIC_LLM_CIRCUIT_COOLDOWN_MS how long it is skipped (default 60000)
+//   EXPO_PUBLIC_LLM_API_KEY       direct providers only
+//   EXPO_PUBLIC_LLM_BASE_URL      proxy: e.g. http://192.168.1.10:8787
+//                                 openai-compatible: server root, e.g.
+//                                 http://192.168.1.10:11434/v1
+//                                 azure: https://<resource>.openai.azure.com
+//   EXPO_PUBLIC_LLM_AZURE_DEPLOYMENT   (default: the model name)
+//   EXPO_PUBLIC_LLM_AZURE_API_VERSION  (default 2024-06-01)
+//   EXPO_PUBLIC_LLM_CACHE_TTL_HOURS    how long an AI assessment is reused
+//                                      for an unchanged profile (default 24;
+//                                      0 disables the cache)
+// ═══════════════════════════════════════════════════════════════
+
+const LLM_PROVIDERS = ['proxy', 'openai', 'azure', 'openai-compatible', 'mock'];
+
+const readNumber = (value, fallback) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const LLM_CONFIG = Object.freeze({
+  provider:          (process.env.EXPO_PUBLIC_LLM_PROVIDER || 'proxy').trim().toLowerCase(),
+  model:             process.env.EXPO_PUBLIC_LLM_MODEL || 'gpt-4o',
+  temperature:       readNumber(process.env.EXPO_PUBLIC_LLM_TEMPERATURE, 0.2),
+  maxTokens:         readNumber(process.env.EXPO_PUBLIC_LLM_MAX_TOKENS, 1500),
+  timeoutMs:         readNumber(process.env.EXPO_PUBLIC_LLM_TIMEOUT_MS, 20000),
+  maxRetries:        readNumber(process.env.EXPO_PUBLIC_LLM_MAX_RETRIES, 2),
+  retryBaseMs:       readNumber(process.env.EXPO_PUBLIC_LLM_RETRY_BASE_MS, 500),
+  circuitThreshold:  readNumber(process.env.EXPO_PUBLIC_LLM_CIRCUIT_THRESHOLD, 3),
+  circuitCooldownMs: readNumber(process.env.EXPO_PUBLIC_LLM_CIRCUIT_COOLDOWN_MS, 60000),
+  apiKey:            process.env.EXPO_PUBLIC_LLM_API_KEY || '',
+  baseUrl:           process.env.EXPO_PUBLIC_LLM_BASE_URL || '',
+  azureDeployment:   process.env.EXPO_PUBLIC_LLM_AZURE_DEPLOYMENT || '',
+  azureApiVersion:   process.env.EXPO_PUBLIC_LLM_AZURE_API_VERSION || '2024-06-01',
+  cacheTtlMs:        readNumber(process.env.EXPO_PUBLIC_LLM_CACHE_TTL_HOURS, 24) * 60 * 60 * 1000,
+});
+
+export { LLM_CONFIG, LLM_PROVIDERS };
+
+export default LLM_CONFIG;
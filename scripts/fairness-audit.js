@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Fairness and disparate-impact audit for compliance reviews.
+ *
+ *   npm run fairness-audit -- data/applications.csv
+ *   npm run fairness-audit -- exports/decisions.json
+ *
+ * A CSV is a test dataset (lib/applications.js format plus gender and
+ * dateOfBirth or age columns): every registered strategy scores it and
+ * each one's decisions are audited. A JSON file is an array of stored
+ * decisions ({ gender, dateOfBirth | age, approved, score, ledger? }).
+ * See services/FairnessAudit.js for the measures.
+ *
+ * Options:
+ *   --json <file>       JSON report (default: reports/fairness-audit.json)
+ *   --html <file>       HTML report (default: reports/fairness-audit.html)
+ *   --strategies <a,b>  Dataset only: these strategies (default: all registered)
+ *   --threshold <n>     Dataset only: approval cut-off
+ */
+
+require('sucrase/register');
+
+const fs   = require('fs');
+const path = require('path');
+
+const { auditDecisions, auditStrategies } = require('../services/FairnessAudit');
+const { readApplications } = require('./lib/applications');
+const { escapeHtml, pct, renderPage, writeFile } = require('./lib/report');
+
+// ── CLI ───────────────────────────────────────────────────────
+const parseArgs = (argv) => {
+  const args = {
+    input: null, strategies: null, threshold: undefined,
+    json: path.join('reports', 'fairness-audit.json'), html: path.join('reports', 'fairness-audit.html'),
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--json')            args.json       = argv[++i];
+    else if (flag === '--html')       args.html       = argv[++i];
+    else if (flag === '--strategies') args.strategies = argv[++i].split(',').map(s => s.trim()).filter(Boolean);
+    else if (flag === '--threshold')  args.threshold  = Number(argv[++i]);
+    else if (!flag.startsWith('--') && !args.input) args.input = flag;
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  if (!args.input) throw new Error('Usage: fairness-audit <applications.csv | decisions.json> [--json file] [--html file] …');
+  return args;
+};
+
+// ── HTML report ───────────────────────────────────────────────
+const ATTRIBUTE_NAMES = { gender: 'gender', ageBand: 'age band' };
+
+const renderSection = (title, audit) => {
+  const outcomes = audit.outcomes.map(o => `
+  <h3>${escapeHtml(o.label)} <small>reference group: ${escapeHtml(o.referenceGroup ?? '—')}</small></h3>
+  <table>
+    <tr><th>Group</th><th>Applicants</th><th>Approval rate</th><th>Adverse-impact ratio</th>
+        <th>Mean score</th><th>P10</th><th>P25</th><th>Median</th><th>P75</th><th>P90</th></tr>${o.groups.map(g => `
+    <tr${g.flagged ? ' class="flagged"' : ''}>
+      <td>${escapeHtml(g.group)}${g.sufficientData ? '' : ' <small>(too few to judge)</small>'}</td>
+      <td>${g.count}</td>
+      <td>${pct(g.approvalRate)}</td>
+      <td>${g.adverseImpactRatio === null ? '—' : g.adverseImpactRatio.toFixed(2)}</td>
+      <td>${g.meanScore ?? '—'}</td>
+      <td>${g.scores.p10 ?? '—'}</td><td>${g.scores.p25 ?? '—'}</td><td>${g.scores.median ?? '—'}</td>
+      <td>${g.scores.p75 ?? '—'}</td><td>${g.scores.p90 ?? '—'}</td>
+    </tr>`).join('')}
+  </table>`).join('');
+
+  const proxies = audit.proxies.length === 0 ? '' : `
+  <h3>Factor association with protected attributes</h3>
+  <table>
+    <tr><th>Factor</th><th>Attribute</th><th>Cramér's V</th><th></th></tr>${audit.proxies.map(p => `
+    <tr${p.flagged ? ' class="flagged"' : ''}>
+      <td>${escapeHtml(p.label)}</td>
+      <td>${ATTRIBUTE_NAMES[p.attribute]}</td>
+      <td>${p.cramersV.toFixed(3)}</td>
+      <td>${p.direct ? 'direct use' : p.flagged ? 'possible proxy' : ''}</td>
+    </tr>`).join('')}
+  </table>`;
+
+  const flags = audit.flags.length === 0
+    ? '<p class="ok">No adverse impact or proxy factors flagged.</p>'
+    : `<ul class="flags">${audit.flags.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>`;
+
+  return `
+  <h2>${escapeHtml(title)}</h2>
+  ${flags}${outcomes}${proxies}`;
+};
+
+const renderHtml = (report, source) => {
+  const sections = report.strategies
+    ? report.strategies.map(s => renderSection(`Strategy: ${s.name}`, s)).join('')
+    : renderSection('Stored decisions', report);
+
+  return renderPage(`Fairness audit — ${source}`, `
+  <h1>Fairness and disparate-impact audit</h1>
+  <div class="meta">
+    ${escapeHtml(source)} · ${report.applications ?? report.count} records
+    ${report.threshold ? `· approval threshold ${report.threshold} ` : ''}· generated ${escapeHtml(report.generatedAt)}
+  </div>
+  ${sections}
+
+  <p class="notes">
+    Adverse-impact ratio = a group's approval rate ÷ the approval rate of the most-approved group with at
+    least 30 applicants; below 0.80 fails the four-fifths rule. Cramér's V measures how strongly the reason
+    code a factor assigns depends on the group (0 = independent, 1 = fully determined); 0.30 or more marks
+    the factor as a possible proxy. The age factor uses age directly. Applicants with no recorded gender or
+    date of birth appear as "Unknown" and are never the reference group.
+  </p>`);
+};
+
+const printAudit = (title, audit) => {
+  console.log(`\n${title}`);
+  audit.outcomes.forEach(o => {
+    const groups = o.groups
+      .map(g => `${g.group} ${pct(g.approvalRate)}${g.adverseImpactRatio === null ? '' : ` (AIR ${g.adverseImpactRatio.toFixed(2)})`}`)
+      .join(' · ');
+    console.log(`  ${o.label.padEnd(9)} ${groups}`);
+  });
+  audit.flags.forEach(f => console.log(`  ⚠️  ${f}`));
+};
+
+const main = () => {
+  const args   = parseArgs(process.argv.slice(2));
+  const source = path.basename(args.input);
+
+  let report;
+  if (args.input.toLowerCase().endsWith('.json')) {
+    const data = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+    report = auditDecisions(Array.isArray(data) ? data : data.decisions || []);
+    printAudit(`${report.count} stored decisions`, report);
+  } else {
+    report = auditStrategies(readApplications(args.input, null), { strategies: args.strategies, threshold: args.threshold });
+    console.log(`\n${report.applications} applications · threshold ${report.threshold}`);
+    report.strategies.forEach(s => printAudit(s.name, s));
+  }
+
+  writeFile(args.json, JSON.stringify({ source, ...report }, null, 2) + '\n');
+  writeFile(args.html, renderHtml(report, source));
+  console.log(`\nWrote ${args.json} and ${args.html}`);
+};
+
+try {
+  main();
+} catch (e) {
+  console.error(`\n❌ ${e.message}`);
+  process.exit(1);
+}
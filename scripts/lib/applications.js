@@ -0,0 +1,68 @@
+/**
+ * Labelled historical applications from CSV, shared by the offline
+ * scripts (train-scorecard, backtest).
+ *
+ * One row per application: the UserFinancialProfile constructor fields
+ * (incomeSources / expenseCategories / creditFacilities as JSON cells)
+ * plus a default flag column (1/0, true/false, yes/no).
+ */
+
+const fs = require('fs');
+
+const UserFinancialProfile = require('../../services/UserFinancialProfile').default;
+
+/** RFC 4180-style: quoted fields may hold commas, newlines and "" escapes */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"')                   quoted = false;
+      else                                  field += c;
+    } else if (c === '"')  quoted = true;
+    else if (c === ',')    { row.push(field); field = ''; }
+    else if (c === '\n')   { row.push(field); rows.push(row); row = []; field = ''; }
+    else if (c !== '\r')   field += c;
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+};
+
+const toValue = (column, raw) => {
+  const v = raw.trim();
+  if (v.startsWith('[') || v.startsWith('{')) {
+    try {
+      return JSON.parse(v);
+    } catch (e) {
+      throw new Error(`column "${column}" is not valid JSON (${e.message})`);
+    }
+  }
+  return v !== '' && !isNaN(Number(v)) ? Number(v) : v;
+};
+
+const isDefault = (raw) => ['1', 'true', 'yes', 'y'].includes(String(raw).trim().toLowerCase());
+
+/**
+ * @param {string} file - CSV path
+ * @param {string|null} target - Default flag column (null when outcomes aren't needed)
+ * @returns {object[]} - [{ profile: UserFinancialProfile, defaulted: boolean, row: object }]
+ */
+const readApplications = (file, target = 'defaulted') => {
+  const [header = [], ...lines] = parseCsv(fs.readFileSync(file, 'utf8'));
+  const columns = header.map(h => h.trim());
+  if (target && !columns.includes(target)) throw new Error(`Column "${target}" not found in ${file}`);
+
+  return lines.map((cells, i) => {
+    try {
+      const row = {};
+      columns.forEach((col, j) => { row[col] = toValue(col, cells[j] ?? ''); });
+      return { profile: new UserFinancialProfile(row), defaulted: target ? isDefault(row[target]) : false, row };
+    } catch (e) {
+      throw new Error(`Row ${i + 2}: ${e.message}`);
+    }
+  });
+};
+
+module.exports = { parseCsv, readApplications };
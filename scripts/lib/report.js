@@ -0,0 +1,50 @@
+/**
+ * Shared output helpers for the offline report scripts (backtest,
+ * fairness-audit): HTML escaping, a common page shell, file writing.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const pct        = (v) => (v === null || v === undefined ? '—' : `${(v * 100).toFixed(1)}%`);
+
+const STYLES = `
+  body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; color: #1F2937; margin: 32px; }
+  h1 { color: #1E3A8A; margin-bottom: 4px; }
+  .meta { color: #6B7280; margin-bottom: 24px; }
+  table { border-collapse: collapse; margin-bottom: 24px; }
+  th, td { border: 1px solid #E5E7EB; padding: 8px 12px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #F3F4F6; }
+  tr.best td { background: #ECFDF5; }
+  tr.flagged td { background: #FEF2F2; }
+  small { color: #6B7280; }
+  .matrices { display: flex; flex-wrap: wrap; gap: 24px; }
+  .matrix h3 { margin: 0 0 8px; font-size: 15px; }
+  td.good { color: #047857; } td.bad { color: #B91C1C; }
+  .flags { color: #B91C1C; }
+  .ok { color: #047857; }
+  .notes { color: #6B7280; font-size: 13px; max-width: 760px; }
+`;
+
+/** Complete HTML document around a report body */
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+const writeFile = (file, content) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+};
+
+module.exports = { escapeHtml, pct, renderPage, writeFile };
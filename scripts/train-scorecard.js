@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * Train a WoE logistic-regression PD model from historical applications.
+ *
+ *   npm run train-scorecard -- data/applications.csv
+ *
+ * The CSV has one row per past application: the UserFinancialProfile
+ * constructor fields plus a default flag column (see lib/applications.js).
+ *
+ * Each candidate variable is read from UserFinancialProfile.toJSON(),
+ * binned into quantiles, then adjacent bins are merged until every bin
+ * is large enough and the weight of evidence (WoE) is monotonic.
+ * Variables below --min-iv are dropped, a logistic regression is fitted
+ * on the WoE values, and the result is written in the format
+ * PdModelLoader.js loads (and validated with it first). Each bin's
+ * reason code comes from the variable's value bands below, matched
+ * against the bin's median value.
+ *
+ * By default the model replaces config/models/logistic-pd.json — the
+ * model PdModelLoader.js bundles and the Logistic PD strategy (and
+ * npm run backtest) scores with. Write anywhere else with --out to
+ * inspect a model without shipping it; the app does not load it.
+ *
+ * Options:
+ *   --out <file>       Output JSON (default: config/models/logistic-pd.json)
+ *   --id <id>          Model id (default: logistic-pd; must be logistic-pd for the default --out)
+ *   --name <name>      Display name (default: "Logistic PD")
+ *   --version <x.y.z>  Model version (default: 1.0.0)
+ *   --target <column>  Default flag column (default: defaulted)
+ *   --bins <n>         Starting quantile bins per variable (default: 6)
+ *   --min-bin <share>  Smallest bin as a share of rows (default: 0.05)
+ *   --min-iv <iv>      Drop variables below this IV (default: 0.02)
+ */
+
+require('sucrase/register');
+
+const fs   = require('fs');
+const path = require('path');
+
+const { auc }              = require('../services/Backtest');
+const { validatePdModel }  = require('../services/PdModelLoader');
+const { binMatches }       = require('../services/ScorecardLoader');
+const { readApplications } = require('./lib/applications');
+
+const BUNDLED_MODEL_ID  = 'logistic-pd';
+const BUNDLED_MODEL_OUT = path.join('config', 'models', `${BUNDLED_MODEL_ID}.json`);
+
+// ── Candidate variables ───────────────────────────────────────
+// field: UserFinancialProfile.toJSON() key. bands: the reason code for
+// a value — first match wins, last is the catch-all — using the same
+// cut-offs as the bundled scorecards, so the code describes the value.
+const VARIABLES = [
+  { field: 'postLoanDti',              factor: 'dti',         format: 'dti', bands: [
+    { lt: 20, code: 'DTI_LOW' }, { lt: 35, code: 'DTI_MODERATE' }, { lt: 40, code: 'DTI_ELEVATED' },
+    { lt: 50, code: 'DTI_HIGH' }, { code: 'DTI_EXCEEDS_CAP' }] },
+  { field: 'bankableIncome',           factor: 'income',      format: 'egpMonthly', bands: [
+    { gte: 50000, code: 'INCOME_HIGH' }, { gte: 25000, code: 'INCOME_ADEQUATE' }, { gte: 15000, code: 'INCOME_MODERATE' },
+    { gte: 10000, code: 'INCOME_MINIMUM' }, { code: 'INCOME_BELOW_MINIMUM' }] },
+  { field: 'employmentStabilityScore', factor: 'employment',  format: 'outOf100', bands: [
+    { gte: 85, code: 'EMPLOYMENT_STABLE' }, { gte: 60, code: 'EMPLOYMENT_MODERATE' }, { gt: 0, code: 'EMPLOYMENT_LIMITED' },
+    { code: 'EMPLOYMENT_NONE' }] },
+  { field: 'employmentYears',          factor: 'tenure',      format: 'years', bands: [
+    { gte: 5, code: 'TENURE_LONG' }, { gte: 2, code: 'TENURE_ESTABLISHED' }, { gte: 0.5, code: 'TENURE_SHORT' },
+    { code: 'TENURE_PROBATION' }] },
+  { field: 'savingsRate',              factor: 'savings',     format: 'percent', bands: [
+    { gte: 25, code: 'SAVINGS_STRONG' }, { gte: 15, code: 'SAVINGS_GOOD' }, { gte: 5, code: 'SAVINGS_MODERATE' },
+    { gt: 0, code: 'SAVINGS_LOW' }, { code: 'SAVINGS_NONE' }] },
+  { field: 'disposableIncome',         factor: 'disposable',  format: 'egpMonthly', bands: [
+    { gte: 25000, code: 'DISPOSABLE_HIGH' }, { gte: 5000, code: 'DISPOSABLE_MODERATE' }, { gt: 0, code: 'DISPOSABLE_LOW' },
+    { code: 'DISPOSABLE_NONE' }] },
+  { field: 'age',                      factor: 'age',         format: 'plain', bands: [
+    { gte: 30, lte: 50, code: 'AGE_OPTIMAL' }, { gte: 25, lte: 55, code: 'AGE_ACCEPTABLE' },
+    { gte: 21, lte: 65, code: 'AGE_EDGE' }, { code: 'AGE_INELIGIBLE' }] },
+  { field: 'loanToIncomeRatio',        factor: 'lti',         format: 'multiple', bands: [
+    { gt: 7, code: 'LTI_EXCESSIVE' }, { gt: 5, code: 'LTI_VERY_HIGH' }, { gt: 4, code: 'LTI_HIGH' },
+    { gt: 3, code: 'LTI_ELEVATED' }, { code: 'LTI_OK' }] },
+  { field: 'creditCardUtilization',    factor: 'utilization', format: 'percentWhole', optional: true, bands: [
+    { gt: 90, code: 'UTILIZATION_MAXED' }, { gt: 70, code: 'UTILIZATION_HIGH' }, { gt: 50, code: 'UTILIZATION_ELEVATED' },
+    { code: 'UTILIZATION_OK' }] },
+];
+
+// Conventional IV bands
+const ivStrength = (iv) => {
+  if (iv < 0.02) return 'not predictive';
+  if (iv < 0.1)  return 'weak';
+  if (iv < 0.3)  return 'medium';
+  if (iv < 0.5)  return 'strong';
+  return 'suspiciously strong';
+};
+
+// ── CLI ───────────────────────────────────────────────────────
+const parseArgs = (argv) => {
+  const args = {
+    input: null, out: null, id: BUNDLED_MODEL_ID, name: 'Logistic PD', version: '1.0.0',
+    target: 'defaulted', bins: 6, minBin: 0.05, minIv: 0.02,
+  };
+  const numeric = { '--bins': 'bins', '--min-bin': 'minBin', '--min-iv': 'minIv' };
+  const text    = { '--out': 'out', '--id': 'id', '--name': 'name', '--version': 'version', '--target': 'target' };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (numeric[flag])   args[numeric[flag]] = Number(argv[++i]);
+    else if (text[flag]) args[text[flag]]    = argv[++i];
+    else if (!flag.startsWith('--') && !args.input) args.input = flag;
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  if (!args.input) throw new Error('Usage: train-scorecard <applications.csv> [--out file] [--id id] …');
+  if (!args.out && args.id !== BUNDLED_MODEL_ID) {
+    throw new Error(`The app loads ${BUNDLED_MODEL_OUT} as model "${BUNDLED_MODEL_ID}" — pass --out to write model "${args.id}" elsewhere`);
+  }
+  args.out = args.out || BUNDLED_MODEL_OUT;
+  return args;
+};
+
+// ── Binning / WoE ─────────────────────────────────────────────
+// +0.5 smoothing keeps WoE finite for bins with no goods or no bads
+const woeOf = (good, bad, totalGood, totalBad) =>
+  Math.log(((good + 0.5) / (totalGood + 0.5)) / ((bad + 0.5) / (totalBad + 0.5)));
+
+const summarize = (bins, totalGood, totalBad) => bins.map(b => {
+  const woe = woeOf(b.good, b.bad, totalGood, totalBad);
+  const iv  = ((b.good / totalGood) - (b.bad / totalBad)) * woe;
+  return { ...b, woe, iv };
+});
+
+const isMonotonic = (bins) => {
+  const diffs = bins.slice(1).map((b, i) => b.woe - bins[i].woe);
+  return diffs.every(d => d >= 0) || diffs.every(d => d <= 0);
+};
+
+/**
+ * Quantile bins, then merge the closest-WoE neighbours until every bin
+ * holds at least minCount rows and WoE moves in one direction
+ * @returns {object[]} - [{ upper, count, good, bad, woe, iv }] ascending; last upper = Infinity
+ */
+const binVariable = (points, options, totalGood, totalBad) => {
+  const sorted = [...points].sort((a, b) => a.value - b.value);
+  const edges  = new Set();
+  for (let q = 1; q < options.bins; q++) edges.add(sorted[Math.floor((q / options.bins) * sorted.length)].value);
+
+  let bins = [...edges, Infinity].sort((a, b) => a - b).map(upper => ({ upper, count: 0, good: 0, bad: 0 }));
+  sorted.forEach(p => {
+    const bin = bins.find(b => p.value < b.upper);
+    bin.count++;
+    if (p.bad) bin.bad++; else bin.good++;
+  });
+  bins = summarize(bins.filter(b => b.count > 0), totalGood, totalBad);
+
+  const minCount = Math.max(options.minBin * points.length, 1);
+  while (bins.length > 1 && (!isMonotonic(bins) || bins.some(b => b.count < minCount))) {
+    // Merge the neighbouring pair whose WoE is closest (small bins first)
+    let best = 0, bestCost = Infinity;
+    for (let i = 0; i < bins.length - 1; i++) {
+      const small = bins[i].count < minCount || bins[i + 1].count < minCount;
+      const cost  = Math.abs(bins[i].woe - bins[i + 1].woe) - (small ? 1e6 : 0);
+      if (cost < bestCost) { bestCost = cost; best = i; }
+    }
+    const [a, b] = [bins[best], bins[best + 1]];
+    const merged = { upper: b.upper, count: a.count + b.count, good: a.good + b.good, bad: a.bad + b.bad };
+    bins = summarize([...bins.slice(0, best), merged, ...bins.slice(best + 2)], totalGood, totalBad);
+  }
+  return bins;
+};
+
+const binIndex = (bins, value) => bins.findIndex(b => value < b.upper);
+
+// ── Logistic regression (Newton–Raphson) ──────────────────────
+const solve = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col || M[col][col] === 0) continue;
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  return M.map((row, i) => row[n] / (row[i] || 1));
+};
+
+/**
+ * Fit ln(odds of repaying) = b0 + Σ bi·xi
+ * @param {number[][]} X - WoE rows (no intercept column)
+ * @param {number[]} y   - 1 = repaid, 0 = defaulted
+ */
+const fitLogistic = (X, y, iterations = 25, ridge = 1e-6) => {
+  const k = X[0].length + 1;
+  let beta = new Array(k).fill(0);
+  for (let it = 0; it < iterations; it++) {
+    const H = Array.from({ length: k }, () => new Array(k).fill(0));
+    const g = new Array(k).fill(0);
+    X.forEach((row, i) => {
+      const x = [1, ...row];
+      const p = 1 / (1 + Math.exp(-x.reduce((s, v, j) => s + v * beta[j], 0)));
+      const w = p * (1 - p);
+      for (let a = 0; a < k; a++) {
+        g[a] += (y[i] - p) * x[a];
+        for (let b = 0; b < k; b++) H[a][b] += w * x[a] * x[b];
+      }
+    });
+    for (let a = 0; a < k; a++) H[a][a] += ridge;
+    const step = solve(H, g);
+    beta = beta.map((v, j) => v + step[j]);
+    if (Math.max(...step.map(Math.abs)) < 1e-8) break;
+  }
+  return beta;
+};
+
+// ── Output ────────────────────────────────────────────────────
+const round = (n, dp = 4) => Math.round(n * 10 ** dp) / 10 ** dp;
+
+/** Median of the sorted values in each bin */
+const binMedians = (bins, values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return bins.map((b, i) => {
+    const lower  = i === 0 ? -Infinity : bins[i - 1].upper;
+    const inside = sorted.filter(v => v >= lower && v < b.upper);
+    return inside[Math.floor((inside.length - 1) / 2)];
+  });
+};
+
+/** The variable's reason code for a value */
+const codeFor = (variable, value) => variable.bands.find(band => binMatches(band, value)).code;
+
+/**
+ * Bins → model JSON bins (ascending "lt" edges, catch-all last),
+ * each coded by the value band its median falls in
+ */
+const toModelBins = (variable, bins, values) => {
+  const medians = binMedians(bins, values);
+  return bins.map((b, i) => (b.upper === Infinity
+    ? { woe: round(b.woe), code: codeFor(variable, medians[i]) }
+    : { lt: round(b.upper, 6), woe: round(b.woe), code: codeFor(variable, medians[i]) }));
+};
+
+const formatRange = (bins, i) => {
+  const lower = i === 0 ? '-∞' : round(bins[i - 1].upper, 2);
+  const upper = bins[i].upper === Infinity ? '∞' : round(bins[i].upper, 2);
+  return `[${lower}, ${upper})`;
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const apps = readApplications(args.input, args.target)
+    .map(a => ({ features: a.profile.toJSON(), bad: a.defaulted }));
+  const totalBad  = apps.filter(a => a.bad).length;
+  const totalGood = apps.length - totalBad;
+  if (totalBad === 0 || totalGood === 0) throw new Error('Need both defaulted and repaid applications to train');
+
+  console.log(`\n${apps.length} applications · ${totalBad} defaults (${((totalBad / apps.length) * 100).toFixed(1)}%)\n`);
+
+  // Bin every candidate and report its predictive power
+  const analysed = VARIABLES.map(variable => {
+    const points = apps
+      .map(a => ({ value: a.features[variable.field], bad: a.bad }))
+      .filter(p => typeof p.value === 'number' && Number.isFinite(p.value));
+    if (points.length === 0) return { variable, bins: [], values: [], iv: 0 };
+    const good = points.filter(p => !p.bad).length;
+    const bins = binVariable(points, args, good || 1, (points.length - good) || 1);
+    return { variable, bins, values: points.map(p => p.value), iv: bins.reduce((s, b) => s + b.iv, 0) };
+  });
+
+  console.log('Variable                   IV      Bins  Predictive power');
+  console.log('─────────────────────────  ──────  ────  ───────────────────');
+  analysed.forEach(({ variable, bins, iv }) => {
+    console.log(`${variable.field.padEnd(25)}  ${iv.toFixed(3).padStart(6)}  ${String(bins.length).padStart(4)}  ${ivStrength(iv)}`);
+  });
+
+  let selected = analysed.filter(a => a.iv >= args.minIv && a.bins.length > 1);
+  if (selected.length === 0) throw new Error(`No variable reached the minimum IV of ${args.minIv}`);
+
+  // Fit; a negative WoE coefficient means the variable is reversed by
+  // collinearity with another — drop it and refit
+  const y = apps.map(a => (a.bad ? 0 : 1));
+  let beta;
+  for (;;) {
+    const X = apps.map(a => selected.map(({ variable, bins }) => {
+      const value = a.features[variable.field];
+      return value === null || value === undefined ? 0 : bins[binIndex(bins, value)].woe;
+    }));
+    beta = fitLogistic(X, y);
+    const reversed = beta.slice(1).findIndex(b => b <= 0);
+    if (reversed === -1 || selected.length === 1) break;
+    console.log(`\nDropping ${selected[reversed].variable.field}: coefficient ${beta[reversed + 1].toFixed(3)} (collinear)`);
+    selected = selected.filter((_, i) => i !== reversed);
+  }
+
+  const model = {
+    id:          args.id,
+    version:     args.version,
+    name:        args.name,
+    description: `WoE logistic-regression PD model trained on ${apps.length} applications (${path.basename(args.input)})`,
+    type:        'woe-logistic',
+    intercept:   round(beta[0]),
+    features:    selected.map(({ variable, bins, values }, i) => ({
+      factor:      variable.factor,
+      field:       variable.field,
+      format:      variable.format,
+      coefficient: round(beta[i + 1]),
+      ...(variable.optional ? { optional: true } : {}),
+      bins:        toModelBins(variable, bins, values),
+    })),
+  };
+
+  const errors = validatePdModel(model);
+  if (errors.length > 0) throw new Error(`Trained model failed validation:\n  ${errors.join('\n  ')}`);
+
+  // Training-set discrimination
+  const logOdds = apps.map(a => model.features.reduce((s, f, i) => {
+    const value = a.features[f.field];
+    const bins  = selected[i].bins;
+    return value === null || value === undefined ? s : s + f.coefficient * bins[binIndex(bins, value)].woe;
+  }, model.intercept));
+  const area = auc(logOdds, apps.map(a => a.bad));
+
+  console.log('\nSelected variables');
+  selected.forEach(({ variable, bins }, i) => {
+    console.log(`\n  ${variable.field}  (coefficient ${model.features[i].coefficient})`);
+    bins.forEach((b, j) => {
+      console.log(`    ${formatRange(bins, j).padEnd(24)} n=${String(b.count).padStart(6)}  bad rate ${((b.bad / b.count) * 100).toFixed(1).padStart(5)}%  WoE ${b.woe.toFixed(3).padStart(7)}  ${model.features[i].bins[j].code}`);
+    });
+  });
+  console.log(`\nTraining AUC ${area.toFixed(3)} · Gini ${(2 * area - 1).toFixed(3)}`);
+
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, JSON.stringify(model, null, 2) + '\n');
+  console.log(`\nWrote ${args.out}`);
+};
+
+try {
+  main();
+} catch (e) {
+  console.error(`\n❌ ${e.message}`);
+  process.exit(1);
+}
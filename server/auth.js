@@ -0,0 +1,60 @@
+/**
+ * Who is calling the API proxy.
+ *
+ * The app sends the signed-in user's Firebase ID token as a Bearer
+ * token. With FIREBASE_WEB_API_KEY set, the proxy checks it against
+ * the Identity Toolkit accounts:lookup endpoint (no extra packages)
+ * and the quota is kept per Firebase user. Without the key — local
+ * development — callers are anonymous and counted per IP address.
+ */
+
+const LOOKUP_URL = 'https://identitytoolkit.googleapis.com/v1/accounts:lookup';
+const CACHE_MS   = 5 * 60 * 1000;
+const CACHE_SIZE = 1000;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * @param {object} options - { firebaseApiKey, now() }
+ * @returns {function} - async identify(req) → { userId, verified }
+ */
+const createAuthenticator = ({ firebaseApiKey, now = () => Date.now() }) => {
+  const verified = new Map();   // token → { userId, expiresAt }
+
+  const lookup = async (token) => {
+    const response = await fetch(`${LOOKUP_URL}?key=${encodeURIComponent(firebaseApiKey)}`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ idToken: token }),
+    });
+    if (!response.ok) throw new AuthError('Invalid or expired ID token');
+    const data = await response.json();
+    const userId = data.users?.[0]?.localId;
+    if (!userId) throw new AuthError('Invalid or expired ID token');
+    return userId;
+  };
+
+  return async (req) => {
+    const ip = req.socket.remoteAddress || 'unknown';
+    if (!firebaseApiKey) return { userId: `ip:${ip}`, verified: false };
+
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) throw new AuthError('Sign in to use the AI assessment');
+    const token = match[1];
+
+    const cached = verified.get(token);
+    if (cached && cached.expiresAt > now()) return { userId: cached.userId, verified: true };
+
+    const userId = await lookup(token);
+    if (verified.size >= CACHE_SIZE) verified.delete(verified.keys().next().value);
+    verified.set(token, { userId, expiresAt: now() + CACHE_MS });
+    return { userId, verified: true };
+  };
+};
+
+module.exports = { AuthError, createAuthenticator };
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/**
+ * API proxy for the AI loan assessment and advisor — keeps the model key off the device.
+ *
+ *   LLM_API_KEY=sk-... npm run proxy
+ *   node --env-file=server/.env server/index.js
+ *
+ * The app (EXPO_PUBLIC_LLM_PROVIDER=proxy) posts the applicant's
+ * redacted metrics (services/AiRedaction.js), never a prompt:
+ *
+ *   POST /v1/assessments   { purpose: 'loan-eligibility', profile: {...} }
+ *                          { purpose: 'loan-advisor', profile: {...}, context: {...} }
+ *                          → { content, model, provider, promptVersion }
+ *   GET  /health
+ *
+ * The proxy accepts only fields allowed by AI_DATA_POLICY
+ * (config/lendingPolicy.js) and, for the advisor chat, a context
+ * checked field by field (services/LoanAdvisorPrompt.js). It writes
+ * the prompt itself (services/LoanAssessmentPrompt.js,
+ * services/LoanAdvisorPrompt.js), enforces the daily quotas — shared
+ * by assessments and advisor questions — and forwards the call
+ * through services/LLMClient.js.
+ *
+ * Environment:
+ *   PORT                     (default 8787)
+ *   LLM_PROVIDER             openai | azure | openai-compatible | mock (default openai)
+ *   LLM_API_KEY              falls back to OPENAI_API_KEY
+ *   LLM_MODEL, LLM_BASE_URL, LLM_AZURE_DEPLOYMENT, LLM_AZURE_API_VERSION,
+ *   LLM_TEMPERATURE, LLM_MAX_TOKENS, LLM_TIMEOUT_MS (default 15000),
+ *   LLM_MAX_RETRIES (default 0 — the app retries)
+ *   PROXY_DAILY_QUOTA        AI requests per user per UTC day (default 50)
+ *   PROXY_IP_DAILY_QUOTA     AI requests per IP address per UTC day (default 200)
+ *   PROXY_ALLOWED_ORIGIN     CORS origin for Expo web (default *)
+ *   FIREBASE_WEB_API_KEY     verify the app's Firebase ID tokens (server/auth.js);
+ *                            unset = anonymous callers, quota per IP
+ */
+
+require('sucrase/register');
+
+const { Buffer } = require('buffer');
+const http = require('http');
+
+const { checkRedactedPayload } = require('../services/AiRedaction');
+const { createLLMClient, LLM_FAILURES, PROXY_PATH } = require('../services/LLMClient');
+const { ADVISOR_PROMPT_VERSION, buildAdvisorMessages, checkAdvisorContext, mockAdvisorReply } =
+  require('../services/LoanAdvisorPrompt');
+const { buildLoanEligibilityMessages, mockLoanAssessment, PROMPT_VERSION } =
+  require('../services/LoanAssessmentPrompt');
+const { AuthError, createAuthenticator } = require('./auth');
+const { createQuota } = require('./quota');
+
+const MAX_BODY_BYTES = 32 * 1024;
+
+// Each purpose: the messages for a checked body, and the prompt version they use
+const PURPOSES = {
+  'loan-eligibility': {
+    promptVersion: PROMPT_VERSION,
+    buildMessages: (payload) => buildLoanEligibilityMessages(payload),
+  },
+  'loan-advisor': {
+    promptVersion: ADVISOR_PROMPT_VERSION,
+    maxTokens:     500,
+    buildMessages: (payload, body) => {
+      const problems = checkAdvisorContext(body.context);
+      if (problems.length > 0) throw new RequestError(400, problems.join('; '));
+      return buildAdvisorMessages({ profile: payload, ...body.context });
+    },
+  },
+};
+
+const readNumber = (value, fallback) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+class RequestError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name    = 'RequestError';
+    this.status  = status;
+    this.headers = headers;
+  }
+}
+
+// ── Settings ──────────────────────────────────────────────────
+const env = process.env;
+const settings = {
+  port:           readNumber(env.PORT, 8787),
+  userQuota:      readNumber(env.PROXY_DAILY_QUOTA, 50),
+  ipQuota:        readNumber(env.PROXY_IP_DAILY_QUOTA, 200),
+  allowedOrigin:  env.PROXY_ALLOWED_ORIGIN || '*',
+  firebaseApiKey: env.FIREBASE_WEB_API_KEY || '',
+  llm: {
+    provider:        (env.LLM_PROVIDER || 'openai').trim().toLowerCase(),
+    model:           env.LLM_MODEL || 'gpt-4o',
+    apiKey:          env.LLM_API_KEY || env.OPENAI_API_KEY || '',
+    baseUrl:         env.LLM_BASE_URL || '',
+    azureDeployment: env.LLM_AZURE_DEPLOYMENT || '',
+    azureApiVersion: env.LLM_AZURE_API_VERSION || '2024-06-01',
+    temperature:     readNumber(env.LLM_TEMPERATURE, 0.2),
+    maxTokens:       readNumber(env.LLM_MAX_TOKENS, 1500),
+    timeoutMs:       readNumber(env.LLM_TIMEOUT_MS, 15000),
+    maxRetries:      readNumber(env.LLM_MAX_RETRIES, 0),
+  },
+};
+
+// ── Request body ──────────────────────────────────────────────
+const readJson = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let bytes = 0;
+  req.on('data', (chunk) => {
+    // Counted in bytes, not characters; keep draining so the 413 can still be sent
+    bytes += chunk.length;
+    if (bytes <= MAX_BODY_BYTES) chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (bytes > MAX_BODY_BYTES) { reject(new RequestError(413, 'Request body too large')); return; }
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch (_error) {
+      reject(new RequestError(400, 'Body is not valid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+/**
+ * The redacted payload, checked field by field against the data
+ * policy — unknown fields and free-form text are refused, so nothing
+ * else can reach the prompt
+ * @returns {object}
+ */
+const readPayload = (input) => {
+  const problems = checkRedactedPayload(input);
+  if (problems.length > 0) throw new RequestError(400, problems.join('; '));
+  return input;
+};
+
+// ── Upstream failures ─────────────────────────────────────────
+// The app retries 5xx without a long Retry-After (services/LLMClient.js)
+const failureResponse = (reply, llm) => {
+  switch (reply.reason) {
+    case LLM_FAILURES.TIMEOUT:
+      return new RequestError(504, 'The AI service timed out');
+    case LLM_FAILURES.CIRCUIT_OPEN: {
+      const seconds = Math.max(Math.ceil((llm.getCircuitState().openUntil - Date.now()) / 1000), 1);
+      return new RequestError(503, 'The AI service is paused after repeated failures', { 'Retry-After': String(seconds) });
+    }
+    default:
+      return new RequestError(502, `The AI service failed${reply.status ? ` (HTTP ${reply.status})` : ''}`);
+  }
+};
+
+// ── Server ────────────────────────────────────────────────────
+const createServer = ({ llm, identify, userQuota, ipQuota, allowedOrigin }) => {
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+      'Content-Type':                 'application/json',
+      'Access-Control-Allow-Origin':  allowedOrigin,
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      ...headers,
+    });
+    res.end(body === null ? '' : JSON.stringify(body));
+  };
+
+  const assess = async (req, res) => {
+    const caller = await identify(req);
+    const ipKey  = `ip:${req.socket.remoteAddress || 'unknown'}`;
+
+    const body = await readJson(req);
+    const purpose = Object.hasOwn(PURPOSES, body.purpose) ? PURPOSES[body.purpose] : null;
+    if (!purpose) {
+      throw new RequestError(400, `purpose must be one of: ${Object.keys(PURPOSES).join(', ')}`);
+    }
+    const payload  = readPayload(body.profile);
+    const messages = purpose.buildMessages(payload, body);
+
+    // Taken before the call and refunded unless it is answered
+    const userTaken = userQuota.take(caller.userId);
+    const ipTaken   = userTaken.allowed ? ipQuota.take(ipKey) : null;
+    if (!ipTaken?.allowed) {
+      if (ipTaken) userQuota.refund(caller.userId, userTaken);
+      const exhausted = ipTaken || userTaken;
+      const seconds = Math.ceil((exhausted.resetAt - Date.now()) / 1000);
+      throw new RequestError(429, 'Daily AI quota reached', { 'Retry-After': String(seconds) });
+    }
+
+    let reply;
+    try {
+      reply = await llm.complete({
+        purpose:  body.purpose,
+        messages,
+        metadata: payload,
+        ...(body.context ? { context: body.context } : {}),
+        ...(purpose.maxTokens ? { maxTokens: purpose.maxTokens } : {}),
+      });
+    } finally {
+      if (!reply?.success) {
+        userQuota.refund(caller.userId, userTaken);
+        ipQuota.refund(ipKey, ipTaken);
+      }
+    }
+    if (!reply.success) throw failureResponse(reply, llm);
+
+    send(res, 200, {
+      content:       reply.content,
+      model:         reply.model,
+      provider:      reply.provider,
+      promptVersion: purpose.promptVersion,
+    }, { 'X-Quota-Remaining': String(userTaken.remaining) });
+  };
+
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    const path = (req.url || '').split('?')[0];
+    try {
+      if (req.method === 'OPTIONS') {
+        send(res, 204, null);
+      } else if (req.method === 'GET' && path === '/health') {
+        send(res, 200, { ok: true, provider: llm.provider, model: llm.model, promptVersion: PROMPT_VERSION });
+      } else if (req.method === 'POST' && path === PROXY_PATH) {
+        await assess(req, res);
+      } else {
+        throw new RequestError(404, 'Not found');
+      }
+    } catch (error) {
+      const status = error instanceof RequestError ? error.status
+        : error instanceof AuthError ? 401
+          : 500;
+      send(res, status, { error: status === 500 ? 'Internal error' : error.message }, error.headers || {});
+      if (status === 500) console.error('❌', error);
+    } finally {
+      // No profile data in the log
+      console.log(`${req.method} ${path} → ${res.statusCode} (${Date.now() - started} ms)`);
+    }
+  });
+};
+
+const main = () => {
+  const { llm: llmSettings, port } = settings;
+  if (llmSettings.provider === 'proxy') throw new Error('LLM_PROVIDER cannot be "proxy" on the proxy itself');
+
+  const llm = createLLMClient(llmSettings, {
+    mockResponders: { 'loan-eligibility': mockLoanAssessment, 'loan-advisor': mockAdvisorReply },
+  });
+  if (!llm.isConfigured()) {
+    throw new Error(`LLM provider "${llm.provider}" is not configured — set LLM_API_KEY (and LLM_BASE_URL if needed)`);
+  }
+
+  const server = createServer({
+    llm,
+    identify:      createAuthenticator({ firebaseApiKey: settings.firebaseApiKey }),
+    userQuota:     createQuota({ limit: settings.userQuota }),
+    ipQuota:       createQuota({ limit: settings.ipQuota }),
+    allowedOrigin: settings.allowedOrigin,
+  });
+
+  server.listen(port, () => {
+    console.log(`\n🔐 AI proxy on http://localhost:${port} — ${llm.provider} / ${llm.model}, prompt v${PROMPT_VERSION}`);
+    console.log(`   Quota: ${settings.userQuota}/user, ${settings.ipQuota}/IP per day`);
+    if (!settings.firebaseApiKey) {
+      console.log('   ⚠️  FIREBASE_WEB_API_KEY not set — callers are not verified (development only)');
+    }
+  });
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { createServer, readPayload };
@@ -0,0 +1,133 @@
+/**
+ * API proxy quotas under concurrent requests, and the body size limit.
+ *
+ *   npm test
+ */
+
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createServer } = require('./index');
+const { createQuota } = require('./quota');
+const { redactForAi } = require('../services/AiRedaction');
+const { buildPromptProfile } = require('../services/LoanAssessmentPrompt');
+const UserFinancialProfile = require('../services/UserFinancialProfile').default;
+
+const { payload } = redactForAi(buildPromptProfile(new UserFinancialProfile({
+  monthlyIncome:       30000,
+  monthlyExpenses:     9000,
+  age:                 35,
+  employmentType:      'permanent',
+  employmentYears:     4,
+  requestedLoanAmount: 100000,
+  loanTermMonths:      36,
+})));
+
+/** Upstream stand-in: answers after a pause, or fails while failing is set */
+const createFakeLlm = () => {
+  const llm = {
+    provider: 'fake',
+    model:    'fake',
+    calls:    0,
+    failing:  false,
+    complete: async () => {
+      llm.calls++;
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return llm.failing
+        ? { success: false, reason: 'http', status: 500, provider: 'fake', model: 'fake' }
+        : { success: true, content: '{}', provider: 'fake', model: 'fake' };
+    },
+    getCircuitState: () => ({ open: false, consecutiveFailures: 0, openUntil: 0 }),
+  };
+  return llm;
+};
+
+const startProxy = async ({ userLimit, ipLimit }) => {
+  const llm = createFakeLlm();
+  const server = createServer({
+    llm,
+    identify:      async () => ({ userId: 'user-1' }),
+    userQuota:     createQuota({ limit: userLimit }),
+    ipQuota:       createQuota({ limit: ipLimit }),
+    allowedOrigin: '*',
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/v1/assessments`;
+  const post = (body = { purpose: 'loan-eligibility', profile: payload }) => fetch(url, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify(body),
+  }).then(async res => { await res.text(); return res.status; });
+  return { llm, server, post };
+};
+
+const postMany = (post, n) => Promise.all(Array.from({ length: n }, () => post()));
+const count = (statuses, status) => statuses.filter(s => s === status).length;
+
+describe('quota under concurrent requests', () => {
+  let proxy;
+  before(async () => { proxy = await startProxy({ userLimit: 2, ipLimit: 100 }); });
+  after(() => proxy.server.close());
+
+  test('only the user quota reaches upstream', async () => {
+    const statuses = await postMany(proxy.post, 10);
+    assert.equal(count(statuses, 200), 2);
+    assert.equal(count(statuses, 429), 8);
+    assert.equal(proxy.llm.calls, 2);
+  });
+});
+
+describe('IP quota under concurrent requests', () => {
+  let proxy;
+  before(async () => { proxy = await startProxy({ userLimit: 100, ipLimit: 3 }); });
+  after(() => proxy.server.close());
+
+  test('only the IP quota reaches upstream', async () => {
+    const statuses = await postMany(proxy.post, 10);
+    assert.equal(count(statuses, 200), 3);
+    assert.equal(proxy.llm.calls, 3);
+  });
+});
+
+describe('failed upstream calls', () => {
+  let proxy;
+  before(async () => { proxy = await startProxy({ userLimit: 2, ipLimit: 100 }); });
+  after(() => proxy.server.close());
+
+  test('refund the quota they took', async () => {
+    proxy.llm.failing = true;
+    const failed = await postMany(proxy.post, 5);
+    assert.equal(count(failed, 502), 2);
+    assert.equal(count(failed, 429), 3);
+
+    proxy.llm.failing = false;
+    const statuses = await postMany(proxy.post, 5);
+    assert.equal(count(statuses, 200), 2);
+    assert.equal(count(statuses, 429), 3);
+  });
+});
+
+describe('request body limit', () => {
+  let proxy;
+  before(async () => { proxy = await startProxy({ userLimit: 2, ipLimit: 100 }); });
+  after(() => proxy.server.close());
+
+  test('counts bytes, not characters', async () => {
+    // 12,000 three-byte characters: under 32 KB as characters, over it as bytes
+    const status = await proxy.post({ purpose: 'loan-eligibility', profile: payload, note: '€'.repeat(12000) });
+    assert.equal(status, 413);
+    assert.equal(proxy.llm.calls, 0);
+  });
+});
+
+describe('createQuota', () => {
+  test('refund is ignored after the day it was taken', () => {
+    let now = 0;
+    const quota = createQuota({ limit: 1, now: () => now });
+    const taken = quota.take('a');
+    now += 24 * 60 * 60 * 1000;
+    assert.equal(quota.take('a').allowed, true);
+    quota.refund('a', taken);
+    assert.equal(quota.take('a').allowed, false);
+  });
+});
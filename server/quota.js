@@ -0,0 +1,59 @@
+/**
+ * Daily request quotas for the API proxy.
+ *
+ * Fixed window per UTC day, kept in memory — a restart resets every
+ * count, which is fine for one proxy instance. Run several behind a
+ * load balancer and this needs a shared store (Redis, Firestore).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {object} options - { limit: requests per key per day, now() }
+ * @returns {object} - { check(key), take(key), refund(key, taken) }
+ */
+const createQuota = ({ limit, now = () => Date.now() }) => {
+  const used = new Map();   // key → requests today
+  let day = null;
+
+  // A new UTC day starts every count from zero
+  const roll = () => {
+    const today = Math.floor(now() / DAY_MS);
+    if (today !== day) { day = today; used.clear(); }
+  };
+
+  /** { allowed, remaining, resetAt } without using a request */
+  const check = (key) => {
+    roll();
+    const count = used.get(key) || 0;
+    return { allowed: count < limit, remaining: Math.max(limit - count, 0), resetAt: (day + 1) * DAY_MS };
+  };
+
+  /**
+   * Use one request if any are left — checked and counted in one
+   * step, so concurrent requests cannot all pass before any is counted
+   * @returns {object} - { allowed, remaining, resetAt }
+   */
+  const take = (key) => {
+    const status = check(key);
+    if (!status.allowed) return status;
+    used.set(key, (used.get(key) || 0) + 1);
+    return { ...status, remaining: status.remaining - 1 };
+  };
+
+  /**
+   * Give back a request that was not answered
+   * @param {object} taken - take() result; ignored once its day is over
+   */
+  const refund = (key, taken) => {
+    roll();
+    const count = used.get(key) || 0;
+    if (taken.resetAt !== (day + 1) * DAY_MS || count === 0) return;
+    if (count === 1) used.delete(key);
+    else used.set(key, count - 1);
+  };
+
+  return { check, take, refund };
+};
+
+module.exports = { createQuota };
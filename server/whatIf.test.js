@@ -0,0 +1,60 @@
+/**
+ * What-if question parsing (services/WhatIfEngine.js) — loan terms.
+ *
+ *   npm test
+ */
+
+require('sucrase/register');
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseWhatIf } = require('../services/WhatIfEngine');
+const UserFinancialProfile = require('../services/UserFinancialProfile').default;
+
+const profile = new UserFinancialProfile({
+  monthlyIncome:       30000,
+  monthlyExpenses:     9000,
+  age:                 35,
+  employmentType:      'permanent',
+  employmentYears:     4,
+  requestedLoanAmount: 100000,
+  loanTermMonths:      36,
+  creditFacilities:    [{ type: 'car-loan', outstandingBalance: 80000, annualRate: 20, remainingMonths: 24 }],
+});
+
+describe('loan term', () => {
+  test('is read after "over"', () => {
+    assert.deepEqual(parseWhatIf('What if I repay over 5 years?', profile).overrides, { loanTermMonths: 60 });
+  });
+
+  test('is read after "term of"', () => {
+    assert.deepEqual(parseWhatIf('what about a term of 48 months', profile).overrides, { loanTermMonths: 48 });
+  });
+
+  test('is read from "borrow … for"', () => {
+    assert.deepEqual(parseWhatIf('what if I borrow 150k for 3 years?', profile).overrides,
+      { requestedLoanAmount: 150000, loanTermMonths: 36 });
+  });
+
+  test('is not read from an age', () => {
+    assert.equal(parseWhatIf('what if I was 35 years old?', profile), null);
+  });
+
+  test('is not read from a debt payoff deadline', () => {
+    const scenario = parseWhatIf('what if I pay off my car loan in 3 months?', profile);
+    assert.equal(scenario.overrides.loanTermMonths, undefined);
+    assert.deepEqual(scenario.overrides.creditFacilities, []);
+  });
+
+  test('outside the terms offered is a note, not a change', () => {
+    const scenario = parseWhatIf('what if I pay it back over 10 years?', profile);
+    assert.deepEqual(scenario.overrides, {});
+    assert.deepEqual(scenario.notes, ['A 120-month term is outside the 6–84 months offered.']);
+  });
+
+  test('is kept apart from years at the job', () => {
+    assert.deepEqual(parseWhatIf('what if I had 6 years at my job and a 24-month loan?', profile).overrides,
+      { employmentYears: 6, loanTermMonths: 24 });
+  });
+});
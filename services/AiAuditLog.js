@@ -0,0 +1,88 @@
+// app/services/AiAuditLog.js
+// ═══════════════════════════════════════════════════════════════
+// AI AUDIT LOG — Every payload that left the device for the AI
+// One entry per AI call that was actually sent (cache hits and
+// skipped calls send nothing): the redacted payload exactly as
+// sent, the fields withheld, and the response metadata — never
+// the model's reply itself. Kept on the device (AsyncStorage),
+// newest first, capped at maxEntries; shown under Settings.
+// ═══════════════════════════════════════════════════════════════
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = 'aiAuditLog';
+const MAX_ENTRIES = 100;
+
+class AiAuditLog {
+  /**
+   * @param {object} options - { storage (AsyncStorage-compatible), maxEntries, now() }
+   */
+  constructor(options = {}) {
+    this.storage    = options.storage || AsyncStorage;
+    this.maxEntries = options.maxEntries ?? MAX_ENTRIES;
+    this.now        = options.now || (() => Date.now());
+  }
+
+  /**
+   * Logged calls, newest first ([] when the log is unreadable)
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    try {
+      const raw = await this.storage.getItem(STORAGE_KEY);
+      const entries = raw ? JSON.parse(raw) : [];
+      return Array.isArray(entries) ? entries : [];
+    } catch (_err) {
+      return [];
+    }
+  }
+
+  /**
+   * Record one outbound call
+   * @param {object} entry - { purpose, payload, context?, withheld, policyVersion, promptVersion,
+   *                           response: { success, reason, status, provider, model, attempts, durationMs } }
+   * @returns {Promise<object|null>} - the stored entry with id and sentAt, or null when not stored
+   */
+  async append(entry) {
+    const sentAt = this.now();
+    const stored = { id: `${sentAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`, sentAt, ...entry };
+    try {
+      const entries = await this.list();
+      await this.storage.setItem(STORAGE_KEY, JSON.stringify([stored, ...entries].slice(0, this.maxEntries)));
+      return stored;
+    } catch (_err) {
+      return null;
+    }
+  }
+
+  /**
+   * Record an LLMClient.complete() call with its response metadata —
+   * skipped when nothing was sent (attempts 0: not configured, circuit open)
+   * @param {object} request - { purpose, payload, context?, withheld, policyVersion, promptVersion }
+   * @param {object} reply - LLMClient.complete() result
+   * @param {number} durationMs
+   */
+  async recordCall(request, reply, durationMs) {
+    if (!(reply.attempts > 0)) return null;
+    return this.append({
+      ...request,
+      promptVersion: reply.promptVersion || request.promptVersion,
+      response: {
+        success:    reply.success,
+        reason:     reply.reason || null,
+        status:     reply.status ?? null,
+        provider:   reply.provider,
+        model:      reply.model,
+        attempts:   reply.attempts,
+        durationMs,
+      },
+    });
+  }
+
+  /** Drop every entry */
+  async clear() {
+    await this.storage.removeItem(STORAGE_KEY);
+  }
+}
+
+export default AiAuditLog;
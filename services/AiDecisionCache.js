@@ -0,0 +1,115 @@
+// app/services/AiDecisionCache.js
+// ═══════════════════════════════════════════════════════════════
+// AI DECISION CACHE — Same inputs, same AI answer
+// Stores the model's assessment on the device (AsyncStorage) under
+// a fingerprint of the normalized profile, the prompt version and
+// the provider/model. An unchanged profile reuses the stored answer
+// until the TTL (config/llmConfig.js) runs out, so revisiting the
+// score screen neither costs a request nor moves the score.
+// Guardrails and the ensemble still run on every decision.
+// ═══════════════════════════════════════════════════════════════
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { LLM_CONFIG } from '../config/llmConfig';
+import { hash53 } from '../utils/hash';
+
+const KEY_PREFIX = 'aiDecisionCache:';
+
+/** JSON with object keys sorted and numbers rounded to cents */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  if (typeof value === 'number') return JSON.stringify(Math.round(value * 100) / 100);
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Fingerprint of everything that can change the AI's answer
+ * @param {object} profileData - Normalized profile as sent to the model
+ * @param {object} context - { promptVersion, provider, model }
+ * @returns {string} - 28 hex characters
+ */
+const fingerprintProfile = (profileData, context = {}) => {
+  const text = stableStringify({ profile: profileData, ...context });
+  return hash53(text) + hash53(text, 0x9e3779b9);
+};
+
+class AiDecisionCache {
+  /**
+   * @param {object} options - { storage (AsyncStorage-compatible), ttlMs, now() }
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || AsyncStorage;
+    this.ttlMs   = options.ttlMs ?? LLM_CONFIG.cacheTtlMs;
+    this.now     = options.now || (() => Date.now());
+  }
+
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  /**
+   * Stored assessment for a fingerprint, or null (missing, expired or unreadable)
+   * @returns {Promise<object|null>} - { data, provider, model, promptVersion, cachedAt, ageMs }
+   */
+  async get(fingerprint) {
+    if (!this.enabled) return null;
+    try {
+      const raw = await this.storage.getItem(KEY_PREFIX + fingerprint);
+      if (!raw) return null;
+      const entry = JSON.parse(raw);
+      const ageMs = this.now() - entry.cachedAt;
+      if (!(ageMs >= 0 && ageMs < this.ttlMs)) {
+        await this.storage.removeItem(KEY_PREFIX + fingerprint);
+        return null;
+      }
+      return { ...entry, ageMs };
+    } catch (_err) {
+      // A broken entry just means a fresh request
+      return null;
+    }
+  }
+
+  /**
+   * Store an assessment
+   * @param {string} fingerprint
+   * @param {object} entry - { data, provider, model, promptVersion }
+   * @returns {Promise<number|null>} - cachedAt, or null when not stored
+   */
+  async set(fingerprint, entry) {
+    if (!this.enabled) return null;
+    const cachedAt = this.now();
+    try {
+      await this.storage.setItem(KEY_PREFIX + fingerprint, JSON.stringify({ ...entry, cachedAt }));
+      return cachedAt;
+    } catch (_err) {
+      return null;
+    }
+  }
+
+  /** Drop every cached assessment */
+  async clear() {
+    const keys = await this.storage.getAllKeys();
+    await this.storage.multiRemove(keys.filter(k => k.startsWith(KEY_PREFIX)));
+  }
+}
+
+/**
+ * "just now", "12 min ago", "3 h ago", "2 days ago"
+ * @param {number} ageMs
+ */
+const formatCacheAge = (ageMs) => {
+  const minutes = Math.floor(ageMs / 60000);
+  if (minutes < 1)  return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24)   return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+export { fingerprintProfile, formatCacheAge };
+
+export default AiDecisionCache;
@@ -0,0 +1,184 @@
+// app/services/AiGuardrails.js
+// ═══════════════════════════════════════════════════════════════
+// AI GUARDRAILS — Never trust the model's JSON as-is
+// 1. Schema: creditScore and approved must be present and typed,
+//    or the reply is rejected; any other malformed field is
+//    dropped back to a safe default.
+// 2. Rules: the reply is checked against the deterministic policy
+//    the rule engine uses (UserFinancialProfile eligibility, the
+//    approval threshold, term limits, the pricing band, the
+//    installment cap).
+//    Out-of-range numbers are clamped; an approval the rules
+//    forbid rejects the reply, so the decision falls back to rules.
+// Every check that fires is returned as
+//   { code, field, action: 'clamped' | 'replaced' | 'rejected', message }
+// and recorded on the decision.
+// ═══════════════════════════════════════════════════════════════
+
+const SCORE_MIN = 300;
+const SCORE_MAX = 850;
+
+const RISK_LEVELS = ['Very Low', 'Low', 'Moderate', 'High', 'Very High'];
+const RATINGS     = ['Exceptional', 'Very Good', 'Good', 'Fair', 'Poor'];
+const IMPACTS     = ['Positive', 'Neutral', 'Negative'];
+const PRIORITIES  = ['high', 'medium', 'low'];
+
+const isNumber  = (v) => typeof v === 'number' && Number.isFinite(v);
+const isString  = (v) => typeof v === 'string';
+const isStrings = (v) => Array.isArray(v) && v.every(isString);
+const clamp     = (v, min, max) => Math.min(Math.max(v, min), max);
+
+const isFactorScore = (f) =>
+  f && typeof f === 'object' && isNumber(f.score) && isNumber(f.maxScore)
+  && IMPACTS.includes(f.impact) && isString(f.label) && (f.value === undefined || isString(f.value));
+
+const isRecommendation = (r) =>
+  r && typeof r === 'object' && isString(r.title) && isString(r.description) && PRIORITIES.includes(r.priority);
+
+// ── Schema ─────────────────────────────────────────────────────
+// field → [valid(value), default]. Required fields have no default.
+const SCHEMA = {
+  creditScore:                   [isNumber],
+  approved:                      [(v) => typeof v === 'boolean'],
+  approvalProbability:           [isNumber, 0],
+  riskLevel:                     [(v) => RISK_LEVELS.includes(v), null],
+  rating:                        [(v) => RATINGS.includes(v), null],
+  hardReject:                    [(v) => typeof v === 'boolean', false],
+  hardRejectReasons:             [isStrings, []],
+  factorScores:                  [(v) => v && typeof v === 'object' && Object.values(v).every(isFactorScore), {}],
+  positiveFactors:               [isStrings, []],
+  negativeFactors:               [isStrings, []],
+  reasons:                       [isStrings, []],
+  maxLoanAmount:                 [(v) => isNumber(v) && v >= 0, 0],
+  recommendedMonthlyInstallment: [(v) => isNumber(v) && v >= 0, 0],
+  interestRateMin:               [isNumber, null],
+  interestRateMax:               [isNumber, null],
+  loanTermMonths:                [isNumber, null],
+  recommendations:               [(v) => Array.isArray(v) && v.every(isRecommendation), []],
+  financialHealthSummary:        [isString, ''],
+};
+
+/**
+ * Strict shape check
+ * @param {object} ai - Parsed model reply
+ * @returns {object} - { assessment, guardrails[], usable }
+ */
+const validateAiSchema = (ai) => {
+  if (!ai || typeof ai !== 'object' || Array.isArray(ai)) {
+    return {
+      assessment: null,
+      usable:     false,
+      guardrails: [{ code: 'SCHEMA_INVALID', field: null, action: 'rejected', message: 'Reply is not a JSON object' }],
+    };
+  }
+
+  const assessment = {};
+  const guardrails = [];
+  Object.entries(SCHEMA).forEach(([field, [valid, fallback]]) => {
+    const value = ai[field];
+    if (valid(value)) { assessment[field] = value; return; }
+
+    const required = SCHEMA[field].length === 1;
+    guardrails.push(required
+      ? { code: 'SCHEMA_INVALID', field, action: 'rejected', message: `${field} is missing or has the wrong type` }
+      : { code: 'SCHEMA_FIELD_DROPPED', field, action: 'replaced', message: `${field} was ${value === undefined ? 'missing' : 'malformed'} and replaced with a default` });
+    assessment[field] = fallback;
+  });
+
+  return { assessment, guardrails, usable: !guardrails.some(g => g.action === 'rejected') };
+};
+
+// ── Policy checks ──────────────────────────────────────────────
+
+/**
+ * Validate and correct an AI assessment against the rules
+ * @param {object} ai - Parsed model reply
+ * @param {UserFinancialProfile} profile
+ * @param {object} policy - From LoanDecisionService:
+ *   { threshold, minTermMonths, maxTermMonths,
+ *     interestRangeFor(score), maxLoanFor(score, interestRange, termMonths),
+ *     riskLevelFor(score), ratingFor(score) }
+ * @returns {object} - { assessment, guardrails[], usable }
+ */
+const applyGuardrails = (ai, profile, policy) => {
+  const schema = validateAiSchema(ai);
+  if (!schema.usable) return schema;
+
+  const a = { ...schema.assessment };
+  const guardrails = [...schema.guardrails];
+  const fire = (code, field, action, message) => guardrails.push({ code, field, action, message });
+
+  // Score on the 300–850 scale
+  if (a.creditScore < SCORE_MIN || a.creditScore > SCORE_MAX) {
+    const clamped = clamp(Math.round(a.creditScore), SCORE_MIN, SCORE_MAX);
+    fire('SCORE_OUT_OF_RANGE', 'creditScore', 'clamped', `creditScore ${a.creditScore} clamped to ${clamped}`);
+    a.creditScore = clamped;
+  }
+  a.creditScore = Math.round(a.creditScore);
+
+  // Approvals the rules forbid
+  const issues = profile.getEgyptianEligibilityIssues();
+  if (a.approved && issues.length > 0) {
+    fire('HARD_RULE_APPROVAL', 'approved', 'rejected', `Approved despite failing eligibility: ${issues.join('; ')}`);
+  }
+  if (a.approved && a.creditScore < policy.threshold) {
+    fire('APPROVED_BELOW_THRESHOLD', 'approved', 'rejected',
+      `Approved with score ${a.creditScore}, below the ${policy.threshold} threshold`);
+  }
+  if (guardrails.some(g => g.action === 'rejected')) return { assessment: a, guardrails, usable: false };
+
+  if (a.approvalProbability < 0 || a.approvalProbability > 100) {
+    fire('PROBABILITY_OUT_OF_RANGE', 'approvalProbability', 'clamped', `approvalProbability ${a.approvalProbability} clamped to 0–100`);
+    a.approvalProbability = clamp(a.approvalProbability, 0, 100);
+  }
+
+  // Labels must match the score
+  const riskLevel = policy.riskLevelFor(a.creditScore);
+  const rating    = policy.ratingFor(a.creditScore);
+  if (a.riskLevel !== riskLevel || a.rating !== rating) {
+    fire('LABELS_INCONSISTENT', 'riskLevel', 'replaced',
+      `riskLevel/rating "${a.riskLevel}"/"${a.rating}" replaced with "${riskLevel}"/"${rating}" for score ${a.creditScore}`);
+    a.riskLevel = riskLevel;
+    a.rating    = rating;
+  }
+
+  // Term within 6–84 months
+  if (a.loanTermMonths !== null
+      && (a.loanTermMonths < policy.minTermMonths || a.loanTermMonths > policy.maxTermMonths)) {
+    const clamped = clamp(Math.round(a.loanTermMonths), policy.minTermMonths, policy.maxTermMonths);
+    fire('TERM_OUT_OF_RANGE', 'loanTermMonths', 'clamped', `loanTermMonths ${a.loanTermMonths} clamped to ${clamped}`);
+    a.loanTermMonths = clamped;
+  }
+  const termMonths = a.loanTermMonths ?? clamp(profile.loanTermMonths, policy.minTermMonths, policy.maxTermMonths);
+
+  // Rates: positive and ordered, else the policy band for the score
+  const policyRange = policy.interestRangeFor(a.creditScore);
+  const rateValid = isNumber(a.interestRateMin) && isNumber(a.interestRateMax)
+    && a.interestRateMin > 0 && a.interestRateMin <= a.interestRateMax && a.interestRateMax <= 100;
+  if (!rateValid) {
+    fire('INTEREST_RANGE_INVALID', 'interestRateMin', 'replaced',
+      `Interest range ${a.interestRateMin}–${a.interestRateMax}% replaced with policy ${policyRange[0]}–${policyRange[1]}%`);
+    [a.interestRateMin, a.interestRateMax] = policyRange;
+  }
+
+  // Rates inside the policy band — a cheaper quote would raise the cap and under-price the offer
+  if (a.interestRateMin < policyRange[0] || a.interestRateMax > policyRange[1]) {
+    fire('INTEREST_OUTSIDE_POLICY', 'interestRateMin', 'replaced',
+      `Interest range ${a.interestRateMin}–${a.interestRateMax}% is outside the policy band for score ${a.creditScore}; replaced with ${policyRange[0]}–${policyRange[1]}%`);
+    [a.interestRateMin, a.interestRateMax] = policyRange;
+  }
+
+  // Max loan within the installment cap at the policy rate and term
+  const cap = a.approved ? policy.maxLoanFor(a.creditScore, [a.interestRateMin, a.interestRateMax], termMonths) : null;
+  if (cap !== null && a.maxLoanAmount > cap) {
+    fire('MAX_LOAN_EXCEEDS_CAP', 'maxLoanAmount', 'clamped',
+      `maxLoanAmount EGP ${Math.round(a.maxLoanAmount).toLocaleString()} clamped to the installment cap, EGP ${cap.toLocaleString()}`);
+    a.maxLoanAmount = cap;
+  }
+
+  return { assessment: a, guardrails, usable: true };
+};
+
+export { applyGuardrails, validateAiSchema };
+
+export default { applyGuardrails, validateAiSchema };
@@ -0,0 +1,103 @@
+// app/services/AiRedaction.js
+// ═══════════════════════════════════════════════════════════════
+// AI REDACTION — The only applicant data an AI call may carry
+// Reduces the prompt profile to the fields AI_DATA_POLICY allows
+// (config/lendingPolicy.js), rounding or bucketing each one as
+// configured. The app sends nothing else (OpenAiService) and the
+// API proxy rejects anything else (checkRedactedPayload).
+// ═══════════════════════════════════════════════════════════════
+
+import { AI_DATA_POLICY } from '../config/lendingPolicy';
+
+const CODE_PATTERN = /^[a-z][a-z-]{0,31}$/i;
+const MAX_CODES    = 20;
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isCode   = (v) => typeof v === 'string' && CODE_PATTERN.test(v);
+
+/** Nearest multiple of step, without float noise (0.05 × 3 → 0.15) */
+const roundTo = (value, step) => {
+  const decimals = (String(step).split('.')[1] || '').length;
+  return Number((Math.round(value / step) * step).toFixed(decimals));
+};
+
+// ── Buckets ────────────────────────────────────────────────────
+
+/** Range labels for bucket edges: [21, 25, 30] → under 21, 21–24, 25–29, 30+ */
+const bucketLabels = (edges) => [
+  `under ${edges[0]}`,
+  ...edges.slice(0, -1).map((edge, i) => `${edge}–${edges[i + 1] - 1}`),
+  `${edges[edges.length - 1]}+`,
+];
+
+const toBucket = (value, edges) => bucketLabels(edges)[edges.filter(edge => value >= edge).length];
+
+/**
+ * Bounds of a range label, null on the open side
+ * @param {string} label - e.g. "30–50", "under 21", "66+"
+ * @returns {object} - { min, max }
+ */
+const parseBucket = (label) => {
+  const under = /^under (\d+)$/.exec(label);
+  if (under) return { min: null, max: Number(under[1]) - 1 };
+  const over = /^(\d+)\+$/.exec(label);
+  if (over) return { min: Number(over[1]), max: null };
+  const [min, max] = String(label).split('–').map(Number);
+  return { min, max };
+};
+
+// ── Redaction ──────────────────────────────────────────────────
+
+// Field type → value as sent; undefined leaves the field out
+const REDACTORS = {
+  // null is meaningful ("no credit cards") and carries nothing
+  number: (v, rule) => (v === null ? null : isNumber(v) ? (rule.round ? roundTo(v, rule.round) : v) : undefined),
+  bucket: (v, rule) => (isNumber(v) ? toBucket(v, rule.edges) : undefined),
+  code:   (v)       => (isCode(v) ? v : undefined),
+  codes:  (v)       => (Array.isArray(v) ? [...new Set(v.filter(isCode))].slice(0, MAX_CODES) : undefined),
+};
+
+const VALIDATORS = {
+  number: (v)       => v === null || isNumber(v),
+  bucket: (v, rule) => bucketLabels(rule.edges).includes(v),
+  code:   isCode,
+  codes:  (v)       => Array.isArray(v) && v.length <= MAX_CODES && v.every(isCode),
+};
+
+/**
+ * The outbound payload for an AI assessment
+ * @param {object} profileData - buildPromptProfile() result
+ * @param {object} policy - AI_DATA_POLICY shape
+ * @returns {object} - { payload, withheld: fields kept on the device, policyVersion }
+ */
+const redactForAi = (profileData, policy = AI_DATA_POLICY) => {
+  const payload = {};
+  Object.entries(policy.fields).forEach(([field, rule]) => {
+    const value = REDACTORS[rule.type](profileData[field], rule);
+    if (value !== undefined) payload[field] = value;
+  });
+  const withheld = Object.keys(profileData).filter(field => !(field in payload)).sort();
+  return { payload, withheld, policyVersion: policy.version };
+};
+
+/**
+ * Problems with a payload that claims to be redacted — unknown
+ * fields or values redactForAi would not produce
+ * @returns {string[]} - empty when the payload is acceptable
+ */
+const checkRedactedPayload = (payload, policy = AI_DATA_POLICY) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return ['profile must be an object'];
+  const problems = [];
+  const unknown = Object.keys(payload).filter(field => !policy.fields[field]);
+  if (unknown.length > 0) problems.push(`not allowed by the data policy: ${unknown.join(', ')}`);
+  Object.entries(policy.fields).forEach(([field, rule]) => {
+    if (payload[field] !== undefined && !VALIDATORS[rule.type](payload[field], rule)) {
+      problems.push(`${field} is not a valid ${rule.type}`);
+    }
+  });
+  return problems;
+};
+
+export { bucketLabels, checkRedactedPayload, parseBucket, redactForAi };
+
+export default { bucketLabels, checkRedactedPayload, parseBucket, redactForAi };
@@ -0,0 +1,293 @@
+// app/services/ApprovalPathFinder.js
+// ═══════════════════════════════════════════════════════════════
+// APPROVAL PATH FINDER — Counterfactual "what would it take?"
+// Searches for the smallest change to a declined application that
+// clears every Egyptian hard-eligibility rule AND lifts the score
+// over the approval threshold. Levers tried, one at a time:
+//   1. Lower loan amount     3. Lower monthly expenses
+//   2. Longer term           4. Pay down existing debt
+// If no single lever is enough, they are combined.
+// Runs on the rule-based strategies only, so it works offline; a
+// `decide` option turns the rule score into the final decision when
+// another rule (e.g. the AI ensemble) has the last word.
+// ═══════════════════════════════════════════════════════════════
+
+import CreditScoreCalculator from './CreditScoreCalculator';
+import { AIBasedStrategy } from './ScoringStrategy';
+import { CREDIT_FACILITY_TYPES } from './UserFinancialProfile';
+
+// Suggested figures are rounded to amounts a person would actually quote
+const LOAN_STEP     = 1000;
+const EXPENSE_STEP  = 100;
+const DEBT_STEP     = 1000;
+
+// Smallest personal loan worth suggesting (EGP)
+const MIN_LOAN_AMOUNT = 5000;
+
+const formatEGP = (n) => `EGP ${Math.round(n).toLocaleString()}`;
+
+const facilityLabel = (f) =>
+  CREDIT_FACILITY_TYPES.find(t => t.value === f.type)?.label || 'Facility';
+
+/**
+ * Largest multiple of `step` in [lo, hi] for which ok() holds,
+ * assuming ok() is true below some cut-off and false above it.
+ * Returns null when even `lo` fails.
+ */
+const searchLargest = (lo, hi, step, ok) => {
+  let low  = Math.ceil(lo / step);
+  let high = Math.floor(hi / step);
+  if (high < low || !ok(low * step)) return null;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (ok(mid * step)) low = mid;
+    else high = mid - 1;
+  }
+  return low * step;
+};
+
+class ApprovalPathFinder {
+  /**
+   * @param {object} options
+   * @param {CreditScoreCalculator} options.calculator - Rule-based scorer (300–850)
+   * @param {number} options.threshold     - Minimum approvable score
+   * @param {number} options.maxTermMonths - Longest term the bank offers
+   * @param {Function} options.decide      - (ruleScore) → { score, approved };
+   *   defaults to the rule score against the threshold
+   */
+  constructor(options = {}) {
+    this.calculator    = options.calculator    || new CreditScoreCalculator(new AIBasedStrategy());
+    this.threshold     = options.threshold     ?? 580;
+    this.maxTermMonths = options.maxTermMonths ?? 84;
+    this.decide        = options.decide        || ((score) => ({ score, approved: score >= this.threshold }));
+  }
+
+  /**
+   * Find ways to turn a decline into an approval
+   * @param {UserFinancialProfile} profile
+   * @returns {object} - { achievable, blockers[], suggestions[] }
+   *   suggestion: { lever, title, description, changes, projectedScore }
+   */
+  find(profile) {
+    if (this.isApproved(profile)) return { achievable: true, blockers: [], suggestions: [] };
+
+    // Eligibility rules the best case still fails block every path: age,
+    // minimum income, employment, or post-loan DTI over the cap even
+    // with the smallest loan, longest term, benchmark expenses and no debts
+    const bestCase = this._applyAllLevers(profile);
+    const blockers = bestCase.getEgyptianEligibilityIssues();
+    if (blockers.length > 0) return { achievable: false, blockers, suggestions: [] };
+
+    const best = this.decide(this._score(bestCase));
+    if (!best.approved) {
+      return {
+        achievable:  false,
+        blockers:    [`Even with a smaller loan, longer term and no debts the score is ${best.score}, below the ${this.threshold} threshold`],
+        suggestions: [],
+      };
+    }
+
+    const suggestions = [
+      this._tryLoanAmount(profile),
+      this._tryTerm(profile),
+      this._tryExpenses(profile),
+      this._tryDebtPaydown(profile),
+    ].filter(Boolean);
+
+    if (suggestions.length === 0) {
+      const combined = this._tryCombined(profile);
+      if (combined) suggestions.push(combined);
+    }
+
+    return { achievable: suggestions.length > 0, blockers: [], suggestions };
+  }
+
+  /** Hard eligibility passes AND the decision on the rule score approves */
+  isApproved(profile) {
+    if (profile.getEgyptianEligibilityIssues().length > 0) return false;
+    return this.decide(this._score(profile)).approved;
+  }
+
+  _score(profile) {
+    const result = this.calculator.calculateScore(profile);
+    return result.success ? result.score : 0;
+  }
+
+  /** Every lever pulled as far as it goes — what's left can't be fixed */
+  _applyAllLevers(profile) {
+    return profile.clone({
+      requestedLoanAmount: Math.min(profile.requestedLoanAmount, MIN_LOAN_AMOUNT),
+      loanTermMonths:      Math.max(profile.loanTermMonths, this.maxTermMonths),
+      monthlyExpenses:     Math.min(profile.monthlyExpenses, profile.getLivingCostBenchmark()),
+      expenseCategories:   {},
+      creditFacilities:    [],
+      existingDebts:       0,
+    });
+  }
+
+  _suggestion(lever, title, description, changes, candidate) {
+    return { lever, title, description, changes, projectedScore: this.decide(this._score(candidate)).score };
+  }
+
+  // ── Lever 1: smaller loan ──────────────────────────────────
+  _tryLoanAmount(profile, base = profile) {
+    const requested = profile.requestedLoanAmount;
+    const amount = searchLargest(MIN_LOAN_AMOUNT, requested - 1, LOAN_STEP,
+      (v) => this.isApproved(base.clone({ requestedLoanAmount: v })));
+    if (amount === null) return null;
+
+    return this._suggestion(
+      'loanAmount',
+      'Request a Smaller Loan',
+      `Request ${formatEGP(amount)} instead of ${formatEGP(requested)}.`,
+      { requestedLoanAmount: amount },
+      base.clone({ requestedLoanAmount: amount }),
+    );
+  }
+
+  // ── Lever 2: longer term ───────────────────────────────────
+  _tryTerm(profile) {
+    for (let term = profile.loanTermMonths + 1; term <= this.maxTermMonths; term++) {
+      const candidate = profile.clone({ loanTermMonths: term });
+      if (!this.isApproved(candidate)) continue;
+      return this._suggestion(
+        'term',
+        'Choose a Longer Term',
+        `Take ${term} months instead of ${profile.loanTermMonths} — the installment drops from ` +
+          `${formatEGP(profile.calculateProposedInstallment())} to ${formatEGP(candidate.calculateProposedInstallment())} a month.`,
+        { loanTermMonths: term },
+        candidate,
+      );
+    }
+    return null;
+  }
+
+  // ── Lever 3: lower expenses (never below the living-cost benchmark) ──
+  _tryExpenses(profile) {
+    const declared  = profile.monthlyExpenses;
+    const benchmark = profile.getLivingCostBenchmark();
+    if (declared <= benchmark) return null;
+
+    const withExpenses = (v) => profile.clone({ monthlyExpenses: v, expenseCategories: {} });
+    const target = searchLargest(benchmark, declared - 1, EXPENSE_STEP, (v) => this.isApproved(withExpenses(v)));
+    if (target === null) return null;
+
+    return this._suggestion(
+      'expenses',
+      'Cut Monthly Expenses',
+      `Bring monthly expenses down from ${formatEGP(declared)} to ${formatEGP(target)} ` +
+        `(${formatEGP(declared - target)} less each month).`,
+      { monthlyExpenses: target },
+      withExpenses(target),
+    );
+  }
+
+  // ── Lever 4: pay down existing debt ────────────────────────
+  _tryDebtPaydown(profile) {
+    return profile.creditFacilities.length > 0
+      ? this._tryFacilityPayoff(profile)
+      : this._tryLumpDebtPaydown(profile);
+  }
+
+  /** Pay off whole facilities, most monthly relief per EGP first */
+  _tryFacilityPayoff(profile) {
+    const ranked = profile.creditFacilities
+      .map((f, index) => ({ f, index, relief: profile.getFacilityMonthlyPayment(f) / (f.outstandingBalance || 1) }))
+      .filter(x => x.f.outstandingBalance > 0)
+      .sort((a, b) => b.relief - a.relief);
+
+    const paidOff = new Set();
+    for (const { index } of ranked) {
+      paidOff.add(index);
+      const remaining = profile.creditFacilities.filter((_, i) => !paidOff.has(i));
+      const candidate = profile.clone({ creditFacilities: remaining, existingDebts: 0 });
+      if (!this.isApproved(candidate)) continue;
+
+      const cleared = profile.creditFacilities.filter((_, i) => paidOff.has(i));
+      const total   = cleared.reduce((sum, f) => sum + f.outstandingBalance, 0);
+      const freed   = cleared.reduce((sum, f) => sum + profile.getFacilityMonthlyPayment(f), 0);
+      return this._suggestion(
+        'debtPaydown',
+        'Pay Off Existing Debt',
+        `Pay off your ${cleared.map(facilityLabel).join(', ')} (${formatEGP(total)} in total) — ` +
+          `frees ${formatEGP(freed)} a month.`,
+        { paidOffFacilities: cleared, amountToPay: total },
+        candidate,
+      );
+    }
+    return null;
+  }
+
+  /** Legacy single debt total — find the smallest paydown */
+  _tryLumpDebtPaydown(profile) {
+    const debts = profile.existingDebts;
+    if (debts <= 0) return null;
+
+    const withDebts = (v) => profile.clone({ existingDebts: v });
+    const remaining = searchLargest(0, debts - 1, DEBT_STEP, (v) => this.isApproved(withDebts(v)));
+    if (remaining === null) return null;
+
+    return this._suggestion(
+      'debtPaydown',
+      'Pay Down Existing Debt',
+      `Pay ${formatEGP(debts - remaining)} off your debts, bringing them from ${formatEGP(debts)} to ${formatEGP(remaining)}.`,
+      { existingDebts: remaining, amountToPay: debts - remaining },
+      withDebts(remaining),
+    );
+  }
+
+  // ── Combined levers ────────────────────────────────────────
+  /**
+   * Stack the longest term, then benchmark expenses, then no debts,
+   * and search the loan amount at each stage — stops at the first
+   * stage that reaches approval.
+   */
+  _tryCombined(profile) {
+    const stages = [
+      {
+        overrides: { loanTermMonths: this.maxTermMonths },
+        text:      `take ${this.maxTermMonths} months`,
+        skip:      profile.loanTermMonths >= this.maxTermMonths,
+      },
+      {
+        overrides: { monthlyExpenses: profile.getLivingCostBenchmark(), expenseCategories: {} },
+        text:      `cut expenses to ${formatEGP(profile.getLivingCostBenchmark())} a month`,
+        skip:      profile.monthlyExpenses <= profile.getLivingCostBenchmark(),
+      },
+      {
+        overrides: { creditFacilities: [], existingDebts: 0 },
+        text:      `pay off all existing debt (${formatEGP(profile.existingDebts)})`,
+        skip:      profile.existingDebts <= 0,
+      },
+    ];
+
+    let overrides = {};
+    const steps = [];
+    for (const stage of stages) {
+      if (stage.skip) continue;
+      overrides = { ...overrides, ...stage.overrides };
+      steps.push(stage.text);
+
+      const candidate = profile.clone(overrides);
+      if (this.isApproved(candidate)) {
+        const text = steps.join(', ');
+        return this._suggestion('combined', 'Combine Several Changes',
+          `${text.charAt(0).toUpperCase()}${text.slice(1)}.`, overrides, candidate);
+      }
+
+      const loan = this._tryLoanAmount(profile, candidate);
+      if (!loan) continue;
+      return this._suggestion(
+        'combined',
+        'Combine Several Changes',
+        `Request ${formatEGP(loan.changes.requestedLoanAmount)} instead of ${formatEGP(profile.requestedLoanAmount)}, ` +
+          `and ${steps.join(', ')}.`,
+        { ...overrides, requestedLoanAmount: loan.changes.requestedLoanAmount },
+        profile.clone({ ...overrides, requestedLoanAmount: loan.changes.requestedLoanAmount }),
+      );
+    }
+    return null;
+  }
+}
+
+export default ApprovalPathFinder;
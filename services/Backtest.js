@@ -0,0 +1,159 @@
+// app/services/Backtest.js
+// ═══════════════════════════════════════════════════════════════
+// BACKTEST — How well each strategy ranks known outcomes
+// Scores labelled historical applications with every registered
+// strategy (through CreditScoreCalculator, so on the common
+// 300–850 scale) and measures:
+//   • AUC / Gini — chance a repaid loan outscores a default
+//   • KS         — largest gap between the repaid and defaulted
+//                  cumulative score distributions
+//   • Confusion matrix and approval rate at the approval threshold
+// Hard eligibility rules are not applied: the numbers describe the
+// score, not the whole decision. scripts/backtest.js is the CLI.
+// ═══════════════════════════════════════════════════════════════
+
+import CreditScoreCalculator from './CreditScoreCalculator';
+import LoanDecisionService from './LoanDecisionService';
+import { listStrategies } from './StrategyRegistry';
+
+const round = (n, dp = 4) => Math.round(n * 10 ** dp) / 10 ** dp;
+
+// ── Metrics ────────────────────────────────────────────────────
+
+/**
+ * Area under the ROC curve (Mann–Whitney U, ties count half)
+ * @param {number[]} scores - Higher = safer
+ * @param {boolean[]} bad   - true = defaulted
+ * @returns {number} - 0.5 when either class is missing
+ */
+const auc = (scores, bad) => {
+  const ranked = scores.map((s, i) => ({ s, bad: bad[i] })).sort((a, b) => a.s - b.s);
+  let goods = 0, rankSum = 0;
+  for (let i = 0; i < ranked.length;) {
+    // Tied scores share their average rank
+    let j = i;
+    while (j < ranked.length && ranked[j].s === ranked[i].s) j++;
+    const avgRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) if (!ranked[k].bad) { goods++; rankSum += avgRank; }
+    i = j;
+  }
+  const bads = ranked.length - goods;
+  return goods && bads ? (rankSum - (goods * (goods + 1)) / 2) / (goods * bads) : 0.5;
+};
+
+/**
+ * Kolmogorov–Smirnov statistic between defaulted and repaid scores
+ * @returns {object} - { ks (0–1), atScore }
+ */
+const ks = (scores, bad) => {
+  const totalBad  = bad.filter(Boolean).length;
+  const totalGood = bad.length - totalBad;
+  if (!totalBad || !totalGood) return { ks: 0, atScore: null };
+
+  const ranked = scores.map((s, i) => ({ s, bad: bad[i] })).sort((a, b) => a.s - b.s);
+  let cumBad = 0, cumGood = 0, best = { ks: 0, atScore: null };
+  ranked.forEach((r, i) => {
+    if (r.bad) cumBad++; else cumGood++;
+    if (i < ranked.length - 1 && ranked[i + 1].s === r.s) return;
+    const gap = cumBad / totalBad - cumGood / totalGood;
+    if (gap > best.ks) best = { ks: gap, atScore: r.s };
+  });
+  return best;
+};
+
+/**
+ * Outcomes at a cut-off — approve when score ≥ threshold
+ * @returns {object} - { approvedRepaid, approvedDefaulted, declinedRepaid, declinedDefaulted }
+ */
+const confusionMatrix = (scores, bad, threshold) => {
+  const matrix = { approvedRepaid: 0, approvedDefaulted: 0, declinedRepaid: 0, declinedDefaulted: 0 };
+  scores.forEach((s, i) => {
+    const key = `${s >= threshold ? 'approved' : 'declined'}${bad[i] ? 'Defaulted' : 'Repaid'}`;
+    matrix[key]++;
+  });
+  return matrix;
+};
+
+/**
+ * Every metric for one strategy's scores
+ * @param {number[]} scores
+ * @param {boolean[]} bad
+ * @param {number[]} pds - Predicted probabilities of default
+ * @param {number} threshold
+ */
+const computeMetrics = (scores, bad, pds, threshold) => {
+  const area     = auc(scores, bad);
+  const { ks: ksValue, atScore } = ks(scores, bad);
+  const matrix   = confusionMatrix(scores, bad, threshold);
+  const approved = matrix.approvedRepaid + matrix.approvedDefaulted;
+  const defaults = bad.filter(Boolean).length;
+  const mean     = (values) => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : 0);
+
+  return {
+    count:               scores.length,
+    observedDefaultRate: round(scores.length ? defaults / scores.length : 0),
+    meanPredictedPd:     round(mean(pds)),
+    auc:                 round(area),
+    gini:                round(2 * area - 1),
+    ks:                  round(ksValue),
+    ksScore:             atScore,
+    confusionMatrix:     matrix,
+    approvalRate:        round(scores.length ? approved / scores.length : 0),
+    approvedDefaultRate: round(approved ? matrix.approvedDefaulted / approved : 0),
+    defaultsCaught:      round(defaults ? matrix.declinedDefaulted / defaults : 0),
+    meanScore:           Math.round(mean(scores)),
+  };
+};
+
+// ── Backtest ───────────────────────────────────────────────────
+
+/**
+ * Score labelled applications with every registered strategy
+ * @param {object[]} applications - [{ profile: UserFinancialProfile, defaulted: boolean }]
+ * @param {object} options - { strategies?: string[], threshold? }
+ * @returns {object} - { generatedAt, applications, defaults, threshold,
+ *   strategies: [{ name, label, version, scorecardId, scorecardVersion, unscored, ...metrics }] }
+ *   sorted by AUC, best first
+ */
+const backtestStrategies = (applications, options = {}) => {
+  const threshold = options.threshold ?? new LoanDecisionService().APPROVAL_THRESHOLD;
+  const names     = options.strategies || listStrategies().map(s => s.name);
+  const meta      = Object.fromEntries(listStrategies().map(s => [s.name, s]));
+
+  const strategies = names.map(name => {
+    const calculator = new CreditScoreCalculator(name);
+    const scores = [], bad = [], pds = [];
+    let unscored = 0, scorecard = {};
+
+    applications.forEach(app => {
+      const result = calculator.calculateScore(app.profile);
+      if (!result.success) { unscored++; return; }
+      scorecard = { scorecardId: result.scorecardId, scorecardVersion: result.scorecardVersion };
+      scores.push(result.score);
+      pds.push(result.probabilityOfDefault);
+      bad.push(Boolean(app.defaulted));
+    });
+
+    const info = meta[String(name).toLowerCase()] || {};
+    return {
+      name:    info.name || name,
+      label:   info.label || name,
+      version: info.version || null,
+      ...scorecard,
+      unscored,
+      ...computeMetrics(scores, bad, pds, threshold),
+    };
+  });
+
+  return {
+    generatedAt:  new Date().toISOString(),
+    applications: applications.length,
+    defaults:     applications.filter(a => a.defaulted).length,
+    threshold,
+    strategies:   strategies.sort((a, b) => b.auc - a.auc),
+  };
+};
+
+export { auc, backtestStrategies, computeMetrics, confusionMatrix, ks };
+
+export default { auc, backtestStrategies, computeMetrics, confusionMatrix, ks };
@@ -3,14 +3,15 @@
 // CREDIT SCORE CALCULATOR
 // SOLID: Dependency Injection - Strategy pattern implementation
 // Uses different scoring strategies interchangeably
+// Raw strategy scores are calibrated onto the common 300–850 scale
+// (ScoreCalibration.js) before risk level and rating are applied.
 // ═══════════════════════════════════════════════════════════════
 
-import {
-  AggressiveStrategy,
-  AIBasedStrategy,
-  BalancedStrategy,
-  ConservativeStrategy
-} from './ScoringStrategy';
+import { SCORE_BANDS } from '../config/lendingPolicy';
+import { getTopAdverseReasons } from './ReasonCodes';
+import { calibrate } from './ScoreCalibration';
+import { AIBasedStrategy, ScoringStrategyFactory } from './ScoringStrategy';
+import { createStrategy, describeStrategy, listStrategies } from './StrategyRegistry';
 
 /**
  * Credit Score Calculator Class
@@ -20,11 +21,14 @@ import {
 class CreditScoreCalculator {
   /**
    * Constructor
-   * @param {ScoringStrategy} strategy - Scoring strategy to use (default: AI-Based)
+   * @param {ScoringStrategy|string} strategy - Strategy instance or registered
+   *   name (default: AI-Based)
    */
   constructor(strategy = null) {
     // Default to AI-Based strategy if none provided
-    this.strategy = strategy || new AIBasedStrategy();
+    this.strategy = typeof strategy === 'string'
+      ? createStrategy(strategy)
+      : strategy || new AIBasedStrategy();
   }
 
   /**
@@ -35,24 +39,63 @@ class CreditScoreCalculator {
     this.strategy = strategy;
   }
 
+  // ── Strategy registry ───────────────────────────────────────
+
+  /**
+   * Switch to a registered strategy by name
+   * @param {string} name - e.g. 'standard', 'self-employed'
+   * @param {object} options - Strategy options (e.g. usePostLoanDTI)
+   * @throws {UnknownStrategyError}
+   */
+  selectStrategy(name, options = {}) {
+    this.setStrategy(createStrategy(name, options));
+    return this.strategy;
+  }
+
+  /** Metadata for every registered strategy */
+  listStrategies() {
+    return listStrategies();
+  }
+
+  /**
+   * Metadata for one strategy: { name, version, label, description, scale, requiredFields }
+   * @throws {UnknownStrategyError}
+   */
+  describeStrategy(name) {
+    return describeStrategy(name);
+  }
+
   /**
    * Calculate credit score using current strategy
    * @param {UserFinancialProfile} profile - User's financial profile
-   * @returns {object} - Score and details
+   * @returns {object} - Common-scale score (300–850), raw strategy score,
+   *   probability of default, ledger, top adverse reasons, breakdown and
+   *   the scorecard id/version that produced them
    */
   calculateScore(profile) {
+    const card = this.strategy.getScorecard ? this.strategy.getScorecard() : null;
+
     // Validate profile first
     const validation = profile.validate();
     if (!validation.isValid) {
       return {
         success: false,
         errors: validation.errors,
-        score: 300
+        score: 300,
+        scorecardId: card ? card.id : null,
+        scorecardVersion: card ? card.version : null
       };
     }
 
-    // Calculate score using strategy
-    const score = this.strategy.calculateScore(profile);
+    // Calculate score using strategy — the ledger holds every factor's points
+    const evaluation = this.strategy.evaluate(profile);
+    const { score: rawScore, ledger, scorecardId, scorecardVersion } = evaluation;
+
+    // Map onto 300–850 so thresholds below mean the same for every strategy;
+    // PD models report their own probability of default
+    const calibrated = calibrate(card, rawScore);
+    const score = calibrated.score;
+    const probabilityOfDefault = evaluation.probabilityOfDefault ?? calibrated.probabilityOfDefault;
 
     // Get risk level
     const riskLevel = this.getRiskLevel(score);
@@ -63,9 +106,15 @@ class CreditScoreCalculator {
     return {
       success: true,
       score: score,
+      rawScore: rawScore,
+      probabilityOfDefault: probabilityOfDefault,
       riskLevel: riskLevel,
       rating: rating,
       strategy: this.strategy.getName(),
+      scorecardId: scorecardId || null,
+      scorecardVersion: scorecardVersion || null,
+      ledger: ledger,
+      adverseReasons: getTopAdverseReasons(ledger),
       breakdown: this.getScoreBreakdown(profile, score)
     };
   }
@@ -73,24 +122,20 @@ class CreditScoreCalculator {
   /**
    * Calculate scores using all strategies for comparison
    * @param {UserFinancialProfile} profile - User's financial profile
-   * @returns {object} - Scores from all strategies
+   * @returns {object} - Scores from all strategies, all on the 300–850 scale
    */
   calculateAllScores(profile) {
-    const strategies = [
-      new ConservativeStrategy(),
-      new BalancedStrategy(),
-      new AggressiveStrategy(),
-      new AIBasedStrategy()
-    ];
-
+    const original = this.strategy;
     const results = {};
 
-    strategies.forEach(strategy => {
+    ScoringStrategyFactory.getAllStrategies().forEach(strategy => {
       this.setStrategy(strategy);
       const result = this.calculateScore(profile);
       results[strategy.getName()] = result;
     });
 
+    // Leave the calculator on the strategy it was created with
+    this.setStrategy(original);
     return results;
   }
 
@@ -100,11 +145,7 @@ class CreditScoreCalculator {
    * @returns {string} - Risk level
    */
   getRiskLevel(score) {
-    if (score >= 750) return 'Very Low';
-    if (score >= 700) return 'Low';
-    if (score >= 650) return 'Moderate';
-    if (score >= 600) return 'High';
-    return 'Very High';
+    return SCORE_BANDS.riskLevel.find(b => score >= b.minScore)?.label ?? 'Very High';
   }
 
   /**
@@ -113,11 +154,7 @@ class CreditScoreCalculator {
    * @returns {string} - Rating description
    */
   getScoreRating(score) {
-    if (score >= 800) return 'Exceptional';
-    if (score >= 740) return 'Very Good';
-    if (score >= 670) return 'Good';
-    if (score >= 580) return 'Fair';
-    return 'Poor';
+    return SCORE_BANDS.rating.find(b => score >= b.minScore)?.label ?? 'Poor';
   }
 
   /**
@@ -152,11 +189,18 @@ class CreditScoreCalculator {
         // ≤30% = Positive (Ideal), 31–40% = Neutral (Acceptable), >40% = Negative (High)
         impact: this.getDTIImpact(profile.calculateDTI())
       },
+      postLoanDti: {
+        value: profile.calculatePostLoanDTI().toFixed(2) + '%',
+        label: 'DTI After New Loan',
+        // Includes the requested loan's installment — the 50% cap applies here
+        impact: this.getDTIImpact(profile.calculatePostLoanDTI())
+      },
       income: {
-        value: '$' + profile.monthlyIncome.toLocaleString(),
-        label: 'Monthly Income',
-        impact: this.getImpactLevel(profile.monthlyIncome, [3000, 5000, 10000], false)
+        value: 'EGP ' + Math.round(profile.getBankableIncome()).toLocaleString(),
+        label: 'Bankable Monthly Income',
+        impact: this.getImpactLevel(profile.getBankableIncome(), [3000, 5000, 10000], false)
       },
+      expenses: this.getExpenseBreakdown(profile),
       employment: {
         value: profile.getEmploymentStabilityScore() + '/100',
         label: 'Employment Stability',
@@ -175,6 +219,28 @@ class CreditScoreCalculator {
     };
   }
 
+  /**
+   * Assessed living expenses — flags when the declared figure was
+   * raised to the household living-cost benchmark
+   * @param {UserFinancialProfile} profile - User's financial profile
+   * @returns {object} - Breakdown item { value, label, impact, note? }
+   */
+  getExpenseBreakdown(profile) {
+    const assessed   = profile.getAssessedExpenses();
+    const adjustment = profile.getExpenseAdjustment();
+    const item = {
+      value: 'EGP ' + Math.round(assessed).toLocaleString(),
+      label: 'Assessed Monthly Expenses',
+      impact: adjustment > 0 ? 'Negative' : 'Neutral'
+    };
+    if (adjustment > 0) {
+      item.note = `Declared EGP ${Math.round(profile.monthlyExpenses).toLocaleString()} is below the ` +
+        `EGP ${Math.round(profile.getLivingCostBenchmark()).toLocaleString()} minimum for a household of ` +
+        `${profile.householdSize} — benchmark used`;
+    }
+    return item;
+  }
+
   /**
    * Get DTI impact using Egyptian banking thresholds
    * ≤ 30%      → Positive  (Ideal — excellent repayment ability)
@@ -0,0 +1,83 @@
+// app/services/EnsemblePolicy.js
+// ═══════════════════════════════════════════════════════════════
+// ENSEMBLE POLICY — One decision from the AI and the rules
+// Given the AI decision and the rule decision for the same
+// application, decides which one the applicant sees (or that a
+// blended score should be priced), whether either side vetoed the
+// other, and whether the two disagree enough to need a human.
+// Modes and defaults: ENSEMBLE_POLICY in config/lendingPolicy.js.
+// ═══════════════════════════════════════════════════════════════
+
+import { ENSEMBLE_POLICY } from '../config/lendingPolicy';
+
+const ENSEMBLE_MODES = ['weighted', 'rules-veto', 'ai-veto'];
+
+/**
+ * Check a policy override
+ * @param {object} policy - { mode, aiWeight, reviewGap }
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+const validateEnsemblePolicy = (policy) => {
+  const errors = [];
+  if (!ENSEMBLE_MODES.includes(policy?.mode))
+    errors.push(`mode must be one of: ${ENSEMBLE_MODES.join(', ')}`);
+  if (typeof policy?.aiWeight !== 'number' || policy.aiWeight < 0 || policy.aiWeight > 1)
+    errors.push('aiWeight must be between 0 and 1');
+  if (typeof policy?.reviewGap !== 'number' || policy.reviewGap < 0)
+    errors.push('reviewGap must be a non-negative number of score points');
+  return errors;
+};
+
+/**
+ * Policy defaults merged with overrides (validated)
+ * @throws {Error} - Lists every problem found
+ */
+const resolveEnsemblePolicy = (overrides = {}) => {
+  const policy = { ...ENSEMBLE_POLICY, ...overrides };
+  const errors = validateEnsemblePolicy(policy);
+  if (errors.length > 0) throw new Error(`Invalid ensemble policy: ${errors.join('; ')}`);
+  return policy;
+};
+
+/**
+ * Decide how the two decisions combine
+ * @param {object} ai    - AI decision ({ score, approved })
+ * @param {object} rules - Rule decision ({ score, approved })
+ * @param {object} policy - resolveEnsemblePolicy() result
+ * @param {number} threshold - Approval threshold
+ * @returns {object} - { base: 'ai' | 'rules' | 'blend', score, approved, vetoedBy,
+ *                       scoreGap, needsReview, reviewReasons[] }
+ */
+const planEnsemble = (ai, rules, policy, threshold) => {
+  const scoreGap = Math.abs(ai.score - rules.score);
+  let plan;
+
+  if (policy.mode === 'weighted') {
+    const score = Math.round(policy.aiWeight * ai.score + (1 - policy.aiWeight) * rules.score);
+    plan = { base: 'blend', score, approved: score >= threshold, vetoedBy: null };
+  } else if (policy.mode === 'rules-veto') {
+    const vetoed = ai.approved && !rules.approved;
+    plan = vetoed
+      ? { base: 'rules', score: rules.score, approved: false, vetoedBy: 'rules' }
+      : { base: 'ai',    score: ai.score,    approved: ai.approved, vetoedBy: null };
+  } else {
+    const vetoed = rules.approved && !ai.approved;
+    plan = vetoed
+      ? { base: 'ai',    score: ai.score,    approved: false, vetoedBy: 'ai' }
+      : { base: 'rules', score: rules.score, approved: rules.approved, vetoedBy: null };
+  }
+
+  const needsReview = scoreGap > policy.reviewGap;
+  return {
+    ...plan,
+    scoreGap,
+    needsReview,
+    reviewReasons: needsReview
+      ? [`AI score ${ai.score} and rule score ${rules.score} differ by ${scoreGap} points (limit ${policy.reviewGap})`]
+      : [],
+  };
+};
+
+export { ENSEMBLE_MODES, planEnsemble, resolveEnsemblePolicy, validateEnsemblePolicy };
+
+export default { ENSEMBLE_MODES, planEnsemble, resolveEnsemblePolicy, validateEnsemblePolicy };
@@ -0,0 +1,266 @@
+// app/services/FairnessAudit.js
+// ═══════════════════════════════════════════════════════════════
+// FAIRNESS AUDIT — Do decisions differ by gender or age band?
+// Groups decisions by the protected attributes SignUpScreen
+// collects (gender, date of birth → age band) and reports, per
+// group: approval rate, score distribution and the adverse-impact
+// ratio (group approval rate ÷ best group's). A ratio below 0.8
+// fails the four-fifths rule and is flagged.
+//
+// Proxy check: for every scorecard factor, Cramér's V between the
+// reason code an applicant landed in and their group. A factor that
+// sorts applicants by group (V ≥ 0.3) is flagged as a likely proxy;
+// the age factor is reported as direct use of age.
+//
+// Input is either stored decisions ({ gender, dateOfBirth | age,
+// approved, score }) or a dataset of profiles scored here with every
+// registered strategy. scripts/fairness-audit.js is the CLI.
+// ═══════════════════════════════════════════════════════════════
+
+import { validateAge } from '../utils/validators';
+import CreditScoreCalculator from './CreditScoreCalculator';
+import LoanDecisionService from './LoanDecisionService';
+import { listStrategies } from './StrategyRegistry';
+
+const FOUR_FIFTHS      = 0.8;
+const PROXY_CRAMERS_V  = 0.3;
+// Groups smaller than this are reported but not flagged
+const MIN_GROUP_SIZE   = 30;
+
+const AGE_BANDS = [
+  { band: 'Under 25', max: 24 },
+  { band: '25–34',    max: 34 },
+  { band: '35–44',    max: 44 },
+  { band: '45–54',    max: 54 },
+  { band: '55+',      max: Infinity },
+];
+
+const ATTRIBUTES = {
+  gender:  { label: 'Gender',   groupOf: (r) => r.gender },
+  ageBand: { label: 'Age band', groupOf: (r) => r.ageBand },
+};
+
+const round = (n, dp = 4) => Math.round(n * 10 ** dp) / 10 ** dp;
+
+const ageBandOf = (age) => {
+  if (typeof age !== 'number' || !Number.isFinite(age)) return 'Unknown';
+  return AGE_BANDS.find(b => age <= b.max).band;
+};
+
+const normalizeGender = (gender) => {
+  const g = String(gender ?? '').trim().toLowerCase();
+  if (!g) return 'Unknown';
+  return g.charAt(0).toUpperCase() + g.slice(1);
+};
+
+/**
+ * Protected attributes of one record
+ * @param {object} record - { gender?, dateOfBirth?, age? }
+ * @returns {object} - { gender, age, ageBand }
+ */
+const protectedAttributes = (record) => {
+  const age = record.dateOfBirth ? validateAge(record.dateOfBirth).age : Number(record.age);
+  return {
+    gender:  normalizeGender(record.gender),
+    age:     Number.isFinite(age) ? age : null,
+    ageBand: ageBandOf(Number.isFinite(age) ? age : null),
+  };
+};
+
+// ── Group statistics ───────────────────────────────────────────
+
+const quantile = (sorted, q) => {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo  = Math.floor(pos);
+  return Math.round(sorted[lo] + (sorted[Math.ceil(pos)] - sorted[lo]) * (pos - lo));
+};
+
+/**
+ * Approval rate, score distribution and adverse-impact ratio per group
+ * @param {object[]} records - [{ gender, ageBand, approved, score }]
+ * @param {string} attribute - Key of ATTRIBUTES
+ * @returns {object} - { attribute, label, referenceGroup, groups: [...], flagged: string[] }
+ */
+const groupOutcomes = (records, attribute) => {
+  const byGroup = {};
+  records.forEach(r => {
+    const group = ATTRIBUTES[attribute].groupOf(r);
+    (byGroup[group] = byGroup[group] || []).push(r);
+  });
+
+  const groups = Object.entries(byGroup).map(([group, rows]) => {
+    const scores = rows.map(r => r.score).filter(s => typeof s === 'number').sort((a, b) => a - b);
+    return {
+      group,
+      count:        rows.length,
+      approvalRate: rows.filter(r => r.approved).length / rows.length,
+      meanScore:    scores.length ? Math.round(scores.reduce((s, v) => s + v, 0) / scores.length) : null,
+      scores:       { p10: quantile(scores, 0.1), p25: quantile(scores, 0.25), median: quantile(scores, 0.5),
+                      p75: quantile(scores, 0.75), p90: quantile(scores, 0.9) },
+    };
+  });
+
+  // Reference = highest approval rate among groups large enough to judge
+  const judged    = groups.filter(g => g.group !== 'Unknown' && g.count >= MIN_GROUP_SIZE);
+  const reference = judged.reduce((best, g) => (!best || g.approvalRate > best.approvalRate ? g : best), null);
+
+  const withRatios = groups.map(g => {
+    const ratio = reference && reference.approvalRate > 0 ? g.approvalRate / reference.approvalRate : null;
+    return {
+      ...g,
+      approvalRate:        round(g.approvalRate),
+      adverseImpactRatio:  ratio === null ? null : round(ratio),
+      sufficientData:      g.count >= MIN_GROUP_SIZE,
+      flagged:             ratio !== null && ratio < FOUR_FIFTHS && judged.includes(g),
+    };
+  }).sort((a, b) => String(a.group).localeCompare(String(b.group), undefined, { numeric: true }));
+
+  return {
+    attribute,
+    label:          ATTRIBUTES[attribute].label,
+    referenceGroup: reference ? reference.group : null,
+    groups:         withRatios,
+    flagged:        withRatios.filter(g => g.flagged).map(g => g.group),
+  };
+};
+
+// ── Proxy detection ────────────────────────────────────────────
+
+/** Cramér's V between two categorical columns, 0 (independent) → 1 */
+const cramersV = (xs, ys) => {
+  const n = xs.length;
+  const xKeys = Array.from(new Set(xs)), yKeys = Array.from(new Set(ys));
+  if (n === 0 || xKeys.length < 2 || yKeys.length < 2) return 0;
+
+  const counts = {};
+  xs.forEach((x, i) => { const k = `${x}|${ys[i]}`; counts[k] = (counts[k] || 0) + 1; });
+  const xTotals = Object.fromEntries(xKeys.map(x => [x, xs.filter(v => v === x).length]));
+  const yTotals = Object.fromEntries(yKeys.map(y => [y, ys.filter(v => v === y).length]));
+
+  let chi2 = 0;
+  xKeys.forEach(x => yKeys.forEach(y => {
+    const expected = (xTotals[x] * yTotals[y]) / n;
+    chi2 += ((counts[`${x}|${y}`] || 0) - expected) ** 2 / expected;
+  }));
+  return Math.sqrt(chi2 / (n * (Math.min(xKeys.length, yKeys.length) - 1)));
+};
+
+/**
+ * Factors whose reason codes line up with a protected attribute
+ * @param {object[]} records - [{ gender, ageBand, ledger: [{ factor, label, code }] }]
+ * @returns {object[]} - [{ factor, label, attribute, cramersV, direct, flagged }], strongest first
+ */
+const findProxies = (records) => {
+  const factors = {};
+  records.forEach(r => (r.ledger || []).forEach(e => { factors[e.factor] = e.label; }));
+
+  const results = [];
+  Object.entries(factors).forEach(([factor, label]) => {
+    Object.keys(ATTRIBUTES).forEach(attribute => {
+      const rows = records.filter(r => ATTRIBUTES[attribute].groupOf(r) !== 'Unknown');
+      const codes  = rows.map(r => r.ledger.find(e => e.factor === factor)?.code ?? 'not scored');
+      const groups = rows.map(r => ATTRIBUTES[attribute].groupOf(r));
+      const v      = cramersV(codes, groups);
+      const direct = factor === 'age' && attribute === 'ageBand';
+      results.push({
+        factor, label, attribute,
+        cramersV: round(v, 3),
+        direct,
+        flagged:  direct || v >= PROXY_CRAMERS_V,
+      });
+    });
+  });
+  return results.sort((a, b) => b.cramersV - a.cramersV);
+};
+
+// ── Audits ─────────────────────────────────────────────────────
+
+const summarize = (records, withProxies) => {
+  const outcomes = Object.keys(ATTRIBUTES).map(a => groupOutcomes(records, a));
+  const proxies  = withProxies ? findProxies(records) : [];
+  return {
+    count:    records.length,
+    outcomes,
+    proxies,
+    flags: [
+      ...outcomes.flatMap(o => o.flagged.map(g =>
+        `${o.label} "${g}": adverse-impact ratio below ${FOUR_FIFTHS} versus "${o.referenceGroup}"`)),
+      ...proxies.filter(p => p.flagged).map(p => (p.direct
+        ? `${p.label} factor scores age directly`
+        : `${p.label} may proxy for ${ATTRIBUTES[p.attribute].label.toLowerCase()} (Cramér's V ${p.cramersV})`)),
+    ],
+  };
+};
+
+/**
+ * Audit decisions already made (e.g. exported from storage)
+ * @param {object[]} decisions - [{ gender, dateOfBirth | age, approved, score, ledger? }]
+ */
+const auditDecisions = (decisions) => {
+  const records = decisions.map(d => ({
+    ...protectedAttributes(d),
+    approved: Boolean(d.approved),
+    score:    d.score,
+    ledger:   d.ledger || [],
+  }));
+  return {
+    generatedAt: new Date().toISOString(),
+    source:      'decisions',
+    ...summarize(records, records.some(r => r.ledger.length > 0)),
+  };
+};
+
+/**
+ * Score a dataset with every strategy and audit each one's decisions —
+ * approval follows the hard eligibility rules and the approval threshold
+ * @param {object[]} applications - [{ profile: UserFinancialProfile, row: { gender, dateOfBirth | age } }]
+ * @param {object} options - { strategies?: string[], threshold? }
+ */
+const auditStrategies = (applications, options = {}) => {
+  const threshold = options.threshold ?? new LoanDecisionService().APPROVAL_THRESHOLD;
+  const names     = options.strategies || listStrategies().map(s => s.name);
+
+  const strategies = names.map(name => {
+    const calculator = new CreditScoreCalculator(name);
+    const records = applications.map(app => {
+      const result   = calculator.calculateScore(app.profile);
+      const eligible = app.profile.getEgyptianEligibilityIssues().length === 0;
+      return {
+        ...protectedAttributes({ age: app.profile.age, ...app.row }),
+        approved: result.success && eligible && result.score >= threshold,
+        score:    result.success ? result.score : null,
+        ledger:   result.success ? result.ledger : [],
+      };
+    });
+    return { name: String(name).toLowerCase(), ...summarize(records, true) };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    source:      'dataset',
+    threshold,
+    applications: applications.length,
+    strategies,
+  };
+};
+
+export {
+  AGE_BANDS,
+  ageBandOf,
+  auditDecisions,
+  auditStrategies,
+  cramersV,
+  findProxies,
+  groupOutcomes
+};
+
+export default {
+  AGE_BANDS,
+  ageBandOf,
+  auditDecisions,
+  auditStrategies,
+  cramersV,
+  findProxies,
+  groupOutcomes,
+};
@@ -120,6 +120,17 @@ class FirebaseService {
   getCurrentUser() {
     return auth.currentUser;
   }
+
+  /**
+   * ID token of the signed-in user (sent to the API proxy), or null
+   */
+  async getIdToken() {
+    try {
+      return auth.currentUser ? await auth.currentUser.getIdToken() : null;
+    } catch (_error) {
+      return null;
+    }
+  }
   
   onAuthStateChange(callback) {
     return onAuthStateChanged(auth, callback);
@@ -186,6 +197,16 @@ class FirebaseService {
     }
   }
   
+  /**
+   * Save the Financial Profile (values arrive already encrypted by financial.js):
+   *  - income, expenses, employmentYears, requestedLoanAmount, loanTermMonths
+   *  - incomeSources — salary, allowances, bonus, rent, etc. as one JSON string
+   *    (income holds their declared monthly total)
+   *  - expenseCategories — housing, food, transport, etc. as one JSON object
+   *    (expenses holds their total), plus householdSize
+   *  - creditFacilities — itemized loans, cards and BNPL plans as one JSON string
+   *  - debts — total outstanding balance of those facilities
+   */
   async saveFinancialProfile(userId, financialData) {
     try {
       await updateDoc(doc(db, 'users', userId), {
@@ -0,0 +1,85 @@
+// app/services/InstallmentCalculator.js
+// ═══════════════════════════════════════════════════════════════
+// INSTALLMENT CALCULATOR — Reducing-balance amortization, EGP
+// Used by LoanDecisionService to derive the max loan from the
+// installment an applicant can afford, and to build the
+// month-by-month schedule shown under the loan recommendation.
+// ═══════════════════════════════════════════════════════════════
+
+/** Round to piasters (2 decimals) */
+const roundEGP = (amount) => Math.round(amount * 100) / 100;
+
+/** Annual % rate → monthly decimal rate */
+const toMonthlyRate = (annualRate) => (annualRate || 0) / 100 / 12;
+
+/**
+ * Fixed monthly installment for a reducing-balance loan
+ * @param {number} principal  - Loan amount (EGP)
+ * @param {number} annualRate - Interest rate, % per annum (e.g. 27)
+ * @param {number} termMonths - Loan term in months
+ * @returns {number} - Monthly installment (EGP)
+ */
+const calculateMonthlyInstallment = (principal, annualRate, termMonths) => {
+  if (principal <= 0 || termMonths <= 0) return 0;
+  const r = toMonthlyRate(annualRate);
+  if (r === 0) return principal / termMonths;
+  return (principal * r) / (1 - Math.pow(1 + r, -termMonths));
+};
+
+/**
+ * Largest principal whose installment does not exceed the given amount
+ * (inverse of calculateMonthlyInstallment)
+ * @param {number} installment - Affordable monthly installment (EGP)
+ * @param {number} annualRate  - Interest rate, % per annum
+ * @param {number} termMonths  - Loan term in months
+ * @returns {number} - Principal (EGP)
+ */
+const calculateMaxPrincipal = (installment, annualRate, termMonths) => {
+  if (installment <= 0 || termMonths <= 0) return 0;
+  const r = toMonthlyRate(annualRate);
+  if (r === 0) return installment * termMonths;
+  return (installment * (1 - Math.pow(1 + r, -termMonths))) / r;
+};
+
+/**
+ * Full amortization table
+ * The last installment absorbs rounding so the balance closes at exactly 0.
+ * @param {number} principal  - Loan amount (EGP)
+ * @param {number} annualRate - Interest rate, % per annum
+ * @param {number} termMonths - Loan term in months
+ * @returns {object} - { monthlyInstallment, totalInterest, totalPayment, schedule[] }
+ */
+const buildAmortizationSchedule = (principal, annualRate, termMonths) => {
+  const installment = roundEGP(calculateMonthlyInstallment(principal, annualRate, termMonths));
+  const r = toMonthlyRate(annualRate);
+  const schedule = [];
+  let balance = principal;
+  let totalInterest = 0;
+
+  for (let month = 1; month <= termMonths && balance > 0; month++) {
+    const interest       = roundEGP(balance * r);
+    const isLast         = month === termMonths;
+    const principalPaid  = isLast ? roundEGP(balance) : roundEGP(Math.min(installment - interest, balance));
+    balance              = roundEGP(balance - principalPaid);
+    totalInterest       += interest;
+
+    schedule.push({
+      month,
+      installment: roundEGP(principalPaid + interest),
+      interest,
+      principal:   principalPaid,
+      balance,
+    });
+  }
+
+  totalInterest = roundEGP(totalInterest);
+  return {
+    monthlyInstallment: installment,
+    totalInterest,
+    totalPayment:       roundEGP(principal + totalInterest),
+    schedule,
+  };
+};
+
+export { buildAmortizationSchedule, calculateMaxPrincipal, calculateMonthlyInstallment };
+export default { buildAmortizationSchedule, calculateMaxPrincipal, calculateMonthlyInstallment };
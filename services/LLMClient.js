@@ -0,0 +1,306 @@
+// app/services/LLMClient.js
+// ═══════════════════════════════════════════════════════════════
+// LLM CLIENT — One chat-completion call, any provider
+// A provider adapter turns { messages, model, temperature,
+// maxTokens } into an HTTP request and the reply back into text:
+//   • proxy             — the app's API proxy (server/), which holds
+//                         the provider key and builds the prompt itself
+//   • openai            — api.openai.com
+//   • azure             — Azure OpenAI deployments (api-key header)
+//   • openai-compatible — any server speaking /chat/completions
+//                         (vLLM, Ollama, LM Studio, an internal model)
+//   • mock              — no network; deterministic replies from
+//                         responders keyed by request purpose
+// Provider, model, temperature and timeout come from
+// config/llmConfig.js. Failures never throw: complete() resolves
+// { success: false, reason, status?, error } so callers can fall
+// back to the rules and say why.
+//
+// Resilience:
+//   • every attempt is aborted after timeoutMs
+//   • 429 and 5xx are retried up to maxRetries times, backing off
+//     retryBaseMs, 2×, 4×… (or the server's Retry-After — one longer
+//     than RETRY_AFTER_MAX_MS, like an exhausted quota, is not retried)
+//   • after circuitThreshold failed calls in a row the circuit opens
+//     and calls fail fast for circuitCooldownMs; the next call after
+//     that is a trial — success closes the circuit, failure reopens it
+// ═══════════════════════════════════════════════════════════════
+
+import { LLM_CONFIG, LLM_PROVIDERS } from '../config/llmConfig';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Why an AI answer was not used. The last four are set by callers:
+// OpenAiService (parse, error) and LoanDecisionService (guardrail,
+// disabled — the user turned AI processing off).
+const LLM_FAILURES = {
+  NOT_CONFIGURED: 'not-configured',
+  TIMEOUT:        'timeout',
+  HTTP:           'http',
+  NETWORK:        'network',
+  EMPTY:          'empty',
+  CIRCUIT_OPEN:   'circuit-open',
+  PARSE:          'parse',
+  GUARDRAIL:      'guardrail',
+  ERROR:          'error',
+  DISABLED:       'disabled',
+};
+
+const RETRY_AFTER_MAX_MS = 30000;
+const PROXY_PATH = '/v1/assessments';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Error carrying the HTTP status (and Retry-After, in ms) of a failed response */
+const httpError = (response) => {
+  const error = new Error(`HTTP ${response.status}`);
+  error.status = response.status;
+  const retryAfter = parseFloat(response.headers?.get?.('retry-after'));
+  if (Number.isFinite(retryAfter)) error.retryAfterMs = retryAfter * 1000;
+  return error;
+};
+
+const isRetryable = ({ status, retryAfterMs }) =>
+  (status === 429 || status >= 500) && !(retryAfterMs > RETRY_AFTER_MAX_MS);
+
+const trimSlash = (url) => String(url || '').replace(/\/+$/, '');
+
+/** Text of the first choice in a chat-completions response */
+const readChatContent = (data) => data?.choices?.[0]?.message?.content || '';
+
+// ── Providers ──────────────────────────────────────────────────
+// Each provider: { name, isConfigured(), complete(request, signal) → Promise<{ content, model, promptVersion? }> }
+// A failed HTTP response throws an error with .status
+
+/**
+ * The app's API proxy (server/index.js). Only the purpose, the
+ * profile and — for the advisor chat — its context are sent; the
+ * proxy builds the messages and picks the model.
+ * @param {object} config - { baseUrl }
+ */
+const createProxyProvider = (config) => {
+  const baseUrl = trimSlash(config.baseUrl);
+  return {
+    name: 'proxy',
+    isConfigured: () => Boolean(baseUrl),
+    complete: async (request, signal) => {
+      const response = await fetch(`${baseUrl}${PROXY_PATH}`, {
+        method: 'POST',
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(request.authToken ? { 'Authorization': `Bearer ${request.authToken}` } : {}),
+        },
+        body: JSON.stringify({
+          purpose: request.purpose,
+          profile: request.metadata,
+          ...(request.context ? { context: request.context } : {}),
+        }),
+      });
+      if (!response.ok) throw httpError(response);
+      const data = await response.json();
+      return { content: data.content || '', model: data.model || request.model, promptVersion: data.promptVersion };
+    },
+  };
+};
+
+/**
+ * OpenAI and OpenAI-compatible servers
+ * @param {object} config - { baseUrl, apiKey, model }
+ * @param {string} name
+ */
+const createOpenAICompatibleProvider = (config, name = 'openai-compatible') => {
+  const baseUrl = trimSlash(config.baseUrl || (name === 'openai' ? OPENAI_BASE_URL : ''));
+  return {
+    name,
+    // Self-hosted servers usually need no key
+    isConfigured: () => Boolean(baseUrl) && (name !== 'openai' || Boolean(config.apiKey)),
+    complete: async (request, signal) => {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model:       request.model,
+          messages:    request.messages,
+          temperature: request.temperature,
+          max_tokens:  request.maxTokens,
+        }),
+      });
+      if (!response.ok) throw httpError(response);
+      const data = await response.json();
+      return { content: readChatContent(data), model: data.model || request.model };
+    },
+  };
+};
+
+/**
+ * Azure OpenAI — the deployment, not the model, is in the URL
+ * @param {object} config - { baseUrl, apiKey, model, azureDeployment, azureApiVersion }
+ */
+const createAzureProvider = (config) => {
+  const deployment = config.azureDeployment || config.model;
+  const url = `${trimSlash(config.baseUrl)}/openai/deployments/${encodeURIComponent(deployment)}`
+    + `/chat/completions?api-version=${encodeURIComponent(config.azureApiVersion)}`;
+  return {
+    name: 'azure',
+    isConfigured: () => Boolean(config.baseUrl && config.apiKey && deployment),
+    complete: async (request, signal) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json', 'api-key': config.apiKey },
+        body: JSON.stringify({
+          messages:    request.messages,
+          temperature: request.temperature,
+          max_tokens:  request.maxTokens,
+        }),
+      });
+      if (!response.ok) throw httpError(response);
+      const data = await response.json();
+      return { content: readChatContent(data), model: data.model || deployment };
+    },
+  };
+};
+
+/**
+ * Offline stand-in. Replies come from responders[request.purpose]
+ * (a string or a function of the request); anything else gets a
+ * fixed JSON echo, so the same request always gets the same reply.
+ * @param {object} responders - purpose → string | (request) => string
+ */
+const createMockProvider = (responders = {}) => ({
+  name: 'mock',
+  isConfigured: () => true,
+  complete: async (request) => {
+    const responder = responders[request.purpose];
+    const content = typeof responder === 'function'
+      ? responder(request)
+      : responder ?? JSON.stringify({ mock: true, purpose: request.purpose || null, messages: request.messages.length });
+    return { content, model: 'mock' };
+  },
+});
+
+const createProvider = (config, responders) => {
+  switch (config.provider) {
+    case 'proxy':             return createProxyProvider(config);
+    case 'openai':            return createOpenAICompatibleProvider(config, 'openai');
+    case 'openai-compatible': return createOpenAICompatibleProvider(config, 'openai-compatible');
+    case 'azure':             return createAzureProvider(config);
+    case 'mock':              return createMockProvider(responders);
+    default:
+      throw new Error(`Unknown LLM provider "${config.provider}". Expected one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+};
+
+// ── Client ─────────────────────────────────────────────────────
+
+/**
+ * @param {object} config - Overrides for LLM_CONFIG (provider, model, …)
+ * @param {object} options - { mockResponders } used by the mock provider,
+ *                           { now(), sleep(ms) } to control time
+ * @returns {object} - { provider, model, isConfigured(), complete(request), getCircuitState() }
+ */
+const createLLMClient = (config = {}, options = {}) => {
+  const settings = { ...LLM_CONFIG, ...config };
+  const provider = createProvider(settings, options.mockResponders);
+  const now   = options.now   || (() => Date.now());
+  const pause = options.sleep || sleep;
+
+  // Circuit breaker state, shared by every call on this client
+  let consecutiveFailures = 0;
+  let openUntil = 0;
+
+  /** One attempt, aborted after timeoutMs */
+  const attempt = async (request) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+    try {
+      const { content, model, promptVersion } = await provider.complete({
+        model:       settings.model,
+        temperature: settings.temperature,
+        maxTokens:   settings.maxTokens,
+        ...request,
+      }, controller.signal);
+      if (!content) return { success: false, reason: LLM_FAILURES.EMPTY, error: 'Empty response' };
+      // The proxy writes the prompt, so its version is the one used
+      return { success: true, content, model, ...(promptVersion ? { promptVersion } : {}) };
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        return { success: false, reason: LLM_FAILURES.TIMEOUT, error: `Timed out after ${settings.timeoutMs} ms` };
+      }
+      if (error?.status) {
+        return { success: false, reason: LLM_FAILURES.HTTP, status: error.status, error: error.message, retryAfterMs: error.retryAfterMs };
+      }
+      return { success: false, reason: LLM_FAILURES.NETWORK, error: error?.message || 'unavailable' };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  /**
+   * One chat completion, retried and guarded by the circuit breaker
+   * @param {object} request - { messages: [{ role, content }], purpose?, temperature?, maxTokens?, metadata?, context? }
+   * @returns {Promise<object>} - { success, content?, provider, model, promptVersion?, attempts, reason?, status?, error? }
+   */
+  const complete = async (request) => {
+    const meta = { provider: provider.name, model: settings.model };
+    if (!provider.isConfigured()) {
+      return { success: false, reason: LLM_FAILURES.NOT_CONFIGURED, error: 'LLM provider not configured', attempts: 0, ...meta };
+    }
+    if (now() < openUntil) {
+      return {
+        success:  false,
+        reason:   LLM_FAILURES.CIRCUIT_OPEN,
+        error:    `AI skipped after ${consecutiveFailures} failed calls; retrying in ${Math.ceil((openUntil - now()) / 1000)} s`,
+        attempts: 0,
+        ...meta,
+      };
+    }
+
+    let result;
+    let attempts = 0;
+    for (;;) {
+      attempts++;
+      result = await attempt(request);
+      const retry = !result.success && result.reason === LLM_FAILURES.HTTP
+        && isRetryable(result) && attempts <= settings.maxRetries;
+      if (!retry) break;
+      await pause(result.retryAfterMs ?? settings.retryBaseMs * 2 ** (attempts - 1));
+    }
+    const { retryAfterMs: _retryAfterMs, ...outcome } = result;
+
+    if (outcome.success) {
+      consecutiveFailures = 0;
+      openUntil = 0;
+      return { ...meta, ...outcome, attempts };
+    }
+    consecutiveFailures++;
+    if (consecutiveFailures >= settings.circuitThreshold) openUntil = now() + settings.circuitCooldownMs;
+    return { ...outcome, attempts, ...meta };
+  };
+
+  return {
+    provider:     provider.name,
+    model:        settings.model,
+    isConfigured: provider.isConfigured,
+    complete,
+    /** { open, consecutiveFailures, openUntil } */
+    getCircuitState: () => ({ open: now() < openUntil, consecutiveFailures, openUntil }),
+  };
+};
+
+export {
+  createAzureProvider,
+  createLLMClient,
+  createMockProvider,
+  createOpenAICompatibleProvider,
+  createProxyProvider,
+  LLM_FAILURES,
+  PROXY_PATH
+};
+
+export default { createLLMClient };
@@ -0,0 +1,216 @@
+// app/services/LoanAdvisor.js
+// ═══════════════════════════════════════════════════════════════
+// LOAN ADVISOR — Follow-up questions about the last decision
+// Grounded in the current UserFinancialProfile and the last
+// LoanDecisionService result, handed over by CreditScore.js
+// (setAdvisorContext). Each question:
+//   1. What-if changes are re-run through the rule engine
+//      (WhatIfEngine) — the model quotes them, never guesses
+//   2. The LLM gets the redacted profile (AiRedaction), a decision
+//      summary, the what-if figures and the recent conversation;
+//      the call is recorded in the AI audit log
+//   3. AI off or unavailable → the answer is composed from the same
+//      data without the model (LoanAdvisorPrompt.describeForApplicant)
+// The conversation is kept per user on the device (AdvisorChatHistory).
+// ═══════════════════════════════════════════════════════════════
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ELIGIBILITY_RULES } from '../config/lendingPolicy';
+import AiAuditLog from './AiAuditLog';
+import { redactForAi } from './AiRedaction';
+import { createLLMClient, LLM_FAILURES } from './LLMClient';
+import {
+  ADVISOR_PROMPT_VERSION,
+  buildAdvisorMessages,
+  describeForApplicant,
+  MAX_HISTORY_TURNS,
+  MAX_MESSAGE_CHARS,
+  mockAdvisorReply,
+} from './LoanAdvisorPrompt';
+import { buildPromptProfile } from './LoanAssessmentPrompt';
+import LoanDecisionService from './LoanDecisionService';
+import { getFactorSummary } from './ReasonCodes';
+import { parseWhatIf, runWhatIf } from './WhatIfEngine';
+
+const HISTORY_KEY_PREFIX = 'loanAdvisorChat:';
+const MAX_MESSAGES       = 50;
+const MAX_SUMMARY_ITEMS  = 8;
+
+// Replies are short; the assessment's token budget is not needed
+const ADVISOR_MAX_TOKENS = 500;
+
+// ── Context from the Credit Score screen ───────────────────────
+// Kept in memory: the decision is too large for a route param and
+// holds figures that should not be written to storage.
+let advisorContext = null;
+
+/** @param {object} context - { profile: UserFinancialProfile, decision, aiEnabled } */
+const setAdvisorContext = (context) => { advisorContext = context; };
+
+/** @returns {object|null} - { profile, decision, aiEnabled } */
+const getAdvisorContext = () => advisorContext;
+
+// ── Conversation history ───────────────────────────────────────
+
+class AdvisorChatHistory {
+  /**
+   * @param {object} options - { userId, storage (AsyncStorage-compatible), maxMessages }
+   */
+  constructor(options = {}) {
+    this.key         = HISTORY_KEY_PREFIX + (options.userId || 'anonymous');
+    this.storage     = options.storage || AsyncStorage;
+    this.maxMessages = options.maxMessages ?? MAX_MESSAGES;
+  }
+
+  /** Messages oldest first ([] when unreadable) */
+  async list() {
+    try {
+      const raw = await this.storage.getItem(this.key);
+      const messages = raw ? JSON.parse(raw) : [];
+      return Array.isArray(messages) ? messages : [];
+    } catch (_err) {
+      return [];
+    }
+  }
+
+  /**
+   * Add messages, keeping the newest maxMessages
+   * @returns {Promise<object[]>} - the whole conversation
+   */
+  async append(...messages) {
+    const all = [...(await this.list()), ...messages].slice(-this.maxMessages);
+    try {
+      await this.storage.setItem(this.key, JSON.stringify(all));
+    } catch (_err) {
+      // Unsaved history only costs the next session its context
+    }
+    return all;
+  }
+
+  async clear() {
+    await this.storage.removeItem(this.key);
+  }
+}
+
+// ── Decision summary ───────────────────────────────────────────
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+/** ELIGIBILITY_RULES keys (plus employed) the profile fails */
+const failedEligibilityRules = (profile) => {
+  const r = ELIGIBILITY_RULES;
+  return [
+    profile.age < r.minAge                                  && 'minAge',
+    profile.age > r.maxAge                                  && 'maxAge',
+    profile.getBankableIncome() < r.minBankableIncome       && 'minBankableIncome',
+    profile.employmentType === 'unemployed'                 && 'employed',
+    profile.employmentYears < r.minEmploymentYears          && 'minEmploymentYears',
+    profile.calculatePostLoanDTI() > r.maxPostLoanDti       && 'maxPostLoanDti',
+  ].filter(Boolean);
+};
+
+/**
+ * What the advisor is told about the decision — labels, rounded
+ * figures and rule keys only, so no exact amount leaves the device
+ * @returns {object}
+ */
+const summarizeDecision = (decision, profile) => {
+  const factors = getFactorSummary(decision.ledger || []);
+  return {
+    source:             decision.source,
+    approved:           decision.approved === true,
+    score:              decision.score,
+    riskLevel:          decision.riskLevel,
+    rating:             decision.rating,
+    failedRules:        failedEligibilityRules(profile),
+    strengths:          factors.positiveFactors.slice(0, MAX_SUMMARY_ITEMS),
+    weaknesses:         factors.negativeFactors.slice(0, MAX_SUMMARY_ITEMS),
+    maxLoanAmount:      roundTo(decision.maxLoanAmount || 0, 1000),
+    interestRateRange:  decision.interestRateRange || [0, 0],
+    loanTermMonths:     decision.loanTermMonths,
+    monthlyInstallment: roundTo(decision.loanOffer?.monthlyInstallment || 0, 100),
+    pathToApproval:     (decision.pathToApproval?.suggestions || [])
+      .slice(0, MAX_SUMMARY_ITEMS)
+      .map(s => ({ title: s.title, projectedScore: s.projectedScore ?? null })),
+  };
+};
+
+// ── Asking ─────────────────────────────────────────────────────
+
+// Created on first use so a misconfigured provider fails the call, not the import
+let client = null;
+const getClient = () => client || (client = createLLMClient({}, {
+  mockResponders: { 'loan-advisor': mockAdvisorReply },
+}));
+
+let defaultAuditLog = null;
+const getDefaultAuditLog = () => defaultAuditLog || (defaultAuditLog = new AiAuditLog());
+
+/**
+ * Answer one question
+ * @param {string} question
+ * @param {object} options - { profile, decision, history: earlier messages, aiEnabled,
+ *                             authToken, decisionService, auditLog, llm }
+ * @returns {Promise<object>} - assistant message
+ *   { role, content, source: 'ai' | 'rules', whatIf, fallbackReason, sentAt }
+ */
+const askAdvisor = async (question, options) => {
+  const { profile, decision, history = [], aiEnabled = true } = options;
+
+  const scenario = parseWhatIf(question, profile);
+  const whatIf   = await runWhatIf(profile, scenario, options.decisionService || new LoanDecisionService());
+  const context  = {
+    decision: summarizeDecision(decision, profile),
+    whatIf,
+    history:  history.slice(-MAX_HISTORY_TURNS).map(m => ({ role: m.role, content: m.content.slice(0, MAX_MESSAGE_CHARS) })),
+    question,
+  };
+
+  // Facts the rules found that the model was not asked about
+  const notes = scenario?.notes || [];
+  const answer = (content, extra) => ({
+    role:     'assistant',
+    content:  [content, ...notes].join('\n'),
+    whatIf,
+    sentAt:   Date.now(),
+    ...extra,
+  });
+  const withoutModel = (reason) => answer(describeForApplicant(context), { source: 'rules', fallbackReason: reason });
+
+  if (!aiEnabled) return withoutModel(LLM_FAILURES.DISABLED);
+
+  let llm;
+  try {
+    llm = options.llm || getClient();
+  } catch (_error) {
+    return withoutModel(LLM_FAILURES.NOT_CONFIGURED);
+  }
+  if (!llm.isConfigured()) return withoutModel(LLM_FAILURES.NOT_CONFIGURED);
+
+  try {
+    const { payload, withheld, policyVersion } = redactForAi(buildPromptProfile(profile));
+    const started = Date.now();
+    const reply = await llm.complete({
+      purpose:   'loan-advisor',
+      messages:  buildAdvisorMessages({ profile: payload, ...context }),
+      metadata:  payload,
+      context,
+      maxTokens: ADVISOR_MAX_TOKENS,
+      authToken: options.authToken,
+    });
+    await (options.auditLog || getDefaultAuditLog()).recordCall(
+      { purpose: 'loan-advisor', payload, context, withheld, policyVersion, promptVersion: ADVISOR_PROMPT_VERSION },
+      reply,
+      Date.now() - started,
+    );
+
+    if (!reply.success) return withoutModel(reply.reason);
+    return answer(reply.content.trim(), { source: 'ai', fallbackReason: null });
+  } catch (_error) {
+    return withoutModel(LLM_FAILURES.ERROR);
+  }
+};
+
+export { AdvisorChatHistory, askAdvisor, getAdvisorContext, setAdvisorContext, summarizeDecision };
+
+export default { AdvisorChatHistory, askAdvisor, getAdvisorContext, setAdvisorContext, summarizeDecision };
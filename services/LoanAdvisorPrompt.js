@@ -0,0 +1,202 @@
+// app/services/LoanAdvisorPrompt.js
+// ═══════════════════════════════════════════════════════════════
+// LOAN ADVISOR PROMPT — What the advisor model is asked, and a stand-in
+// Renders config/prompts/loanAdvisor.js from the advisor context:
+//   { decision, whatIf, history, question } — built by LoanAdvisor.js
+// plus the redacted profile payload (services/AiRedaction.js).
+// Shared by the app and the API proxy, which checks the context
+// (checkAdvisorContext) and writes the messages itself.
+// describeForApplicant answers from the same data without a model:
+// the mock provider's reply, and the advisor's answer when AI is off.
+// ═══════════════════════════════════════════════════════════════
+
+import { ELIGIBILITY_RULES, LOAN_TERMS } from '../config/lendingPolicy';
+import { LOAN_ADVISOR_PROMPT } from '../config/prompts/loanAdvisor';
+import { renderTemplate } from './LoanAssessmentPrompt';
+
+const ADVISOR_PROMPT_VERSION = LOAN_ADVISOR_PROMPT.version;
+
+// Sizes the proxy accepts — a follow-up question, not a document
+const MAX_QUESTION_CHARS = 500;
+const MAX_MESSAGE_CHARS  = 1500;
+const MAX_HISTORY_TURNS  = 6;
+const MAX_LIST_ITEMS     = 8;
+const MAX_TEXT_CHARS     = 200;
+
+const formatEGP = (n) => `EGP ${Math.round(n).toLocaleString()}`;
+
+/** Hard rule key (LoanAdvisor summarizeDecision) → what failed */
+const RULE_LABELS = {
+  minAge:             `under the minimum age of ${ELIGIBILITY_RULES.minAge}`,
+  maxAge:             `over the maximum age of ${ELIGIBILITY_RULES.maxAge}`,
+  minBankableIncome:  `bankable income below ${formatEGP(ELIGIBILITY_RULES.minBankableIncome)} a month`,
+  employed:           'not currently employed',
+  minEmploymentYears: `probation (${Math.round(ELIGIBILITY_RULES.minEmploymentYears * 12)} months) not complete`,
+  maxPostLoanDti:     `DTI after the new loan above ${ELIGIBILITY_RULES.maxPostLoanDti}%`,
+};
+
+// ── Context checks (API proxy) ─────────────────────────────────
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isText   = (v, max = MAX_TEXT_CHARS) => typeof v === 'string' && v.length <= max;
+const isTexts  = (v) => Array.isArray(v) && v.length <= MAX_LIST_ITEMS && v.every(t => isText(t));
+
+const OUTCOME_FIELDS = {
+  approved:            (v) => typeof v === 'boolean',
+  score:               isNumber,
+  requestedLoanAmount: isNumber,
+  loanTermMonths:      isNumber,
+  postLoanDti:         isNumber,
+  maxLoanAmount:       isNumber,
+  monthlyInstallment:  isNumber,
+};
+
+const DECISION_FIELDS = {
+  source:             (v) => isText(v, 32),
+  approved:           (v) => typeof v === 'boolean',
+  score:              isNumber,
+  riskLevel:          (v) => isText(v, 32),
+  rating:             (v) => isText(v, 32),
+  failedRules:        (v) => Array.isArray(v) && v.every(k => k in RULE_LABELS),
+  strengths:          isTexts,
+  weaknesses:         isTexts,
+  maxLoanAmount:      isNumber,
+  interestRateRange:  (v) => Array.isArray(v) && v.length === 2 && v.every(isNumber),
+  loanTermMonths:     isNumber,
+  monthlyInstallment: isNumber,
+  pathToApproval:     (v) => Array.isArray(v) && v.length <= MAX_LIST_ITEMS
+    && v.every(p => p && isText(p.title) && (p.projectedScore === null || isNumber(p.projectedScore))),
+};
+
+const checkFields = (value, fields, name) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${name} must be an object`];
+  const problems = Object.keys(value).filter(k => !fields[k]).map(k => `${name}.${k} is not allowed`);
+  Object.entries(fields).forEach(([k, valid]) => {
+    if (value[k] !== undefined && !valid(value[k])) problems.push(`${name}.${k} is not valid`);
+  });
+  return problems;
+};
+
+/**
+ * Problems with an advisor context from the app — unknown fields,
+ * wrong types or oversized text
+ * @returns {string[]} - empty when the context is acceptable
+ */
+const checkAdvisorContext = (context) => {
+  if (!context || typeof context !== 'object' || Array.isArray(context)) return ['context must be an object'];
+  const problems = Object.keys(context)
+    .filter(k => !['decision', 'whatIf', 'history', 'question'].includes(k))
+    .map(k => `context.${k} is not allowed`);
+
+  if (!(isText(context.question, MAX_QUESTION_CHARS) && context.question.trim())) {
+    problems.push(`question must be 1–${MAX_QUESTION_CHARS} characters`);
+  }
+  problems.push(...checkFields(context.decision, DECISION_FIELDS, 'decision'));
+
+  const { whatIf } = context;
+  if (whatIf !== null && whatIf !== undefined) {
+    if (!isText(whatIf.scenario)) problems.push('whatIf.scenario is not valid');
+    problems.push(...checkFields(whatIf.before, OUTCOME_FIELDS, 'whatIf.before'));
+    problems.push(...checkFields(whatIf.after, OUTCOME_FIELDS, 'whatIf.after'));
+  }
+
+  const { history = [] } = context;
+  const validTurn = (m) => m && ['user', 'assistant'].includes(m.role) && isText(m.content, MAX_MESSAGE_CHARS);
+  if (!(Array.isArray(history) && history.length <= MAX_HISTORY_TURNS && history.every(validTurn))) {
+    problems.push(`history must be at most ${MAX_HISTORY_TURNS} user/assistant messages`);
+  }
+  return problems;
+};
+
+// ── Messages ───────────────────────────────────────────────────
+
+/**
+ * Chat messages for one advisor turn
+ * @param {object} context - { profile: redacted payload, decision, whatIf, history, question }
+ * @returns {object[]} - [{ role, content }]
+ */
+const buildAdvisorMessages = ({ profile, decision, whatIf, history = [], question }) => {
+  const system = renderTemplate(LOAN_ADVISOR_PROMPT.system, {
+    approvalThreshold: LOAN_TERMS.approvalThreshold,
+    minAge:            ELIGIBILITY_RULES.minAge,
+    maxAge:            ELIGIBILITY_RULES.maxAge,
+    minBankableIncome: ELIGIBILITY_RULES.minBankableIncome.toLocaleString(),
+    maxPostLoanDti:    ELIGIBILITY_RULES.maxPostLoanDti,
+    profile:           JSON.stringify(profile, null, 2),
+    decision:          JSON.stringify({
+      ...decision,
+      failedRules: (decision.failedRules || []).map(k => RULE_LABELS[k]),
+    }, null, 2),
+    whatIf:            whatIf ? JSON.stringify(whatIf, null, 2) : 'None',
+  });
+  return [
+    { role: 'system', content: system },
+    ...history.map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: question },
+  ];
+};
+
+// ── Answers without a model ────────────────────────────────────
+
+const verdict = (approved) => (approved ? 'approved' : 'declined');
+
+const describeWhatIf = ({ scenario, before, after }) => {
+  const lines = [`I re-ran your application with this change: ${scenario}.`];
+  lines.push(`• Score: ${before.score} → ${after.score}`);
+  lines.push(`• Decision: ${verdict(before.approved)} → ${verdict(after.approved)}`);
+  lines.push(`• DTI after the new loan: ${before.postLoanDti}% → ${after.postLoanDti}%`);
+  if (before.requestedLoanAmount !== after.requestedLoanAmount || before.loanTermMonths !== after.loanTermMonths) {
+    lines.push(`• Loan: ${formatEGP(before.requestedLoanAmount)} over ${before.loanTermMonths} months → `
+      + `${formatEGP(after.requestedLoanAmount)} over ${after.loanTermMonths} months`);
+  }
+  if (after.approved) {
+    lines.push(`• Largest loan offered: ${formatEGP(after.maxLoanAmount)}`
+      + (after.monthlyInstallment ? `, about ${formatEGP(after.monthlyInstallment)} a month` : ''));
+  }
+  return lines.join('\n');
+};
+
+/**
+ * A plain answer built only from the advisor context
+ * @param {object} context - { decision, whatIf, question }
+ * @returns {string}
+ */
+const describeForApplicant = ({ decision, whatIf }) => {
+  if (whatIf) return describeWhatIf(whatIf);
+
+  const lines = [`Your application is ${verdict(decision.approved)} with a score of ${decision.score} (${decision.rating}).`];
+  if (decision.failedRules?.length) {
+    lines.push(`It fails these hard requirements: ${decision.failedRules.map(k => RULE_LABELS[k]).join('; ')}.`);
+  }
+  if (decision.approved) {
+    lines.push(`You can borrow up to ${formatEGP(decision.maxLoanAmount)} at ${decision.interestRateRange[0]}–${decision.interestRateRange[1]}% a year.`);
+    if (decision.strengths?.length) lines.push(`Strengths: ${decision.strengths.join(', ')}.`);
+  } else {
+    if (decision.weaknesses?.length) lines.push(`Main weaknesses: ${decision.weaknesses.join(', ')}.`);
+    if (decision.pathToApproval?.length) {
+      lines.push(`Ways to get approved: ${decision.pathToApproval.map(p => p.title).join('; ')}.`);
+    }
+  }
+  lines.push('Ask "what if…" about a change — a loan amount, term, income, expenses or paying off a debt — and I will re-run the numbers.');
+  return lines.join('\n');
+};
+
+/**
+ * Stand-in for the model's reply (mock provider)
+ * @param {object} request - LLM request; context holds the advisor context
+ * @returns {string}
+ */
+const mockAdvisorReply = ({ context }) => describeForApplicant(context);
+
+export {
+  ADVISOR_PROMPT_VERSION,
+  buildAdvisorMessages,
+  checkAdvisorContext,
+  describeForApplicant,
+  MAX_HISTORY_TURNS,
+  MAX_MESSAGE_CHARS,
+  MAX_QUESTION_CHARS,
+  mockAdvisorReply
+};
+
+export default { ADVISOR_PROMPT_VERSION, buildAdvisorMessages, checkAdvisorContext, describeForApplicant, mockAdvisorReply };
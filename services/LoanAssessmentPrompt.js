@@ -0,0 +1,319 @@
+// app/services/LoanAssessmentPrompt.js
+// ═══════════════════════════════════════════════════════════════
+// LOAN ASSESSMENT PROMPT — What the model is asked, and a stand-in
+// Renders the versioned template in config/prompts/loanEligibility.js.
+// Its benchmark sections are generated here from the lending policy
+// and the AI-Based scorecard the rule engine uses, so the prompt and
+// the rules cannot drift apart.
+// Shared by the app (OpenAiService) and the API proxy (server/),
+// which rebuilds the prompt from the redacted payload itself so the
+// proxy cannot be used to send arbitrary text to the model.
+// ═══════════════════════════════════════════════════════════════
+
+import {
+  ELIGIBILITY_RULES,
+  INCOME_SOURCE_TYPES,
+  LOAN_TERMS,
+  SCORE_BANDS,
+  SCORE_SCALE,
+} from '../config/lendingPolicy';
+import { LOAN_ELIGIBILITY_PROMPT } from '../config/prompts/loanEligibility';
+import { hash53 } from '../utils/hash';
+import { parseBucket } from './AiRedaction';
+import CreditScoreCalculator from './CreditScoreCalculator';
+import { FACTOR_LABELS, getTopAdverseReasons, getTopPositiveReasons } from './ReasonCodes';
+import { getScorecard } from './ScorecardLoader';
+import { AIBasedStrategy } from './ScoringStrategy';
+import UserFinancialProfile from './UserFinancialProfile';
+
+// The scorecard the prompt's factor weights come from
+const PROMPT_SCORECARD = 'ai-based';
+
+// ── Template rendering ─────────────────────────────────────────
+
+/**
+ * Replace every {{name}} with vars[name]
+ * @throws {Error} - A variable the template uses is missing
+ */
+const renderTemplate = (template, vars) =>
+  template.replace(/\{\{(\w+)\}\}/g, (_match, name) => {
+    if (vars[name] === undefined || vars[name] === null) {
+      throw new Error(`Prompt variable "${name}" is missing`);
+    }
+    return String(vars[name]);
+  });
+
+// ── Benchmarks from policy ─────────────────────────────────────
+
+const card = getScorecard(PROMPT_SCORECARD);
+
+// Scorecard points → the prompt's scale, where the positive factors add up to 100
+const POINTS_TOTAL = card.factors.reduce((sum, f) => sum + Math.max(f.maxPoints, 0), 0);
+const toPromptPoints = (points) => Math.round((points * 100) / POINTS_TOTAL);
+
+/** Threshold text per scorecard value format */
+const THRESHOLD_FORMATS = {
+  dti:          (v) => `${v}%`,
+  egpMonthly:   (v) => `EGP ${v.toLocaleString()}/mo`,
+  percent:      (v) => `${v}%`,
+  percentWhole: (v) => `${v}%`,
+  outOf100:     (v) => `${v}/100`,
+  years:        (v) => `${v} years`,
+  multiple:     (v) => `${v}×`,
+};
+const formatThreshold = (format, v) => (THRESHOLD_FORMATS[format] || String)(v);
+
+/** "< 20%", ">= 30 and <= 50", "otherwise" */
+const describeBin = (bin, format) => {
+  const parts = [['gte', '>='], ['gt', '>'], ['lt', '<'], ['lte', '<=']]
+    .filter(([key]) => key in bin)
+    .map(([key, op]) => `${op} ${formatThreshold(format, bin[key])}`);
+  return parts.length ? parts.join(' and ') : 'otherwise';
+};
+
+const describeBinPoints = (bin, metricLabel) => {
+  if (typeof bin.points === 'number') {
+    const pts = toPromptPoints(bin.points);
+    return `${pts >= 0 ? '+' : ''}${pts} pts`;
+  }
+  const perUnit = Math.round(((bin.scale * 100) / POINTS_TOTAL) * 100) / 100;
+  return `${metricLabel} × ${perUnit} pts`;
+};
+
+const METRIC_NAMES = {
+  dti:                 'DTI after the new loan',
+  monthlyIncome:       'bankable monthly income',
+  employmentStability: 'Employment Stability Score',
+  employmentYears:     'years at current job',
+  savingsRate:         'savings rate',
+  age:                 'age',
+  loanToIncome:        'loan-to-annual-income ratio',
+  cardUtilization:     'credit card utilization',
+};
+
+/** One block per scorecard factor, e.g. "1. Debt-to-Income Ratio — Weight: 30%" */
+const buildScoringFactors = () => card.factors.map((f, i) => {
+  const metric = METRIC_NAMES[f.metric] || f.metric;
+  const title  = f.maxPoints > 0
+    ? `Weight: ${toPromptPoints(f.maxPoints)}% (max ${toPromptPoints(f.maxPoints)} pts)`
+    : 'Penalty only';
+  // One line when every band uses the same scale
+  const uniform = f.bins.every(b => typeof b.scale === 'number' && b.scale === f.bins[0].scale);
+  const bins = uniform
+    ? [`   - ${describeBinPoints(f.bins[0], metric)}`]
+    : f.bins.map(b => `   - ${metric} ${describeBin(b, f.format)}: ${describeBinPoints(b, metric)}`);
+  return [`${i + 1}. ${FACTOR_LABELS[f.factor] || f.factor} — ${title}`, ...bins].join('\n');
+}).join('\n\n');
+
+/** factorScores entries the reply must contain, one per weighted factor */
+const buildFactorScoresFormat = () => card.factors
+  .filter(f => f.maxPoints > 0)
+  .map(f => {
+    const max = toPromptPoints(f.maxPoints);
+    return `    "${f.factor}": { "score": <0-${max}>, "maxScore": ${max}, "impact": <"Positive"|"Neutral"|"Negative">, `
+      + `"value": "<${METRIC_NAMES[f.metric] || f.metric}>", "label": "${FACTOR_LABELS[f.factor] || f.factor}" }`;
+  })
+  .join(',\n');
+
+const buildEligibilityRules = () => {
+  const r = ELIGIBILITY_RULES;
+  return [
+    `- Age: must be ${r.minAge}–${r.maxAge} years old at time of application`,
+    `- Minimum bankable monthly income: EGP ${r.minBankableIncome.toLocaleString()}`,
+    '- Employment: must be actively employed; unemployed applicants are rejected',
+    `- Probation: must have completed probation (minimum ${Math.round(r.minEmploymentYears * 12)} months at current job)`,
+    `- DTI hard cap: total monthly obligations INCLUDING the new loan's installment must not exceed ${r.maxPostLoanDti}% of bankable monthly income`,
+  ].join('\n');
+};
+
+const buildLoanTerms = () => {
+  const bands = LOAN_TERMS.pricingBands.map((b, i, all) => {
+    const range = i === 0 ? `${b.minScore}+` : `${b.minScore}–${all[i - 1].minScore - 1}`;
+    return `  • Score ${b.minScore > 0 ? range : `below ${all[i - 1].minScore}`}: `
+      + `${b.rates[0]}–${b.rates[1]}% per annum, up to ${b.incomeMultiple}× annual bankable income`;
+  });
+  return [
+    '- Interest rate and maximum amount by score:',
+    ...bands,
+    `- Term: ${LOAN_TERMS.minTermMonths}–${LOAN_TERMS.maxTermMonths} months`,
+    `- New monthly installment: at most ${Math.round(LOAN_TERMS.maxInstallmentRatio * 100)}% of bankable monthly income, and no more than the disposable income`,
+  ].join('\n');
+};
+
+const buildScoreScale = () => SCORE_BANDS.rating.map((b, i, all) => {
+  const upper = i === 0 ? SCORE_SCALE.max : all[i - 1].minScore - 1;
+  const lower = Math.max(b.minScore, SCORE_SCALE.min);
+  const verdict = lower >= LOAN_TERMS.approvalThreshold ? 'meets the approval threshold' : 'below the approval threshold';
+  return `- ${lower}–${upper}: ${b.label} — ${verdict}`;
+}).join('\n');
+
+const quoted = (labels) => labels.map(l => `"${l}"`).join(' | ');
+
+// Everything generated from policy — identical for every applicant
+const BENCHMARK_VARS = {
+  eligibilityRules:     buildEligibilityRules(),
+  scoringFactors:       buildScoringFactors(),
+  bankableIncomeShares: Object.values(INCOME_SOURCE_TYPES)
+    .map(t => `${t.label} ${Math.round((1 - t.haircut) * 100)}%`)
+    .join(', '),
+  loanTerms:            buildLoanTerms(),
+  scoreScale:           buildScoreScale(),
+  scoreMin:             SCORE_SCALE.min,
+  scoreMax:             SCORE_SCALE.max,
+  approvalThreshold:    LOAN_TERMS.approvalThreshold,
+  maxPostLoanDti:       ELIGIBILITY_RULES.maxPostLoanDti,
+  maxTermMonths:        LOAN_TERMS.maxTermMonths,
+  riskLevels:           quoted(SCORE_BANDS.riskLevel.map(b => b.label)),
+  ratings:              quoted(SCORE_BANDS.rating.map(b => b.label)),
+  factorScoresFormat:   buildFactorScoresFormat(),
+  exampleRateMin:       LOAN_TERMS.pricingBands[0].rates[0],
+  exampleRateMax:       LOAN_TERMS.pricingBands[0].rates[1],
+};
+
+const SYSTEM_PROMPT = renderTemplate(LOAN_ELIGIBILITY_PROMPT.system, BENCHMARK_VARS);
+
+/**
+ * Template version plus a hash of the policy benchmarks, e.g.
+ * "2.0.0+3f9c0a1b2c4d5e" — stamped on every AI decision and part of
+ * the cache key, so a policy change is traceable and re-asks the model
+ */
+const PROMPT_VERSION = `${LOAN_ELIGIBILITY_PROMPT.version}+${hash53(JSON.stringify(BENCHMARK_VARS))}`;
+
+// ── Applicant ──────────────────────────────────────────────────
+
+// Shown for a field the data policy keeps on the device
+const NOT_SHARED = 'not shared';
+
+/**
+ * Profile figures the prompt can be built from: the profile's own
+ * fields plus the derived metrics. Only the redacted subset
+ * (services/AiRedaction.js) is ever sent.
+ * @param {UserFinancialProfile} profile
+ * @returns {object}
+ */
+const buildPromptProfile = (profile) => ({
+  ...profile.toJSON(),
+  dti:                      profile.calculateDTI(),
+  disposableIncome:         profile.calculateDisposableIncome(),
+  savingsRate:              profile.calculateSavingsRate(),
+  employmentStabilityScore: profile.getEmploymentStabilityScore(),
+  loanToIncomeRatio:        profile.calculateLoanToIncomeRatio(),
+  incomeSourceTypes:        profile.incomeSources.map(src => src.type),
+  facilityTypes:            profile.creditFacilities.map(f => f.type),
+});
+
+/**
+ * Chat messages asking for the loan assessment
+ * @param {object} payload - redactForAi() payload
+ * @returns {object[]} - [{ role, content }]
+ */
+const buildLoanEligibilityMessages = (payload) => {
+  const p = payload;
+  const shown   = (v, format) => (v === undefined ? NOT_SHARED : format(v));
+  const egp     = (v) => shown(v, n => `EGP ${Math.round(n).toLocaleString()}`);
+  const percent = (v) => shown(v, n => `${n.toFixed(1)}%`);
+  const types   = (v, none) => shown(v, list => (list.length ? list.join(', ') : none));
+
+  const user = renderTemplate(LOAN_ELIGIBILITY_PROMPT.user, {
+    ...BENCHMARK_VARS,
+    age:                      shown(p.age, v => `${v} years`),
+    bankableIncome:           egp(p.bankableIncome),
+    incomeSourceTypes:        types(p.incomeSourceTypes, 'Single declared salary'),
+    assessedExpenses:         egp(p.assessedExpenses),
+    householdSize:            shown(p.householdSize, String),
+    livingCostBenchmark:      egp(p.livingCostBenchmark),
+    monthlyDebtObligations:   egp(p.monthlyDebtObligations),
+    facilityTypes:            types(p.facilityTypes, 'None itemized'),
+    creditCardUtilization:    shown(p.creditCardUtilization, v => (v === null ? 'No credit cards' : `${Math.round(v)}%`)),
+    employmentType:           shown(p.employmentType, String),
+    employmentYears:          shown(p.employmentYears, v => `${v} years`),
+    requestedLoanAmount:      egp(p.requestedLoanAmount),
+    loanTermMonths:           shown(p.loanTermMonths, v => `${v} months`),
+    dti:                      percent(p.dti),
+    proposedInstallment:      egp(p.proposedInstallment),
+    postLoanDti:              percent(p.postLoanDti),
+    disposableIncome:         egp(p.disposableIncome),
+    savingsRate:              percent(p.savingsRate),
+    employmentStabilityScore: shown(p.employmentStabilityScore, v => `${v}/100`),
+    loanToIncomeRatio:        shown(p.loanToIncomeRatio, v => `${v.toFixed(2)}x`),
+  });
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user',   content: user },
+  ];
+};
+
+/**
+ * Deterministic stand-in for the model's reply (mock provider): the
+ * AI-Based rule scorecard, shaped like the JSON the prompt asks for
+ * @param {object} request - LLM request; metadata holds the redacted payload
+ * @returns {string} - JSON reply
+ */
+const mockLoanAssessment = ({ metadata }) => {
+  // Only the redacted payload is available — rebuild an approximate applicant from it
+  const age = typeof metadata.age === 'string'
+    ? (({ min, max }) => min ?? max)(parseBucket(metadata.age))
+    : metadata.age;
+  const profile    = new UserFinancialProfile({
+    age,
+    monthlyIncome:       metadata.bankableIncome,
+    monthlyExpenses:     metadata.assessedExpenses,
+    existingDebts:       (metadata.monthlyDebtObligations || 0) * 12,
+    householdSize:       metadata.householdSize,
+    employmentType:      metadata.employmentType,
+    employmentYears:     metadata.employmentYears,
+    requestedLoanAmount: metadata.requestedLoanAmount,
+    loanTermMonths:      metadata.loanTermMonths,
+  });
+  const calculator = new CreditScoreCalculator(new AIBasedStrategy());
+  const result     = calculator.calculateScore(profile);
+  const score      = result.success ? result.score : 300;
+  const issues     = profile.getEgyptianEligibilityIssues();
+  const approved   = issues.length === 0 && score >= LOAN_TERMS.approvalThreshold;
+  const band       = LOAN_TERMS.pricingBands.find(b => score >= b.minScore);
+
+  // One factorScores entry per ledger factor, on the prompt's 100-point scale
+  const factorScores = {};
+  (result.ledger || []).forEach(e => {
+    const share = e.maxPoints > 0 ? e.points / e.maxPoints : 0;
+    factorScores[e.factor] = {
+      score:    toPromptPoints(e.points),
+      maxScore: toPromptPoints(e.maxPoints),
+      impact:   e.points < 0 || share < 0.4 ? 'Negative' : share >= 0.7 ? 'Positive' : 'Neutral',
+      value:    String(e.value),
+      label:    e.label,
+    };
+  });
+
+  return JSON.stringify({
+    creditScore:         score,
+    approved,
+    approvalProbability: calculator.getApprovalProbability(score),
+    riskLevel:           calculator.getRiskLevel(score),
+    rating:              calculator.getScoreRating(score),
+    hardReject:          issues.length > 0,
+    hardRejectReasons:   issues,
+    factorScores,
+    positiveFactors:     getTopPositiveReasons(result.ledger).map(r => r.text),
+    negativeFactors:     getTopAdverseReasons(result.ledger).map(r => r.text),
+    reasons:             [`Mock assessment — ${approved ? 'approved' : 'declined'} at score ${score}`],
+    maxLoanAmount:       approved ? profile.requestedLoanAmount : 0,
+    recommendedMonthlyInstallment: 0,
+    interestRateMin:     band.rates[0],
+    interestRateMax:     band.rates[1],
+    loanTermMonths:      profile.loanTermMonths,
+    recommendations:     [],
+    financialHealthSummary: profile.getFinancialHealthSummary(),
+  });
+};
+
+export {
+  buildLoanEligibilityMessages,
+  buildPromptProfile,
+  mockLoanAssessment,
+  PROMPT_VERSION,
+  renderTemplate
+};
+
+export default { buildLoanEligibilityMessages, buildPromptProfile, mockLoanAssessment, PROMPT_VERSION, renderTemplate };
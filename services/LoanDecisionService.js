@@ -2,30 +2,74 @@
 // ═══════════════════════════════════════════════════════════════
 // LOAN DECISION SERVICE — OpenAI + Egyptian Banking Rules
 // Flow:
-//   1. Check Egyptian hard eligibility (age, income, employment, DTI)
-//   2. Call OpenAI for real AI prediction
-//   3. If OpenAI fails → use rule-based fallback (CreditScoreCalculator)
+//   1. Check Egyptian hard eligibility (age, income, employment, post-loan DTI)
+//   2. Call OpenAI for real AI prediction (reused from the device cache
+//      while the profile is unchanged), then combine it with the
+//      rule score per ENSEMBLE_POLICY (weighted / rules-veto / ai-veto);
+//      every decision the model saw is stamped with promptVersion
+//   3. If OpenAI fails, or the user turned AI processing off → use
+//      rule-based fallback (CreditScoreCalculator), recording why as
+//      aiFallback: { reason, status, message }
 //   4. Return unified result object consumed by credit.js + RiskChart
+//   5. On a decline, attach the smallest changes that would approve it
 // ═══════════════════════════════════════════════════════════════
 
+import { ELIGIBILITY_RULES, LOAN_TERMS } from '../config/lendingPolicy';
+import { applyGuardrails } from './AiGuardrails';
+import ApprovalPathFinder from './ApprovalPathFinder';
 import CreditScoreCalculator from './CreditScoreCalculator';
+import { planEnsemble, resolveEnsemblePolicy } from './EnsemblePolicy';
+import { buildAmortizationSchedule, calculateMaxPrincipal } from './InstallmentCalculator';
+import { LLM_FAILURES } from './LLMClient';
+import { buildPromptProfile } from './LoanAssessmentPrompt';
 import { predictLoanEligibility } from './OpenAiService';
+import { getFactorSummary, getTopAdverseReasons, getTopPositiveReasons } from './ReasonCodes';
+import { getProbabilityOfDefault } from './ScoreCalibration';
 import { AIBasedStrategy } from './ScoringStrategy';
+import { routeApplication } from './SegmentRouter';
+import { ASSESSMENT_RATE } from './UserFinancialProfile';
 
 class LoanDecisionService {
-  constructor() {
+  /**
+   * @param {object} options - { ensemble: overrides for ENSEMBLE_POLICY,
+   *                             aiCache: AiDecisionCache (default: on-device),
+   *                             auditLog: AiAuditLog (default: on-device) }
+   */
+  constructor(options = {}) {
     this.calculator         = new CreditScoreCalculator(new AIBasedStrategy());
-    this.APPROVAL_THRESHOLD = 580;
-    this.MIN_INCOME_EGP     = 10000;
-    this.MAX_DTI            = 50;
+    // Policy values (config/lendingPolicy.js) — the AI prompt is built from the same ones
+    this.APPROVAL_THRESHOLD = LOAN_TERMS.approvalThreshold;
+    this.MIN_INCOME_EGP     = ELIGIBILITY_RULES.minBankableIncome;
+    this.MAX_DTI            = ELIGIBILITY_RULES.maxPostLoanDti;
+    this.MAX_TERM_MONTHS    = LOAN_TERMS.maxTermMonths;
+    this.MIN_TERM_MONTHS    = LOAN_TERMS.minTermMonths;
+    this.MAX_INSTALLMENT_RATIO = LOAN_TERMS.maxInstallmentRatio;
+    this.pathFinder         = new ApprovalPathFinder({
+      calculator:    this.calculator,
+      threshold:     this.APPROVAL_THRESHOLD,
+      maxTermMonths: this.MAX_TERM_MONTHS,
+    });
+    this.ensemble           = resolveEnsemblePolicy(options.ensemble);
+    this.aiCache            = options.aiCache || null;
+    this.auditLog           = options.auditLog || null;
   }
 
   /**
    * Main entry point — async because it calls OpenAI
    * @param {UserFinancialProfile} profile
+   * @param {object} options - { force: ignore the cached AI reply and ask again,
+   *                             authToken: signed-in user's ID token, for the API proxy,
+   *                             aiEnabled: false → rules only, nothing is sent }
    * @returns {Promise<object>} unified decision object
    */
-  async makeDecision(profile) {
+  async makeDecision(profile, options = {}) {
+
+    // ── Step 0: Route to the segment's scorecard ──────────────
+    // The rule score, fallback decision and path to approval all
+    // use it; the segment and strategy are recorded on the decision.
+    const { segment, strategy } = routeApplication(profile);
+    this.calculator.setStrategy(strategy);
+    const routing = { segment, strategy: strategy.getName() };
 
     // ── Step 1: Egyptian hard eligibility ─────────────────────
     const eligibilityIssues = profile.getEgyptianEligibilityIssues
@@ -48,49 +92,109 @@ class LoanDecisionService {
         positiveFactors:   [],
         negativeFactors:   eligibilityIssues,
         recommendations:   this._buildImprovementRecs(profile),
+        pathToApproval:    this.pathFinder.find(profile),
         interestRateRange: [0, 0],
         maxLoanAmount:     0,
+        loanTermMonths:    this._getLoanTerm(profile),
+        loanOffer:         null,
+        postLoanDTI:       profile.calculatePostLoanDTI(),
         breakdown:         this._buildFallbackBreakdown(profile),
         financialHealthSummary: profile.getFinancialHealthSummary
           ? profile.getFinancialHealthSummary()
           : 'Poor financial health',
         source: 'eligibility-check',
+        guardrails: [],
+        aiFallback: null,
+        ...routing,
       };
     }
 
     // ── Step 2: Try OpenAI prediction ─────────────────────────
-    // FIX: wrap in try/catch so any network error (no internet, CORS,
-    // missing API key, Expo Go restriction) is silently swallowed and
-    // the app falls through to the rule-based fallback without showing
-    // any error message to the user.
-    try {
-      const profileData = {
-        ...profile.toJSON(),
-        dti:                      profile.calculateDTI(),
-        disposableIncome:         profile.calculateDisposableIncome(),
-        savingsRate:              profile.calculateSavingsRate(),
-        employmentStabilityScore: profile.getEmploymentStabilityScore(),
-        loanToIncomeRatio:        profile.calculateLoanToIncomeRatio(),
+    // Turned off in Settings → no data leaves the device
+    if (options.aiEnabled === false) {
+      return {
+        ...this._buildFromRules(profile),
+        guardrails: [],
+        aiFallback: { reason: LLM_FAILURES.DISABLED, status: null, message: 'AI processing is turned off' },
+        ...routing,
       };
+    }
 
-      const aiResult = await predictLoanEligibility(profileData);
+    // FIX: wrap in try/catch so any network error (no internet, CORS,
+    // missing API key, Expo Go restriction) never reaches the user as
+    // an error — the app falls through to the rule-based fallback and
+    // only the typed reason is kept for the UI.
+    let aiFallback;
+    try {
+      const profileData = buildPromptProfile(profile);
+      const policy      = this._guardrailPolicy(profile);
+
+      // Rejected replies are not cached, so the next check asks again
+      const aiResult = await predictLoanEligibility(profileData, {
+        force:     options.force,
+        cache:     this.aiCache,
+        accept:    (data) => applyGuardrails(data, profile, policy).usable,
+        auditLog:  this.auditLog,
+        authToken: options.authToken,
+      });
 
       if (aiResult.success && aiResult.data) {
-        return this._buildFromAI(aiResult.data, profile);
+        // Schema + rule guardrails; unusable output falls through to rules
+        const checked = applyGuardrails(aiResult.data, profile, policy);
+        if (!checked.usable) {
+          const rejected = checked.guardrails.find(g => g.action === 'rejected');
+          return {
+            ...this._buildFromRules(profile),
+            guardrails: checked.guardrails,
+            aiFallback: { reason: LLM_FAILURES.GUARDRAIL, status: null, message: rejected?.message || 'AI output rejected' },
+            promptVersion: aiResult.promptVersion,
+            ...routing,
+          };
+        }
+        return {
+          ...this._combine(checked.assessment, profile),
+          guardrails: checked.guardrails,
+          aiProvider: aiResult.provider,
+          aiModel:    aiResult.model,
+          aiCache:    aiResult.cache,
+          aiFallback: null,
+          promptVersion: aiResult.promptVersion,
+          ...routing,
+        };
       }
-    } catch (_err) {
+      aiFallback = { reason: aiResult.reason || LLM_FAILURES.ERROR, status: aiResult.status ?? null, message: aiResult.error || null };
+    } catch (err) {
       // Silent fallback — OpenAI is unavailable (network error, no API key,
       // CORS block, Expo Go restriction). Rule-based result is used instead.
-      // No error is shown to the user.
+      aiFallback = { reason: LLM_FAILURES.ERROR, status: null, message: err?.message || null };
     }
 
     // ── Step 3: Rule-based fallback ────────────────────────────
-    return this._buildFromRules(profile);
+    return { ...this._buildFromRules(profile), guardrails: [], aiFallback, ...routing };
+  }
+
+  // ── Limits the AI output is checked against (AiGuardrails.js) ──
+  _guardrailPolicy(profile) {
+    return {
+      threshold:        this.APPROVAL_THRESHOLD,
+      minTermMonths:    this.MIN_TERM_MONTHS,
+      maxTermMonths:    this.MAX_TERM_MONTHS,
+      interestRangeFor: (score) => this._getInterestRange(score),
+      maxLoanFor:       (score, interestRange, termMonths) => this._getMaxLoan(profile, score, interestRange, termMonths),
+      riskLevelFor:     (score) => this.calculator.getRiskLevel(score),
+      ratingFor:        (score) => this.calculator.getScoreRating(score),
+    };
   }
 
   // ── Build result from OpenAI response ─────────────────────
+  // pathToApproval is left to _combine, which knows the final rule
   _buildFromAI(ai, profile) {
-    const approved = ai.approved === true;
+    const approved      = ai.approved === true;
+    const interestRange = [ai.interestRateMin || 0, ai.interestRateMax || 0];
+    const termMonths    = this._getLoanTerm(profile, ai.loanTermMonths);
+    const offer         = approved && ai.maxLoanAmount > 0 && interestRange[1] > 0
+      ? this._buildLoanOffer(profile, interestRange, ai.maxLoanAmount, termMonths)
+      : null;
 
     // Normalise factorScores → breakdown format expected by RiskChart
     const breakdown = {};
@@ -105,6 +209,8 @@ class LoanDecisionService {
         };
       });
     }
+    // The AI sees assessed expenses but doesn't report the benchmark adjustment
+    if (!breakdown.expenses) breakdown.expenses = this.calculator.getExpenseBreakdown(profile);
 
     const recs = approved
       ? [{
@@ -112,7 +218,8 @@ class LoanDecisionService {
           description:  'Unsecured personal loan — salary transfer to bank required',
           maxAmount:    ai.maxLoanAmount || 0,
           interestRate: `${ai.interestRateMin}% – ${ai.interestRateMax}% per annum`,
-          term:         `Up to ${ai.loanTermMonths || 84} months`,
+          term:         `${termMonths} months`,
+          monthlyInstallment: offer?.monthlyInstallment || ai.recommendedMonthlyInstallment || 0,
           icon:         'person',
           suitability:  ai.creditScore >= 700 ? 'Highly Suitable' : 'Suitable',
           notes:        'Employer must be on bank approved list. Salary transfer mandatory.',
@@ -123,6 +230,7 @@ class LoanDecisionService {
       approved,
       confidence:        ai.approvalProbability    || 0,
       score:             ai.creditScore            || 300,
+      probabilityOfDefault: getProbabilityOfDefault(ai.creditScore || 300),
       riskLevel:         ai.riskLevel              || 'Very High',
       rating:            ai.rating                 || 'Poor',
       hardReject:        false,
@@ -131,26 +239,82 @@ class LoanDecisionService {
       positiveFactors:   ai.positiveFactors        || [],
       negativeFactors:   ai.negativeFactors        || [],
       recommendations:   recs,
-      interestRateRange: [ai.interestRateMin || 0, ai.interestRateMax || 0],
+      interestRateRange: interestRange,
       maxLoanAmount:     ai.maxLoanAmount          || 0,
-      recommendedMonthlyInstallment: ai.recommendedMonthlyInstallment || 0,
+      loanTermMonths:    termMonths,
+      loanOffer:         offer,
+      recommendedMonthlyInstallment: offer?.monthlyInstallment || ai.recommendedMonthlyInstallment || 0,
+      postLoanDTI:       this._getPostLoanDTI(profile, interestRange, termMonths),
       breakdown,
       financialHealthSummary: ai.financialHealthSummary || '',
       source: 'openai',
     };
   }
 
+  // ── AI + rules → one decision (EnsemblePolicy.js) ──────────
+  // The path to approval is searched once, against the combined rule
+  _combine(assessment, profile) {
+    const ai    = this._buildFromAI(assessment, profile);
+    const rules = this._buildFromRules(profile, null, null);
+    const plan  = planEnsemble(ai, rules, this.ensemble, this.APPROVAL_THRESHOLD);
+    const pathToApproval = plan.approved ? null : this._ensemblePathFinder(ai).find(profile);
+    const base = plan.base === 'ai' ? ai
+      : plan.base === 'rules' ? rules
+      : this._buildFromRules(profile, plan.score, pathToApproval);
+
+    return {
+      ...base,
+      pathToApproval,
+      source: 'ensemble',
+      componentScores: {
+        ai:    { score: ai.score,    approved: ai.approved,    probabilityOfDefault: ai.probabilityOfDefault },
+        rules: { score: rules.score, approved: rules.approved, probabilityOfDefault: rules.probabilityOfDefault,
+                 scorecardId: rules.scorecardId, scorecardVersion: rules.scorecardVersion },
+      },
+      ensemble: {
+        mode:      this.ensemble.mode,
+        aiWeight:  this.ensemble.aiWeight,
+        reviewGap: this.ensemble.reviewGap,
+        base:      plan.base,
+        vetoedBy:  plan.vetoedBy,
+        scoreGap:  plan.scoreGap,
+      },
+      needsReview:   plan.needsReview,
+      reviewReasons: plan.reviewReasons,
+    };
+  }
+
+  /**
+   * Path finder whose levers move the rule score while the AI side
+   * stays fixed — a blended score in weighted mode, the veto in the others
+   */
+  _ensemblePathFinder(ai) {
+    return new ApprovalPathFinder({
+      calculator:    this.calculator,
+      threshold:     this.APPROVAL_THRESHOLD,
+      maxTermMonths: this.MAX_TERM_MONTHS,
+      decide:        (score) => planEnsemble(
+        ai, { score, approved: score >= this.APPROVAL_THRESHOLD }, this.ensemble, this.APPROVAL_THRESHOLD),
+    });
+  }
+
   // ── Rule-based fallback ────────────────────────────────────
-  _buildFromRules(profile) {
+  // blendedScore: price and explain an ensemble score with the rule ledger
+  // pathToApproval: already searched by the caller (undefined → search here)
+  _buildFromRules(profile, blendedScore = null, pathToApproval = undefined) {
     const scoreResult     = this.calculator.calculateScore(profile);
-    const score           = scoreResult.success ? scoreResult.score : 300;
-    const riskLevel       = scoreResult.riskLevel  || 'Very High';
-    const rating          = scoreResult.rating      || 'Poor';
+    const score           = blendedScore ?? (scoreResult.success ? scoreResult.score : 300);
+    const riskLevel       = blendedScore === null ? scoreResult.riskLevel || 'Very High' : this.calculator.getRiskLevel(score);
+    const rating          = blendedScore === null ? scoreResult.rating || 'Poor' : this.calculator.getScoreRating(score);
     const approved        = score >= this.APPROVAL_THRESHOLD;
     const confidence      = this.calculator.getApprovalProbability(score);
-    const explanation     = this._generateExplanation(profile, score, approved);
+    const explanation     = this._generateExplanation(profile, { ...scoreResult, score }, approved);
     const interestRange   = this._getInterestRange(score);
-    const maxLoan         = this._getMaxLoan(profile, score);
+    const termMonths      = this._getLoanTerm(profile);
+    const maxLoan         = this._getMaxLoan(profile, score, interestRange, termMonths);
+    const offer           = approved && maxLoan > 0
+      ? this._buildLoanOffer(profile, interestRange, maxLoan, termMonths)
+      : null;
 
     const recs = approved
       ? [{
@@ -158,7 +322,8 @@ class LoanDecisionService {
           description:  'Unsecured personal loan — salary transfer required',
           maxAmount:    maxLoan,
           interestRate: `${interestRange[0]}% – ${interestRange[1]}% per annum`,
-          term:         'Up to 84 months',
+          term:         `${termMonths} months`,
+          monthlyInstallment: offer?.monthlyInstallment || 0,
           icon:         'person',
           suitability:  score >= 700 ? 'Highly Suitable' : 'Suitable',
           notes:        'Employer must be on bank approved list. Salary transfer mandatory.',
@@ -169,6 +334,9 @@ class LoanDecisionService {
       approved,
       confidence,
       score,
+      probabilityOfDefault: blendedScore === null
+        ? scoreResult.probabilityOfDefault ?? getProbabilityOfDefault(score)
+        : getProbabilityOfDefault(score),
       riskLevel,
       rating,
       hardReject:        false,
@@ -177,8 +345,18 @@ class LoanDecisionService {
       positiveFactors:   explanation.positiveFactors,
       negativeFactors:   explanation.negativeFactors,
       recommendations:   recs,
+      pathToApproval:    pathToApproval !== undefined ? pathToApproval
+        : approved ? null : this.pathFinder.find(profile),
       interestRateRange: interestRange,
       maxLoanAmount:     maxLoan,
+      loanTermMonths:    termMonths,
+      loanOffer:         offer,
+      recommendedMonthlyInstallment: offer?.monthlyInstallment || 0,
+      postLoanDTI:       this._getPostLoanDTI(profile, interestRange, termMonths),
+      ledger:            scoreResult.ledger || [],
+      scorecardId:       scoreResult.scorecardId      || null,
+      scorecardVersion:  scoreResult.scorecardVersion || null,
+      reasonCodes:       (scoreResult.adverseReasons || []).map(r => r.code),
       breakdown:         scoreResult.breakdown || this._buildFallbackBreakdown(profile),
       financialHealthSummary: profile.getFinancialHealthSummary(),
       source: 'rule-based',
@@ -188,11 +366,15 @@ class LoanDecisionService {
   // ── Breakdown when CreditScoreCalculator isn't called ─────
   _buildFallbackBreakdown(profile) {
     const dti    = profile.calculateDTI();
+    const post   = profile.calculatePostLoanDTI();
     const sr     = profile.calculateSavingsRate();
     const empSc  = profile.getEmploymentStabilityScore();
+    const income = profile.getBankableIncome();
     return {
       dti:        { label: 'Debt-to-Income Ratio',   value: `${dti.toFixed(1)}%`,    impact: dti < 20 ? 'Positive' : dti < 40 ? 'Neutral' : 'Negative' },
-      income:     { label: 'Monthly Income',          value: `EGP ${profile.monthlyIncome.toLocaleString()}`, impact: profile.monthlyIncome >= 20000 ? 'Positive' : profile.monthlyIncome >= 10000 ? 'Neutral' : 'Negative' },
+      postLoanDti:{ label: 'DTI After New Loan',     value: `${post.toFixed(1)}%`,   impact: post <= 30 ? 'Positive' : post <= 40 ? 'Neutral' : 'Negative' },
+      income:     { label: 'Bankable Monthly Income', value: `EGP ${Math.round(income).toLocaleString()}`, impact: income >= 20000 ? 'Positive' : income >= 10000 ? 'Neutral' : 'Negative' },
+      expenses:   this.calculator.getExpenseBreakdown(profile),
       employment: { label: 'Employment Stability',    value: `${empSc}/100`,          impact: empSc >= 70 ? 'Positive' : empSc >= 50 ? 'Neutral' : 'Negative' },
       savings:    { label: 'Savings Rate',            value: `${sr.toFixed(1)}%`,     impact: sr >= 15 ? 'Positive' : sr >= 5 ? 'Neutral' : 'Negative' },
       age:        { label: 'Age Factor',              value: `${profile.age} years`,  impact: profile.age >= 30 && profile.age <= 50 ? 'Positive' : 'Neutral' },
@@ -200,64 +382,42 @@ class LoanDecisionService {
   }
 
   // ── Explanation generator (rule-based) ────────────────────
-  _generateExplanation(profile, score, approved) {
-    const pos = [], neg = [], reasons = [];
-    const dti = profile.calculateDTI();
-    const sr  = profile.calculateSavingsRate();
-    const emp = profile.getEmploymentStabilityScore();
-    const lti = profile.calculateLoanToIncomeRatio();
-
-    // DTI
-    if      (dti < 20) { pos.push('Excellent DTI'); reasons.push(`DTI of ${dti.toFixed(1)}% is excellent`); }
-    else if (dti < 40) { pos.push('Acceptable DTI'); reasons.push(`DTI of ${dti.toFixed(1)}% is within Egyptian bank range`); }
-    else if (dti < 50) { neg.push('High DTI');       reasons.push(`DTI of ${dti.toFixed(1)}% is high — banks prefer under 40%`); }
-    else               { neg.push('DTI exceeds limit'); reasons.push(`DTI of ${dti.toFixed(1)}% exceeds the 50% Egyptian limit`); }
-
-    // Income
-    if      (profile.monthlyIncome >= 30000) { pos.push('Strong income');              reasons.push(`Monthly income EGP ${profile.monthlyIncome.toLocaleString()} is strong`); }
-    else if (profile.monthlyIncome >= 15000) { pos.push('Adequate income');             }
-    else if (profile.monthlyIncome >= 10000) { pos.push('Income meets minimum');        reasons.push('Income meets the EGP 10,000 Egyptian minimum'); }
-    else                                     { neg.push('Income below minimum');        reasons.push(`Income EGP ${profile.monthlyIncome.toLocaleString()} is below EGP 10,000 minimum`); }
-
-    // Employment
-    if      (emp >= 85) { pos.push('Stable permanent employment'); reasons.push('Permanent employment — strongly preferred by Egyptian banks'); }
-    else if (emp >= 60) { pos.push('Acceptable employment');        }
-    else if (emp > 0)   { neg.push('Limited employment stability'); reasons.push('Employment stability needs improvement'); }
-    else                { neg.push('No employment');                reasons.push('Unemployed — Egyptian banks require active employment'); }
-
-    // Savings
-    if      (sr > 20) pos.push('Excellent savings discipline');
-    else if (sr > 10) pos.push('Good savings habits');
-    else if (sr > 0)  neg.push('Limited savings capacity');
-    else              { neg.push('No savings capacity'); reasons.push('No disposable income — high risk'); }
-
-    // Age
-    if      (profile.age >= 30 && profile.age <= 50) pos.push('Optimal age (30–50)');
-    else if (profile.age >= 21 && profile.age <= 65) pos.push('Age within eligible range');
-
-    // LTI
-    if      (lti > 5) { neg.push('Very high loan amount'); reasons.push('Requested loan is very large relative to annual income'); }
-    else if (lti > 3) { neg.push('High loan-to-income ratio'); }
-    else if (lti <= 2){ pos.push('Reasonable loan amount'); }
-
+  // Reads the strategy's ledger, so every reason matches the points
+  // that produced the score. Income haircuts and the expense
+  // benchmark are inputs to those points and are noted separately.
+  _generateExplanation(profile, scoreResult, approved) {
+    const ledger  = scoreResult.ledger || [];
+    const { positiveFactors, negativeFactors } = getFactorSummary(ledger);
+    const reasons = [
+      ...getTopAdverseReasons(ledger).map(r => r.text),
+      ...getTopPositiveReasons(ledger, approved ? 3 : 1).map(r => r.text),
+    ];
+
+    const income = profile.getBankableIncome();
+    if (income < profile.monthlyIncome)
+      reasons.push(`Only EGP ${Math.round(income).toLocaleString()} of your EGP ${Math.round(profile.monthlyIncome).toLocaleString()} declared income counts — variable sources are discounted`);
+    if (profile.getExpenseAdjustment() > 0)
+      reasons.push(`Declared expenses were raised to the EGP ${Math.round(profile.getAssessedExpenses()).toLocaleString()} minimum living cost for a household of ${profile.householdSize}`);
+
+    const score = scoreResult.score;
     if (approved) reasons.unshift(`✅ Personal Loan APPROVED — Score ${score} meets requirements`);
     else          reasons.unshift(`❌ Personal Loan DENIED — Score ${score} below threshold (${this.APPROVAL_THRESHOLD})`);
 
-    return { positiveFactors: pos, negativeFactors: neg, reasons };
+    return { positiveFactors, negativeFactors, reasons };
   }
 
   // ── Improvement recommendations (EGP context) ─────────────
   _buildImprovementRecs(profile) {
     const recs = [];
-    const dti  = profile.calculateDTI();
+    const dti  = profile.calculatePostLoanDTI();
     const sr   = profile.calculateSavingsRate();
     const lti  = profile.calculateLoanToIncomeRatio();
 
     if (dti > 40)
-      recs.push({ title: 'Reduce Debt-to-Income Ratio', description: `Your DTI is ${dti.toFixed(1)}%. Egyptian banks prefer under 40%. Reduce monthly expenses or pay off existing debts.`, priority: 'high', icon: 'trending-down' });
+      recs.push({ title: 'Reduce Debt-to-Income Ratio', description: `Your DTI including the new installment, stress-tested at ${ASSESSMENT_RATE}% interest, is ${dti.toFixed(1)}%. Egyptian banks prefer under 40%. Reduce monthly expenses, pay off existing debts or request a smaller loan.`, priority: 'high', icon: 'trending-down' });
 
-    if (profile.monthlyIncome < this.MIN_INCOME_EGP)
-      recs.push({ title: 'Increase Monthly Income', description: `Egyptian banks require at least EGP ${this.MIN_INCOME_EGP.toLocaleString()}/month. Yours is EGP ${profile.monthlyIncome.toLocaleString()}.`, priority: 'high', icon: 'trending-up' });
+    if (profile.getBankableIncome() < this.MIN_INCOME_EGP)
+      recs.push({ title: 'Increase Monthly Income', description: `Egyptian banks require at least EGP ${this.MIN_INCOME_EGP.toLocaleString()}/month of bankable income. Yours is EGP ${Math.round(profile.getBankableIncome()).toLocaleString()}.`, priority: 'high', icon: 'trending-up' });
 
     if (profile.employmentType === 'unemployed')
       recs.push({ title: 'Obtain Active Employment', description: 'Egyptian banks require a salary and active employment. Seek a permanent or contract position.', priority: 'high', icon: 'briefcase' });
@@ -265,8 +425,14 @@ class LoanDecisionService {
     if (profile.employmentYears < 0.5)
       recs.push({ title: 'Complete Probation Period', description: 'You must complete at least 6 months at your current employer before applying.', priority: 'high', icon: 'time' });
 
-    if (profile.existingDebts > 0)
-      recs.push({ title: 'Pay Down Existing Debts', description: `Reduce your EGP ${profile.existingDebts.toLocaleString()} debt to improve your DTI ratio significantly.`, priority: 'high', icon: 'card' });
+    // Same repayments the score counts (credit facilities, or the legacy total)
+    const debtPayments = profile.getMonthlyDebtObligations();
+    if (debtPayments > 0)
+      recs.push({ title: 'Pay Down Existing Debts', description: `Your existing debts take EGP ${Math.round(debtPayments).toLocaleString()}/month in repayments. Paying them down improves your DTI ratio significantly.`, priority: 'high', icon: 'card' });
+
+    const util = profile.getCreditCardUtilization();
+    if (util !== null && util > 50)
+      recs.push({ title: 'Lower Credit Card Utilization', description: `Your cards are ${util.toFixed(0)}% utilized. Paying balances below 50% of your limits improves your score.`, priority: 'medium', icon: 'card-outline' });
 
     if (sr < 10)
       recs.push({ title: 'Build Savings', description: 'Aim to save at least 10% of monthly income to demonstrate financial discipline.', priority: 'medium', icon: 'wallet' });
@@ -280,41 +446,90 @@ class LoanDecisionService {
   // ── Fallback eligibility check ─────────────────────────────
   _fallbackEligibility(profile) {
     const issues = [];
-    if (profile.age < 21)                     issues.push('Must be at least 21 years old');
-    if (profile.age > 65)                     issues.push('Must be under 65 years old');
-    if (profile.monthlyIncome < this.MIN_INCOME_EGP)
+    if (profile.age < ELIGIBILITY_RULES.minAge) issues.push(`Must be at least ${ELIGIBILITY_RULES.minAge} years old`);
+    if (profile.age > ELIGIBILITY_RULES.maxAge) issues.push(`Must be under ${ELIGIBILITY_RULES.maxAge} years old`);
+    if (profile.getBankableIncome() < this.MIN_INCOME_EGP)
       issues.push(`Monthly income must be at least EGP ${this.MIN_INCOME_EGP.toLocaleString()}`);
     if (profile.employmentType === 'unemployed') issues.push('Must be employed');
-    if (profile.employmentYears < 0.5)        issues.push('Must complete probation (6+ months)');
-    if (profile.calculateDTI() > this.MAX_DTI) issues.push(`DTI exceeds ${this.MAX_DTI}%`);
+    if (profile.employmentYears < ELIGIBILITY_RULES.minEmploymentYears) issues.push('Must complete probation');
+    if (profile.calculatePostLoanDTI() > this.MAX_DTI) issues.push(`DTI after the new loan exceeds ${this.MAX_DTI}%`);
     return issues;
   }
 
   // ── Egyptian interest rates (CBE-based, 2024–2025) ─────────
+  _getPricingBand(score) {
+    const bands = LOAN_TERMS.pricingBands;
+    return bands.find(b => score >= b.minScore) || bands[bands.length - 1];
+  }
+
   _getInterestRange(score) {
-    if (score >= 750) return [25, 27];
-    if (score >= 700) return [27, 29];
-    if (score >= 650) return [29, 31];
-    if (score >= 600) return [31, 33];
-    return [33, 35];
+    return [...this._getPricingBand(score).rates];
+  }
+
+  // ── Loan term requested by the applicant (6–84 months) ─────
+  _getLoanTerm(profile, requested = null) {
+    const term = Math.round(requested || profile.loanTermMonths || this.MAX_TERM_MONTHS);
+    return Math.min(Math.max(term, this.MIN_TERM_MONTHS), this.MAX_TERM_MONTHS);
+  }
+
+  // ── Post-loan DTI at the quoted rate (top of band) and term ──
+  _getPostLoanDTI(profile, interestRange, termMonths) {
+    return interestRange[1] > 0
+      ? profile.calculatePostLoanDTI(interestRange[1], termMonths)
+      : profile.calculatePostLoanDTI();
   }
 
-  // ── Max loan (40% installment rule, max 84 months) ─────────
-  _getMaxLoan(profile, score) {
-    const annualIncome   = profile.monthlyIncome * 12;
-    let multiplier = 2;
-    if      (score >= 750) multiplier = 4.0;
-    else if (score >= 700) multiplier = 3.5;
-    else if (score >= 650) multiplier = 3.0;
-    else if (score >= 600) multiplier = 2.5;
+  // ── Installment the applicant can actually afford ──────────
+  // Capped by the installment rule (40%) AND by what is left after
+  // current expenses and existing debt repayments.
+  _getAffordableInstallment(profile) {
+    const byIncome = profile.getBankableIncome() * this.MAX_INSTALLMENT_RATIO;
+    return Math.max(Math.min(byIncome, profile.calculateDisposableIncome()), 0);
+  }
+
+  /**
+   * Largest loan offered at a given score — the requested term and the
+   * score's rate band, as used for rule-based offers
+   * @param {UserFinancialProfile} profile
+   * @param {number} score - Common-scale score (300–850)
+   * @returns {number} - EGP
+   */
+  getMaxLoanAmount(profile, score) {
+    return this._getMaxLoan(profile, score);
+  }
 
-    const maxByIncome      = annualIncome * multiplier;
-    const maxInstallment   = profile.monthlyIncome * 0.40;
-    const maxByInstallment = maxInstallment * 84;
+  // ── Max loan (affordable installment at the quoted rate and term) ──
+  // Priced at the top of the rate band so the installment is never understated.
+  _getMaxLoan(profile, score, interestRange = this._getInterestRange(score), termMonths = this._getLoanTerm(profile)) {
+    const annualIncome     = profile.getBankableIncome() * 12;
+    const maxByIncome      = annualIncome * this._getPricingBand(score).incomeMultiple;
+    const maxByInstallment = calculateMaxPrincipal(
+      this._getAffordableInstallment(profile), interestRange[1], termMonths,
+    );
 
     return Math.floor(Math.min(maxByIncome, maxByInstallment));
   }
-  
+
+  // ── Loan offer + month-by-month amortization table ─────────
+  // Offers the requested amount, or the max loan if the request exceeds it.
+  _buildLoanOffer(profile, interestRange, maxLoan, termMonths) {
+    const principal = profile.requestedLoanAmount > 0
+      ? Math.min(profile.requestedLoanAmount, maxLoan)
+      : maxLoan;
+    const annualRate = interestRange[1];
+    const { monthlyInstallment, totalInterest, totalPayment, schedule } =
+      buildAmortizationSchedule(principal, annualRate, termMonths);
+
+    return {
+      principal,
+      annualRate,
+      termMonths,
+      monthlyInstallment: Math.round(monthlyInstallment),
+      totalInterest:      Math.round(totalInterest),
+      totalPayment:       Math.round(totalPayment),
+      schedule,
+    };
+  }
 }
 
 export default LoanDecisionService;
\ No newline at end of file
@@ -0,0 +1,189 @@
+// app/services/PdModelLoader.js
+// ═══════════════════════════════════════════════════════════════
+// PD MODEL LOADER — Offline probability-of-default models
+// A weight-of-evidence (WoE) logistic regression read from
+// config/models/*.json and evaluated on-device — no network call.
+//
+//   ln(odds of repaying) = intercept + Σ coefficient × WoE(bin)
+//   PD                   = 1 / (1 + e^(ln odds))
+//
+// Features read the derived fields UserFinancialProfile.toJSON()
+// exposes (postLoanDti, bankableIncome, savingsRate, …). Each bin
+// carries a reason code, so the model fills the same per-factor
+// ledger as the point scorecards: a feature's points are its share
+// of the score on the common 300–850 scale (ScoreCalibration.js).
+//
+// Definition shape:
+//   { id, version, name, type: 'woe-logistic', intercept,
+//     features: [{ factor, field, format, coefficient, optional?,
+//                  bins: [{ gte?, gt?, lt?, lte?, woe, code }] }] }
+//
+// Models are trained from historical applications with
+// `npm run train-scorecard` (scripts/train-scorecard.js), which by
+// default rewrites config/models/logistic-pd.json — the bundled model
+// registered below. A model with another id only loads once it is
+// imported and registered here.
+// ═══════════════════════════════════════════════════════════════
+
+import { SCORE_SCALE } from '../config/lendingPolicy';
+import logisticPd from '../config/models/logistic-pd.json';
+import { FACTOR_LABELS, REASON_CODES, ScoreLedger } from './ReasonCodes';
+import { getScoreForProbability } from './ScoreCalibration';
+import { binMatches, FORMATS } from './ScorecardLoader';
+import UserFinancialProfile from './UserFinancialProfile';
+
+// Score points per unit of log-odds on the common scale
+const POINTS_PER_LOG_ODDS = SCORE_SCALE.pointsToDoubleOdds / Math.LN2;
+
+// Derived fields a feature may read → profile inputs behind them
+const AFFORDABILITY_INPUTS = ['monthlyIncome', 'monthlyExpenses', 'householdSize', 'existingDebts', 'creditFacilities'];
+const FIELD_INPUTS = {
+  bankableIncome:           ['monthlyIncome'],
+  assessedExpenses:         ['monthlyExpenses', 'householdSize'],
+  monthlyDebtObligations:   ['existingDebts', 'creditFacilities'],
+  creditCardUtilization:    ['creditFacilities'],
+  dti:                      AFFORDABILITY_INPUTS,
+  postLoanDti:              [...AFFORDABILITY_INPUTS, 'requestedLoanAmount', 'loanTermMonths'],
+  disposableIncome:         AFFORDABILITY_INPUTS,
+  savingsRate:              AFFORDABILITY_INPUTS,
+  loanToIncomeRatio:        ['requestedLoanAmount', 'monthlyIncome'],
+  employmentStabilityScore: ['employmentType', 'employmentYears'],
+  ageRiskScore:             ['age'],
+  employmentYears:          ['employmentYears'],
+  age:                      ['age'],
+  householdSize:            ['householdSize'],
+  requestedLoanAmount:      ['requestedLoanAmount'],
+  loanTermMonths:           ['loanTermMonths'],
+};
+
+const PROFILE_JSON_FIELDS = Object.keys(new UserFinancialProfile().toJSON());
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Check a model definition without loading it
+ * @param {object} def - Parsed model JSON
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+const validatePdModel = (def) => {
+  if (!def || typeof def !== 'object') return ['definition must be an object'];
+
+  const errors = [];
+  if (typeof def.id !== 'string' || !def.id)        errors.push('id is required');
+  if (!/^\d+\.\d+\.\d+$/.test(String(def.version))) errors.push('version must be semver, e.g. "1.0.0"');
+  if (typeof def.name !== 'string' || !def.name)    errors.push('name is required');
+  if (def.type !== 'woe-logistic')                  errors.push('type must be "woe-logistic"');
+  if (!isNumber(def.intercept))                     errors.push('intercept must be a number');
+
+  if (!Array.isArray(def.features) || def.features.length === 0) {
+    errors.push('features must be a non-empty array');
+    return errors;
+  }
+
+  def.features.forEach((f, i) => {
+    const at = `features[${i}]`;
+    if (!FACTOR_LABELS[f.factor])               errors.push(`${at}: unknown factor "${f.factor}"`);
+    if (!PROFILE_JSON_FIELDS.includes(f.field)) errors.push(`${at}: "${f.field}" is not a UserFinancialProfile.toJSON() field`);
+    else if (!FIELD_INPUTS[f.field])            errors.push(`${at}: "${f.field}" is not a numeric model input`);
+    if (!FORMATS[f.format])                     errors.push(`${at}: unknown format "${f.format}"`);
+    if (!isNumber(f.coefficient))               errors.push(`${at}: coefficient must be a number`);
+
+    if (!Array.isArray(f.bins) || f.bins.length === 0) {
+      errors.push(`${at}: bins must be a non-empty array`);
+      return;
+    }
+    f.bins.forEach((b, j) => {
+      const bin    = `${at}.bins[${j}]`;
+      const reason = REASON_CODES[b.code];
+      if (!reason)                         errors.push(`${bin}: unknown reason code "${b.code}"`);
+      else if (reason.factor !== f.factor) errors.push(`${bin}: code ${b.code} belongs to factor "${reason.factor}"`);
+      if (!isNumber(b.woe))                errors.push(`${bin}: woe must be a number`);
+      ['gte', 'gt', 'lt', 'lte'].forEach(c => {
+        if (c in b && !isNumber(b[c])) errors.push(`${bin}: ${c} must be a number`);
+      });
+      const isLast = j === f.bins.length - 1;
+      if (isLast && ['gte', 'gt', 'lt', 'lte', 'in'].some(c => c in b))
+        errors.push(`${bin}: last bin must be a catch-all with no conditions`);
+    });
+  });
+
+  return errors;
+};
+
+// ── Registry ───────────────────────────────────────────────────
+const registry = new Map();
+
+/**
+ * Add or replace a model (validated first)
+ * @throws {Error} - Lists every problem found
+ */
+const registerPdModel = (def) => {
+  const errors = validatePdModel(def);
+  if (errors.length > 0) throw new Error(`Invalid PD model "${def?.id || 'unknown'}": ${errors.join('; ')}`);
+  const model = Object.freeze({ ...def });
+  registry.set(model.id, model);
+  return model;
+};
+
+/** Look up a loaded model by id */
+const getPdModel = (id) => {
+  const model = registry.get(id);
+  if (!model) throw new Error(`PD model "${id}" is not loaded`);
+  return model;
+};
+
+/** Profile inputs a model reads, in first-use order */
+const getModelRequiredFields = (model) =>
+  Array.from(new Set(model.features.flatMap(f => FIELD_INPUTS[f.field])));
+
+registerPdModel(logisticPd);
+
+// ── Scoring ────────────────────────────────────────────────────
+
+/**
+ * Evaluate a model against a profile
+ * @param {object} model - From getPdModel()/registerPdModel()
+ * @param {UserFinancialProfile} profile
+ * @returns {object} - { score, probabilityOfDefault, ledger[], scorecardId, scorecardVersion }
+ */
+const evaluatePdModel = (model, profile) => {
+  const data = profile.toJSON();
+
+  // The intercept, less the anchor odds, is the base of the score
+  const base   = SCORE_SCALE.anchorScore + POINTS_PER_LOG_ODDS * (model.intercept - Math.log(SCORE_SCALE.anchorOdds));
+  const ledger = new ScoreLedger(Math.round(base));
+  let logOdds  = model.intercept;
+
+  model.features.forEach(f => {
+    const value = data[f.field];
+    if (f.optional && (value === null || value === undefined)) return;
+    const bin  = f.bins.find(b => binMatches(b, value));
+    const best = Math.max(...f.bins.map(b => b.woe));
+    logOdds += f.coefficient * bin.woe;
+
+    const format = FORMATS[f.format](value, { usePostLoanDTI: f.field === 'postLoanDti' });
+    ledger.add(
+      bin.code,
+      Math.round(f.coefficient * bin.woe * POINTS_PER_LOG_ODDS),
+      Math.max(Math.round(f.coefficient * best * POINTS_PER_LOG_ODDS), 0),
+      format,
+    );
+  });
+
+  const probabilityOfDefault = 1 / (1 + Math.exp(logOdds));
+  return {
+    score:                getScoreForProbability(probabilityOfDefault),
+    probabilityOfDefault: Math.round(probabilityOfDefault * 10000) / 10000,
+    ledger:               ledger.entries,
+    scorecardId:          model.id,
+    scorecardVersion:     model.version,
+  };
+};
+
+export {
+  evaluatePdModel,
+  getModelRequiredFields,
+  getPdModel,
+  registerPdModel,
+  validatePdModel
+};
@@ -0,0 +1,176 @@
+// app/services/ReasonCodes.js
+// ═══════════════════════════════════════════════════════════════
+// REASON CODES — Stable identifiers for every scoring outcome
+// Strategies record one ledger entry per factor, tagged with a
+// code from this table. Explanations are read from the ledger,
+// so the text shown to the applicant can never disagree with
+// the points that produced the score.
+// Codes are part of the decision payload — never rename one;
+// add a new code instead.
+// ═══════════════════════════════════════════════════════════════
+
+import { ELIGIBILITY_RULES } from '../config/lendingPolicy';
+
+const MIN_INCOME = `EGP ${ELIGIBILITY_RULES.minBankableIncome.toLocaleString()}`;
+
+/** Display label per scored factor */
+const FACTOR_LABELS = {
+  dti:           'Debt-to-Income Ratio',
+  income:        'Bankable Income',
+  employment:    'Employment Stability',
+  tenure:        'Employment Duration',
+  savings:       'Savings Rate',
+  disposable:    'Disposable Income',
+  netWorth:      'Net Worth Estimate',
+  age:           'Age',
+  lti:           'Loan-to-Income Ratio',
+  utilization:   'Credit Card Utilization',
+};
+
+/**
+ * code → { factor, adverse, short, text(value) }
+ *   short — one-line label for Strengths / Weaknesses lists
+ *   text  — full sentence, `value` is the ledger entry's formatted value
+ */
+const REASON_CODES = {
+  // ── DTI (after the new installment) ──────────────────────
+  DTI_LOW:        { factor: 'dti', adverse: false, short: 'Excellent DTI',      text: v => `DTI of ${v} is excellent` },
+  DTI_MODERATE:   { factor: 'dti', adverse: false, short: 'Acceptable DTI',     text: v => `DTI of ${v} is within the Egyptian bank range` },
+  DTI_ELEVATED:   { factor: 'dti', adverse: true,  short: 'Elevated DTI',       text: v => `DTI of ${v} is above the 30% ideal` },
+  DTI_HIGH:       { factor: 'dti', adverse: true,  short: 'High DTI',           text: v => `DTI of ${v} is high — banks prefer under 40%` },
+  DTI_EXCEEDS_CAP:{ factor: 'dti', adverse: true,  short: 'DTI exceeds limit',  text: v => `DTI of ${v} exceeds the 50% Egyptian limit` },
+
+  // ── Income ───────────────────────────────────────────────
+  INCOME_HIGH:          { factor: 'income', adverse: false, short: 'Strong income',        text: v => `Bankable income of ${v} is strong` },
+  INCOME_ADEQUATE:      { factor: 'income', adverse: false, short: 'Adequate income',      text: v => `Bankable income of ${v} is adequate` },
+  INCOME_MODERATE:      { factor: 'income', adverse: true,  short: 'Moderate income',      text: v => `Bankable income of ${v} limits the score` },
+  INCOME_MINIMUM:       { factor: 'income', adverse: true,  short: 'Income near minimum',  text: v => `Bankable income of ${v} only just meets the ${MIN_INCOME} minimum` },
+  INCOME_BELOW_MINIMUM: { factor: 'income', adverse: true,  short: 'Income below minimum', text: v => `Bankable income of ${v} is below the ${MIN_INCOME} minimum` },
+
+  // ── Employment ───────────────────────────────────────────
+  EMPLOYMENT_STABLE:   { factor: 'employment', adverse: false, short: 'Stable employment',            text: v => `Employment stability (${v}) is strongly preferred by Egyptian banks` },
+  EMPLOYMENT_MODERATE: { factor: 'employment', adverse: false, short: 'Acceptable employment',        text: v => `Employment stability (${v}) is acceptable` },
+  EMPLOYMENT_LIMITED:  { factor: 'employment', adverse: true,  short: 'Limited employment stability', text: v => `Employment stability (${v}) needs improvement` },
+  EMPLOYMENT_NONE:     { factor: 'employment', adverse: true,  short: 'No employment',                text: () => 'Unemployed — Egyptian banks require active employment' },
+
+  TENURE_LONG:        { factor: 'tenure', adverse: false, short: 'Long tenure',         text: v => `${v} at the current employer` },
+  TENURE_ESTABLISHED: { factor: 'tenure', adverse: false, short: 'Established tenure',  text: v => `${v} at the current employer` },
+  TENURE_SHORT:       { factor: 'tenure', adverse: true,  short: 'Short tenure',        text: v => `Only ${v} at the current employer` },
+  TENURE_PROBATION:   { factor: 'tenure', adverse: true,  short: 'Probation not complete', text: v => `${v} at the current employer — probation (6 months) not complete` },
+
+  // Self-employed: time the business has been trading
+  TRADING_LONG:        { factor: 'tenure', adverse: false, short: 'Long-established business', text: v => `Business trading for ${v}` },
+  TRADING_ESTABLISHED: { factor: 'tenure', adverse: false, short: 'Established business',      text: v => `Business trading for ${v}` },
+  TRADING_SHORT:       { factor: 'tenure', adverse: true,  short: 'Young business',            text: v => `Business trading for only ${v} — banks prefer 2+ years` },
+  TRADING_NEW:         { factor: 'tenure', adverse: true,  short: 'Business under a year old', text: v => `Business trading for ${v} — under a year of accounts` },
+
+  // ── Savings / disposable income / net worth ─────────────
+  SAVINGS_STRONG:   { factor: 'savings', adverse: false, short: 'Excellent savings discipline', text: v => `Savings rate of ${v} is excellent` },
+  SAVINGS_GOOD:     { factor: 'savings', adverse: false, short: 'Good savings habits',          text: v => `Savings rate of ${v} is good` },
+  SAVINGS_MODERATE: { factor: 'savings', adverse: true,  short: 'Modest savings',               text: v => `Savings rate of ${v} is modest` },
+  SAVINGS_LOW:      { factor: 'savings', adverse: true,  short: 'Limited savings capacity',     text: v => `Savings rate of ${v} is low` },
+  SAVINGS_NONE:     { factor: 'savings', adverse: true,  short: 'No savings capacity',          text: () => 'No disposable income left after obligations — high risk' },
+
+  DISPOSABLE_HIGH:     { factor: 'disposable', adverse: false, short: 'High disposable income',    text: v => `Disposable income of ${v} is high` },
+  DISPOSABLE_MODERATE: { factor: 'disposable', adverse: false, short: 'Healthy disposable income', text: v => `Disposable income of ${v} is healthy` },
+  DISPOSABLE_LOW:      { factor: 'disposable', adverse: true,  short: 'Low disposable income',     text: v => `Disposable income of ${v} is low` },
+  DISPOSABLE_NONE:     { factor: 'disposable', adverse: true,  short: 'No disposable income',      text: () => 'No disposable income left after obligations' },
+
+  NET_WORTH_HIGH:     { factor: 'netWorth', adverse: false, short: 'Strong net worth',   text: v => `Estimated net worth of ${v} is strong` },
+  NET_WORTH_MODERATE: { factor: 'netWorth', adverse: false, short: 'Moderate net worth', text: v => `Estimated net worth of ${v} is moderate` },
+  NET_WORTH_LOW:      { factor: 'netWorth', adverse: true,  short: 'Low net worth',      text: v => `Estimated net worth of ${v} is low` },
+  NET_WORTH_NONE:     { factor: 'netWorth', adverse: true,  short: 'No net worth',       text: () => 'No estimated net worth' },
+
+  // ── Age ──────────────────────────────────────────────────
+  AGE_OPTIMAL:    { factor: 'age', adverse: false, short: 'Optimal age',               text: v => `Age ${v} is in the optimal range` },
+  AGE_ACCEPTABLE: { factor: 'age', adverse: false, short: 'Age within eligible range', text: v => `Age ${v} is within the eligible range` },
+  AGE_EDGE:       { factor: 'age', adverse: true,  short: 'Age near eligibility edge', text: v => `Age ${v} is near the edge of the 21–65 range` },
+  AGE_INELIGIBLE: { factor: 'age', adverse: true,  short: 'Age outside 21–65',         text: v => `Age ${v} is outside the Egyptian 21–65 range` },
+
+  // ── Penalties ────────────────────────────────────────────
+  LTI_OK:         { factor: 'lti', adverse: false, short: 'Reasonable loan amount',    text: v => `Loan of ${v} annual income is reasonable` },
+  LTI_ELEVATED:   { factor: 'lti', adverse: true,  short: 'High loan-to-income ratio', text: v => `Loan of ${v} annual income is above the usual 3×` },
+  LTI_HIGH:       { factor: 'lti', adverse: true,  short: 'High loan amount',          text: v => `Loan of ${v} annual income is high` },
+  LTI_VERY_HIGH:  { factor: 'lti', adverse: true,  short: 'Very high loan amount',     text: v => `Loan of ${v} annual income is very large` },
+  LTI_EXCESSIVE:  { factor: 'lti', adverse: true,  short: 'Excessive loan amount',     text: v => `Loan of ${v} annual income is excessive` },
+
+  UTILIZATION_OK:       { factor: 'utilization', adverse: false, short: 'Healthy card utilization',     text: v => `Credit cards are ${v} utilized` },
+  UTILIZATION_ELEVATED: { factor: 'utilization', adverse: true,  short: 'Elevated card utilization',    text: v => `Credit cards are ${v} utilized — banks prefer under 50%` },
+  UTILIZATION_HIGH:     { factor: 'utilization', adverse: true,  short: 'High credit card utilization', text: v => `Credit cards are ${v} utilized — banks prefer under 50%` },
+  UTILIZATION_MAXED:    { factor: 'utilization', adverse: true,  short: 'Cards nearly maxed out',       text: v => `Credit cards are ${v} utilized — close to the limit` },
+};
+
+/**
+ * Collects per-factor contributions while a strategy scores a profile.
+ * Penalty factors use maxPoints 0 and negative points.
+ */
+class ScoreLedger {
+  constructor(base = 0) {
+    this.base    = base;
+    this.entries = [];
+  }
+
+  /**
+   * @param {string} code      - Key of REASON_CODES
+   * @param {number} points    - Points awarded (negative for penalties)
+   * @param {number} maxPoints - Best possible points for this factor
+   * @param {string} value     - Formatted input value, e.g. '42.1%'
+   */
+  add(code, points, maxPoints, value) {
+    const factor = REASON_CODES[code].factor;
+    this.entries.push({ factor, label: FACTOR_LABELS[factor], code, points, maxPoints, value });
+    return this;
+  }
+
+  total() {
+    return this.entries.reduce((sum, e) => sum + e.points, this.base);
+  }
+}
+
+/** Points an entry cost the applicant vs. the best outcome */
+const pointsLost = (entry) => entry.maxPoints - entry.points;
+
+/** Full sentence for one ledger entry */
+const describeEntry = (entry) => REASON_CODES[entry.code].text(entry.value);
+
+const isAdverse = (entry) => REASON_CODES[entry.code]?.adverse === true;
+
+/**
+ * Adverse entries, biggest point loss first
+ * @returns {object[]} - [{ code, factor, text, pointsLost }]
+ */
+const getTopAdverseReasons = (ledger = [], limit = 4) =>
+  ledger
+    .filter(isAdverse)
+    .sort((a, b) => pointsLost(b) - pointsLost(a))
+    .slice(0, limit)
+    .map(e => ({ code: e.code, factor: e.factor, text: describeEntry(e), pointsLost: pointsLost(e) }));
+
+/**
+ * Favourable entries, most points first
+ * @returns {object[]} - [{ code, factor, text, points }]
+ */
+const getTopPositiveReasons = (ledger = [], limit = 3) =>
+  ledger
+    .filter(e => !isAdverse(e) && e.points > 0)
+    .sort((a, b) => b.points - a.points)
+    .slice(0, limit)
+    .map(e => ({ code: e.code, factor: e.factor, text: describeEntry(e), points: e.points }));
+
+/** Short labels split into strengths / weaknesses */
+const getFactorSummary = (ledger = []) => ({
+  positiveFactors: ledger.filter(e => !isAdverse(e)).map(e => REASON_CODES[e.code].short),
+  negativeFactors: ledger.filter(isAdverse).map(e => REASON_CODES[e.code].short),
+});
+
+export {
+  describeEntry,
+  FACTOR_LABELS,
+  getFactorSummary,
+  getTopAdverseReasons,
+  getTopPositiveReasons,
+  isAdverse,
+  REASON_CODES,
+  ScoreLedger
+};
+export default REASON_CODES;
@@ -0,0 +1,135 @@
+// app/services/ScoreCalibration.js
+// ═══════════════════════════════════════════════════════════════
+// SCORE CALIBRATION — One scale for every strategy
+// Scorecards produce raw points on their own scale (Conservative,
+// Standard and Aggressive: 0–100, AI-Based: 300–850). Risk levels,
+// ratings and approval probability assume 300–850, so every raw
+// score is mapped onto that common scale first, then to an
+// estimated probability of default (PD).
+//
+// A scorecard's "calibration.points" lists [raw, common] pairs;
+// scores in between are interpolated linearly. The bundled anchors
+// match the raw-score quantiles of each card to those of AI-Based,
+// so the same percentile of applicants gets the same common score.
+// A card already on 300–850 may omit calibration (identity).
+// ═══════════════════════════════════════════════════════════════
+
+import { SCORE_SCALE } from '../config/lendingPolicy';
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const clampToScale = (score) =>
+  Math.min(Math.max(score, SCORE_SCALE.min), SCORE_SCALE.max);
+
+/** Card is already expressed on the common scale */
+const isCommonScale = (card) =>
+  card?.scale?.min === SCORE_SCALE.min && card?.scale?.max === SCORE_SCALE.max;
+
+/**
+ * Check a scorecard's calibration block
+ * @param {object} card - Scorecard definition
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+const validateCalibration = (card) => {
+  const calibration = card?.calibration;
+  if (!calibration) {
+    return isCommonScale(card)
+      ? []
+      : [`calibration is required when the scale is not ${SCORE_SCALE.min}–${SCORE_SCALE.max}`];
+  }
+
+  const points = calibration.points;
+  if (!Array.isArray(points) || points.length < 2)
+    return ['calibration.points must list at least two [raw, score] pairs'];
+
+  const errors = [];
+  points.forEach((pair, i) => {
+    if (!Array.isArray(pair) || pair.length !== 2 || !isNumber(pair[0]) || !isNumber(pair[1])) {
+      errors.push(`calibration.points[${i}] must be a [raw, score] pair of numbers`);
+      return;
+    }
+    if (pair[1] < SCORE_SCALE.min || pair[1] > SCORE_SCALE.max)
+      errors.push(`calibration.points[${i}]: score must be within ${SCORE_SCALE.min}–${SCORE_SCALE.max}`);
+    if (i > 0 && Array.isArray(points[i - 1])) {
+      if (pair[0] <= points[i - 1][0]) errors.push(`calibration.points[${i}]: raw values must increase`);
+      if (pair[1] <  points[i - 1][1]) errors.push(`calibration.points[${i}]: scores must not decrease`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  const scale = card.scale || {};
+  if (points[0][0] > scale.min || points[points.length - 1][0] < scale.max)
+    errors.push('calibration.points must cover the whole scale from scale.min to scale.max');
+  return errors;
+};
+
+/**
+ * Map a raw score onto the common 300–850 scale
+ * @param {object|null} card - Scorecard that produced the score (null → identity)
+ * @param {number} raw
+ * @returns {number} - Whole-number common score
+ */
+const toCommonScore = (card, raw) => {
+  const points = card?.calibration?.points;
+  if (!points) return Math.round(clampToScale(raw));
+
+  if (raw <= points[0][0]) return Math.round(points[0][1]);
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (raw > x1) continue;
+    const [x0, y0] = points[i - 1];
+    return Math.round(y0 + ((raw - x0) / (x1 - x0)) * (y1 - y0));
+  }
+  return Math.round(points[points.length - 1][1]);
+};
+
+/**
+ * Estimated probability of default for a common-scale score
+ * @param {number} score - 300–850
+ * @returns {number} - PD as a fraction (0–1), 4 decimals
+ */
+const getProbabilityOfDefault = (score) => {
+  const { anchorScore, anchorOdds, pointsToDoubleOdds } = SCORE_SCALE;
+  const odds = anchorOdds * Math.pow(2, (clampToScale(score) - anchorScore) / pointsToDoubleOdds);
+  return Math.round((1 / (1 + odds)) * 10000) / 10000;
+};
+
+/**
+ * Common-scale score for a probability of default — the inverse of
+ * getProbabilityOfDefault, used by models that predict PD directly
+ * @param {number} pd - 0–1
+ * @returns {number} - Whole-number score, 300–850
+ */
+const getScoreForProbability = (pd) => {
+  const { anchorScore, anchorOdds, pointsToDoubleOdds } = SCORE_SCALE;
+  const p    = Math.min(Math.max(pd, 1e-6), 1 - 1e-6);
+  const odds = (1 - p) / p;
+  return Math.round(clampToScale(anchorScore + pointsToDoubleOdds * Math.log2(odds / anchorOdds)));
+};
+
+/**
+ * Raw scorecard output → common score and PD
+ * @param {object|null} card
+ * @param {number} raw
+ * @returns {object} - { score, rawScore, probabilityOfDefault }
+ */
+const calibrate = (card, raw) => {
+  const score = toCommonScore(card, raw);
+  return { score, rawScore: raw, probabilityOfDefault: getProbabilityOfDefault(score) };
+};
+
+export {
+  calibrate,
+  getProbabilityOfDefault,
+  getScoreForProbability,
+  toCommonScore,
+  validateCalibration
+};
+
+export default {
+  calibrate,
+  getProbabilityOfDefault,
+  getScoreForProbability,
+  toCommonScore,
+  validateCalibration,
+};
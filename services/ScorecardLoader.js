@@ -0,0 +1,249 @@
+// app/services/ScorecardLoader.js
+// ═══════════════════════════════════════════════════════════════
+// SCORECARD LOADER — Versioned, data-driven scoring definitions
+// Cut-offs, points and caps live in config/scorecards/*.json so
+// the risk team can change them without touching strategy code.
+// Every definition is validated when it is loaded; an invalid one
+// is rejected with ScorecardValidationError and never used.
+// Definitions fetched at runtime (e.g. from Firestore) can replace
+// the bundled ones through registerScorecard().
+//
+// Definition shape:
+//   { id, version, name, scale: { base, min, max, round },
+//     calibration?: { points: [[raw, score], ...] },
+//     factors: [{ factor, metric, format, maxPoints, optional?,
+//                 bins: [{ gte?, gt?, lt?, lte?, in?, points | scale, code }] }] }
+// Bins are checked in order; the first whose conditions all hold
+// wins, and the last bin must have no conditions (catch-all).
+// Calibration maps the raw score to 300–850 (ScoreCalibration.js).
+// ═══════════════════════════════════════════════════════════════
+
+import aggressive from '../config/scorecards/aggressive.json';
+import aiBased from '../config/scorecards/ai-based.json';
+import conservative from '../config/scorecards/conservative.json';
+import selfEmployed from '../config/scorecards/self-employed.json';
+import standard from '../config/scorecards/standard.json';
+import youngThinFile from '../config/scorecards/young-thin-file.json';
+import { FACTOR_LABELS, REASON_CODES, ScoreLedger } from './ReasonCodes';
+import { validateCalibration } from './ScoreCalibration';
+import { ASSESSMENT_RATE } from './UserFinancialProfile';
+
+/** Metric name → value read from the profile (strategy supplies the DTI mode) */
+const METRICS = {
+  dti:                 (p, s) => s.getDTI(p),
+  monthlyIncome:       (p)    => p.getBankableIncome(),
+  annualIncome:        (p)    => p.getTotalIncome(),
+  savingsRate:         (p)    => p.calculateSavingsRate(),
+  employmentStability: (p)    => p.getEmploymentStabilityScore(),
+  employmentType:      (p)    => p.employmentType,
+  employmentYears:     (p)    => p.employmentYears,
+  monthlyDisposable:   (p)    => p.calculateDisposableIncome(),
+  annualDisposable:    (p)    => p.getDisposableIncome(),
+  netWorth:            (p)    => p.getNetWorth(),
+  age:                 (p)    => p.age,
+  loanToIncome:        (p)    => p.calculateLoanToIncomeRatio(),
+  cardUtilization:     (p)    => p.getCreditCardUtilization(),
+};
+
+// Profile inputs each metric reads — published as a strategy's required fields
+const AFFORDABILITY_FIELDS = ['monthlyIncome', 'monthlyExpenses', 'householdSize', 'existingDebts', 'creditFacilities'];
+const METRIC_FIELDS = {
+  dti:                 [...AFFORDABILITY_FIELDS, 'requestedLoanAmount', 'loanTermMonths'],
+  monthlyIncome:       ['monthlyIncome'],
+  annualIncome:        ['monthlyIncome'],
+  savingsRate:         AFFORDABILITY_FIELDS,
+  employmentStability: ['employmentType', 'employmentYears'],
+  employmentType:      ['employmentType'],
+  employmentYears:     ['employmentYears'],
+  monthlyDisposable:   AFFORDABILITY_FIELDS,
+  annualDisposable:    AFFORDABILITY_FIELDS,
+  netWorth:            AFFORDABILITY_FIELDS,
+  age:                 ['age'],
+  loanToIncome:        ['requestedLoanAmount', 'monthlyIncome'],
+  cardUtilization:     ['creditFacilities'],
+};
+
+/** Profile fields a scorecard reads, in first-use order */
+const getRequiredFields = (card) =>
+  Array.from(new Set(card.factors.flatMap(f => METRIC_FIELDS[f.metric] || [])));
+
+const egp = (n) => `EGP ${Math.round(n).toLocaleString()}`;
+
+/** Format name → ledger value text */
+const FORMATS = {
+  // Scored before a rate is quoted, so the new installment is stress-tested
+  dti:          (v, s) => `${v.toFixed(1)}%${s.usePostLoanDTI ? ` after the new loan at the ${ASSESSMENT_RATE}% stress-test rate` : ''}`,
+  egp:          (v) => egp(v),
+  egpMonthly:   (v) => `${egp(v)}/mo`,
+  egpAnnual:    (v) => `${egp(v)}/yr`,
+  percent:      (v) => `${v.toFixed(1)}%`,
+  percentWhole: (v) => `${v.toFixed(0)}%`,
+  outOf100:     (v) => `${v}/100`,
+  years:        (v) => `${v} years`,
+  multiple:     (v) => `${v.toFixed(1)}×`,
+  plain:        (v) => v,
+};
+
+const CONDITIONS = ['gte', 'gt', 'lt', 'lte', 'in'];
+
+class ScorecardValidationError extends Error {
+  constructor(id, errors) {
+    super(`Invalid scorecard "${id}": ${errors.join('; ')}`);
+    this.name   = 'ScorecardValidationError';
+    this.errors = errors;
+  }
+}
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Check a definition without loading it
+ * @param {object} def - Parsed scorecard JSON
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+const validateScorecard = (def) => {
+  const errors = [];
+  if (!def || typeof def !== 'object') return ['definition must be an object'];
+
+  if (typeof def.id !== 'string' || !def.id)           errors.push('id is required');
+  if (!/^\d+\.\d+\.\d+$/.test(String(def.version)))    errors.push('version must be semver, e.g. "1.0.0"');
+  if (typeof def.name !== 'string' || !def.name)       errors.push('name is required');
+
+  const scale = def.scale || {};
+  if (!isNumber(scale.base) || !isNumber(scale.min) || !isNumber(scale.max))
+    errors.push('scale.base, scale.min and scale.max must be numbers');
+  else if (scale.min >= scale.max)
+    errors.push('scale.min must be below scale.max');
+  else
+    errors.push(...validateCalibration(def));
+
+  if (!Array.isArray(def.factors) || def.factors.length === 0) {
+    errors.push('factors must be a non-empty array');
+    return errors;
+  }
+
+  const seen = new Set();
+  def.factors.forEach((f, i) => {
+    const at = `factors[${i}]`;
+    if (!FACTOR_LABELS[f.factor]) errors.push(`${at}: unknown factor "${f.factor}"`);
+    if (seen.has(f.factor))       errors.push(`${at}: factor "${f.factor}" listed twice`);
+    seen.add(f.factor);
+    if (!METRICS[f.metric])       errors.push(`${at}: unknown metric "${f.metric}"`);
+    if (!FORMATS[f.format])       errors.push(`${at}: unknown format "${f.format}"`);
+    if (!isNumber(f.maxPoints) || f.maxPoints < 0) errors.push(`${at}: maxPoints must be a number ≥ 0`);
+
+    if (!Array.isArray(f.bins) || f.bins.length === 0) {
+      errors.push(`${at}: bins must be a non-empty array`);
+      return;
+    }
+    f.bins.forEach((b, j) => {
+      const bin = `${at}.bins[${j}]`;
+      const reason = REASON_CODES[b.code];
+      if (!reason)                        errors.push(`${bin}: unknown reason code "${b.code}"`);
+      else if (reason.factor !== f.factor) errors.push(`${bin}: code ${b.code} belongs to factor "${reason.factor}"`);
+
+      if (isNumber(b.points) === isNumber(b.scale))
+        errors.push(`${bin}: give exactly one of points or scale`);
+      if (isNumber(b.points) && f.maxPoints > 0 && (b.points < 0 || b.points > f.maxPoints))
+        errors.push(`${bin}: points must be between 0 and maxPoints (${f.maxPoints})`);
+      if (isNumber(b.points) && f.maxPoints === 0 && b.points > 0)
+        errors.push(`${bin}: penalty factors (maxPoints 0) cannot award points`);
+
+      ['gte', 'gt', 'lt', 'lte'].forEach(c => {
+        if (c in b && !isNumber(b[c])) errors.push(`${bin}: ${c} must be a number`);
+      });
+      if ('in' in b && !Array.isArray(b.in)) errors.push(`${bin}: in must be an array`);
+
+      const isLast = j === f.bins.length - 1;
+      const hasCondition = CONDITIONS.some(c => c in b);
+      if (isLast && hasCondition) errors.push(`${bin}: last bin must be a catch-all with no conditions`);
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Validate and freeze a definition
+ * @throws {ScorecardValidationError}
+ */
+const loadScorecard = (def) => {
+  const errors = validateScorecard(def);
+  if (errors.length > 0) throw new ScorecardValidationError(def?.id || 'unknown', errors);
+  return Object.freeze({ ...def });
+};
+
+// ── Registry ───────────────────────────────────────────────────
+const registry = new Map();
+
+/** Add or replace a scorecard (validated first) */
+const registerScorecard = (def) => {
+  const card = loadScorecard(def);
+  registry.set(card.id, card);
+  return card;
+};
+
+/** Look up a loaded scorecard by id */
+const getScorecard = (id) => {
+  const card = registry.get(id);
+  if (!card) throw new Error(`Scorecard "${id}" is not loaded`);
+  return card;
+};
+
+const listScorecards = () =>
+  Array.from(registry.values()).map(({ id, version, name, description }) => ({ id, version, name, description }));
+
+[conservative, standard, aggressive, aiBased, selfEmployed, youngThinFile].forEach(registerScorecard);
+
+// ── Scoring ────────────────────────────────────────────────────
+
+/** First-match bin semantics, shared with PdModelLoader */
+const binMatches = (bin, value) => {
+  if ('in'  in bin && !bin.in.includes(value)) return false;
+  if ('gte' in bin && !(value >= bin.gte))     return false;
+  if ('gt'  in bin && !(value >  bin.gt))      return false;
+  if ('lt'  in bin && !(value <  bin.lt))      return false;
+  if ('lte' in bin && !(value <= bin.lte))     return false;
+  return true;
+};
+
+/**
+ * Score a profile against a loaded scorecard
+ * @param {object} card - From getScorecard()/registerScorecard()
+ * @param {UserFinancialProfile} profile
+ * @param {ScoringStrategy} strategy - Supplies getDTI() and the DTI mode
+ * @returns {object} - { score, ledger[], scorecardId, scorecardVersion }
+ */
+const evaluateScorecard = (card, profile, strategy) => {
+  const ledger = new ScoreLedger(card.scale.base);
+
+  card.factors.forEach(f => {
+    const value = METRICS[f.metric](profile, strategy);
+    if (f.optional && (value === null || value === undefined)) return;
+    const bin    = f.bins.find(b => binMatches(b, value));
+    const points = isNumber(bin.points) ? bin.points : Math.floor(value * bin.scale);
+    ledger.add(bin.code, points, f.maxPoints, FORMATS[f.format](value, strategy));
+  });
+
+  const total = card.scale.round ? Math.round(ledger.total()) : ledger.total();
+  return {
+    score:            Math.min(Math.max(total, card.scale.min), card.scale.max),
+    ledger:           ledger.entries,
+    scorecardId:      card.id,
+    scorecardVersion: card.version,
+  };
+};
+
+export {
+  binMatches,
+  evaluateScorecard,
+  FORMATS,
+  getRequiredFields,
+  getScorecard,
+  listScorecards,
+  loadScorecard,
+  METRICS,
+  registerScorecard,
+  ScorecardValidationError,
+  validateScorecard
+};
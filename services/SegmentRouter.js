@@ -0,0 +1,107 @@
+// app/services/SegmentRouter.js
+// ═══════════════════════════════════════════════════════════════
+// SEGMENT ROUTER — Which strategy scores this application?
+// Segments live in config/segments.json and are checked in order;
+// the first whose conditions all hold wins, so the last segment
+// must have no conditions (catch-all). Conditions:
+//   employmentType: [...]        loanProduct: [...]
+//   ageMin / ageMax              (inclusive, years)
+//   loanAmountMin / loanAmountMax (inclusive, EGP)
+//   thinFile: true|false          (no credit facilities or debts)
+// Each segment names a registered strategy (StrategyRegistry.js).
+// ═══════════════════════════════════════════════════════════════
+
+import segmentConfig from '../config/segments.json';
+import './ScoringStrategy'; // registers the built-in strategies
+import { createStrategy, hasStrategy } from './StrategyRegistry';
+
+const LIST_CONDITIONS  = ['employmentType', 'loanProduct'];
+const RANGE_CONDITIONS = ['ageMin', 'ageMax', 'loanAmountMin', 'loanAmountMax'];
+
+/** Applicant has no credit history on file */
+const isThinFile = (profile) =>
+  profile.creditFacilities.length === 0 && profile.existingDebts <= 0;
+
+const matches = (when, profile) => {
+  if (when.employmentType && !when.employmentType.includes(profile.employmentType))      return false;
+  if (when.loanProduct    && !when.loanProduct.includes(profile.loanProduct))            return false;
+  if (when.ageMin        !== undefined && profile.age < when.ageMin)                     return false;
+  if (when.ageMax        !== undefined && profile.age > when.ageMax)                     return false;
+  if (when.loanAmountMin !== undefined && profile.requestedLoanAmount < when.loanAmountMin) return false;
+  if (when.loanAmountMax !== undefined && profile.requestedLoanAmount > when.loanAmountMax) return false;
+  if (when.thinFile      !== undefined && isThinFile(profile) !== when.thinFile)         return false;
+  return true;
+};
+
+/**
+ * Check a segment configuration without loading it
+ * @param {object} config - Parsed segments JSON
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+const validateSegments = (config) => {
+  if (!config || !Array.isArray(config.segments) || config.segments.length === 0)
+    return ['segments must be a non-empty array'];
+
+  const errors = [];
+  const seen   = new Set();
+  config.segments.forEach((seg, i) => {
+    const at   = `segments[${i}]`;
+    const when = seg.when || {};
+    if (typeof seg.id !== 'string' || !seg.id) errors.push(`${at}: id is required`);
+    if (seen.has(seg.id))                      errors.push(`${at}: id "${seg.id}" listed twice`);
+    seen.add(seg.id);
+    if (!hasStrategy(seg.strategy)) errors.push(`${at}: strategy "${seg.strategy}" is not registered`);
+
+    Object.keys(when).forEach(key => {
+      if (LIST_CONDITIONS.includes(key)) {
+        if (!Array.isArray(when[key])) errors.push(`${at}: ${key} must be an array`);
+      } else if (RANGE_CONDITIONS.includes(key)) {
+        if (typeof when[key] !== 'number') errors.push(`${at}: ${key} must be a number`);
+      } else if (key === 'thinFile') {
+        if (typeof when[key] !== 'boolean') errors.push(`${at}: thinFile must be true or false`);
+      } else {
+        errors.push(`${at}: unknown condition "${key}"`);
+      }
+    });
+
+    const isLast = i === config.segments.length - 1;
+    if (isLast && Object.keys(when).length > 0) errors.push(`${at}: last segment must be a catch-all with no conditions`);
+  });
+  return errors;
+};
+
+let segments      = [];
+let configVersion = null;
+
+/**
+ * Replace the active segment configuration (validated first)
+ * @throws {Error} - Lists every problem found
+ */
+const loadSegments = (config) => {
+  const errors = validateSegments(config);
+  if (errors.length > 0) throw new Error(`Invalid segment configuration: ${errors.join('; ')}`);
+  segments      = config.segments.map(seg => Object.freeze({ ...seg, when: seg.when || {} }));
+  configVersion = config.version || null;
+  return segments;
+};
+
+loadSegments(segmentConfig);
+
+/**
+ * Pick the segment and scoring strategy for an application
+ * @param {UserFinancialProfile} profile
+ * @returns {object} - { segment: { id, name, strategy, configVersion }, strategy }
+ */
+const routeApplication = (profile) => {
+  const segment = segments.find(seg => matches(seg.when, profile));
+  return {
+    segment:  { id: segment.id, name: segment.name, strategy: segment.strategy, configVersion },
+    strategy: createStrategy(segment.strategy),
+  };
+};
+
+const listSegments = () => segments.map(({ id, name, strategy }) => ({ id, name, strategy }));
+
+export { listSegments, loadSegments, routeApplication, validateSegments };
+
+export default { listSegments, loadSegments, routeApplication, validateSegments };
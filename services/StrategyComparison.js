@@ -0,0 +1,110 @@
+// app/services/StrategyComparison.js
+// ═══════════════════════════════════════════════════════════════
+// STRATEGY COMPARISON — One profile, every scoring policy
+// Scores the profile with every strategy (calculateAllScores),
+// applies the same approval threshold and max-loan rules to each
+// calibrated score, and ranks the factors where the scorecards
+// disagree most. Rule-based only, so it runs offline.
+// ═══════════════════════════════════════════════════════════════
+
+import CreditScoreCalculator from './CreditScoreCalculator';
+import LoanDecisionService from './LoanDecisionService';
+import { REASON_CODES } from './ReasonCodes';
+import { getScorecard, listScorecards } from './ScorecardLoader';
+
+// Factors whose normalised points differ by less than this are "agreed"
+const MIN_SPREAD = 0.1;
+
+/** Point scorecard behind a result (null for PD models) */
+const scorecardOf = (id) =>
+  listScorecards().some(c => c.id === id) ? getScorecard(id) : null;
+
+/**
+ * How well a ledger entry went for the applicant, 0 (worst) → 1 (best).
+ * Penalty factors (maxPoints 0) are measured against the card's
+ * largest penalty for that factor.
+ */
+const entryStrength = (entry, card) => {
+  if (entry.maxPoints > 0) return Math.min(Math.max(entry.points / entry.maxPoints, 0), 1);
+  const factor = card?.factors.find(f => f.factor === entry.factor);
+  const worst  = factor ? Math.min(...factor.bins.map(b => b.points ?? 0)) : 0;
+  return worst < 0 ? 1 - entry.points / worst : 1;
+};
+
+/**
+ * Factors scored by at least two strategies, largest disagreement first
+ * @param {object[]} results - calculateScore() results, one per strategy
+ * @param {number} limit
+ * @returns {object[]} - [{ factor, label, spread, entries: [{ strategy, code, short, points, maxPoints, strength }] }]
+ */
+const findDisagreements = (results, limit = 4) => {
+  const byFactor = {};
+  results.forEach(result => {
+    const card = scorecardOf(result.scorecardId);
+    (result.ledger || []).forEach(entry => {
+      if (!byFactor[entry.factor]) byFactor[entry.factor] = { factor: entry.factor, label: entry.label, entries: [] };
+      byFactor[entry.factor].entries.push({
+        strategy:  result.strategy,
+        code:      entry.code,
+        short:     REASON_CODES[entry.code].short,
+        points:    entry.points,
+        maxPoints: entry.maxPoints,
+        strength:  entryStrength(entry, card),
+      });
+    });
+  });
+
+  return Object.values(byFactor)
+    .filter(f => f.entries.length > 1)
+    .map(f => {
+      const strengths = f.entries.map(e => e.strength);
+      return { ...f, spread: Math.max(...strengths) - Math.min(...strengths) };
+    })
+    .filter(f => f.spread >= MIN_SPREAD)
+    .sort((a, b) => b.spread - a.spread)
+    .slice(0, limit);
+};
+
+/**
+ * Score one profile under every strategy
+ * @param {UserFinancialProfile} profile
+ * @returns {object} - { eligibilityIssues[], threshold, strategies[], disagreements[], scoreSpread }
+ *   strategy: { name, scorecardId, scorecardVersion, score, rawScore, rating, riskLevel,
+ *               probabilityOfDefault, approved, maxLoanAmount }
+ */
+const compareStrategies = (profile) => {
+  const decisions         = new LoanDecisionService();
+  const threshold         = decisions.APPROVAL_THRESHOLD;
+  const eligibilityIssues = profile.getEgyptianEligibilityIssues();
+  const results = Object.values(new CreditScoreCalculator().calculateAllScores(profile))
+    .filter(r => r.success);
+
+  const strategies = results.map(r => {
+    const approved = eligibilityIssues.length === 0 && r.score >= threshold;
+    return {
+      name:                 r.strategy,
+      scorecardId:          r.scorecardId,
+      scorecardVersion:     r.scorecardVersion,
+      score:                r.score,
+      rawScore:             r.rawScore,
+      rating:               r.rating,
+      riskLevel:            r.riskLevel,
+      probabilityOfDefault: r.probabilityOfDefault,
+      approved,
+      maxLoanAmount:        approved ? decisions.getMaxLoanAmount(profile, r.score) : 0,
+    };
+  });
+
+  const scores = strategies.map(s => s.score);
+  return {
+    eligibilityIssues,
+    threshold,
+    strategies,
+    disagreements: findDisagreements(results),
+    scoreSpread:   scores.length > 0 ? Math.max(...scores) - Math.min(...scores) : 0,
+  };
+};
+
+export { compareStrategies, findDisagreements };
+
+export default { compareStrategies, findDisagreements };
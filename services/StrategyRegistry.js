@@ -0,0 +1,122 @@
+// app/services/StrategyRegistry.js
+// ═══════════════════════════════════════════════════════════════
+// STRATEGY REGISTRY — Scoring strategies by name
+// Strategies register under a name with a version and metadata
+// (score scale, profile fields they read) plus a create() factory.
+// The built-in scorecard strategies register themselves from
+// ScoringStrategy.js; a bank-specific strategy registers from its
+// own module:
+//
+//   registerStrategy({
+//     name: 'nbe-salary', version: '1.0.0', label: 'NBE Salary Loan',
+//     scale: { min: 300, max: 850 }, requiredFields: ['monthlyIncome', 'age'],
+//     create: (options) => new NbeSalaryStrategy(options),
+//   });
+//
+// Names are case-insensitive. Looking up a name that was never
+// registered throws UnknownStrategyError — there is no silent default.
+// ═══════════════════════════════════════════════════════════════
+
+import UserFinancialProfile from './UserFinancialProfile';
+
+// Inputs a strategy may declare it needs (everything a profile is built from)
+const PROFILE_FIELDS = Object.keys(new UserFinancialProfile());
+
+class UnknownStrategyError extends Error {
+  constructor(name, available) {
+    super(`Unknown scoring strategy "${name}". Registered: ${available.join(', ') || 'none'}`);
+    this.name         = 'UnknownStrategyError';
+    this.strategyName = name;
+    this.available    = available;
+  }
+}
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const keyOf    = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Check a registration without adding it
+ * @param {object} entry - { name, version, label?, description?, scale, requiredFields, create }
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+const validateStrategyEntry = (entry) => {
+  if (!entry || typeof entry !== 'object') return ['registration must be an object'];
+
+  const errors = [];
+  if (typeof entry.name !== 'string' || !entry.name.trim()) errors.push('name is required');
+  if (!/^\d+\.\d+\.\d+$/.test(String(entry.version)))       errors.push('version must be semver, e.g. "1.0.0"');
+  if (typeof entry.create !== 'function')                   errors.push('create must be a function returning a strategy');
+
+  const scale = entry.scale || {};
+  if (!isNumber(scale.min) || !isNumber(scale.max) || scale.min >= scale.max)
+    errors.push('scale must be { min, max } with min below max');
+
+  if (!Array.isArray(entry.requiredFields)) {
+    errors.push('requiredFields must be an array');
+  } else {
+    entry.requiredFields
+      .filter(f => !PROFILE_FIELDS.includes(f))
+      .forEach(f => errors.push(`requiredFields: "${f}" is not a UserFinancialProfile field`));
+  }
+  return errors;
+};
+
+// ── Registry ───────────────────────────────────────────────────
+const registry = new Map();
+
+/**
+ * Add or replace a strategy (validated first)
+ * @throws {Error} - Lists every problem found
+ */
+const registerStrategy = (entry) => {
+  const errors = validateStrategyEntry(entry);
+  if (errors.length > 0)
+    throw new Error(`Invalid strategy registration "${entry?.name || 'unknown'}": ${errors.join('; ')}`);
+
+  const registered = Object.freeze({
+    name:           keyOf(entry.name),
+    version:        entry.version,
+    label:          entry.label || entry.name,
+    description:    entry.description || '',
+    scale:          Object.freeze({ min: entry.scale.min, max: entry.scale.max }),
+    requiredFields: Object.freeze([...entry.requiredFields]),
+    create:         entry.create,
+  });
+  registry.set(registered.name, registered);
+  return registered;
+};
+
+const hasStrategy = (name) => registry.has(keyOf(name));
+
+const lookup = (name) => {
+  const entry = registry.get(keyOf(name));
+  if (!entry) throw new UnknownStrategyError(name, Array.from(registry.keys()));
+  return entry;
+};
+
+/** Metadata for one strategy (everything except create) */
+const describeStrategy = (name) => {
+  const { create, ...metadata } = lookup(name);
+  return metadata;
+};
+
+/** Metadata for every registered strategy, in registration order */
+const listStrategies = () => Array.from(registry.keys()).map(describeStrategy);
+
+/**
+ * New instance of a registered strategy
+ * @param {string} name
+ * @param {object} options - Passed to the strategy constructor (e.g. usePostLoanDTI)
+ * @throws {UnknownStrategyError}
+ */
+const createStrategy = (name, options = {}) => lookup(name).create(options);
+
+export {
+  createStrategy,
+  describeStrategy,
+  hasStrategy,
+  listStrategies,
+  registerStrategy,
+  UnknownStrategyError,
+  validateStrategyEntry
+};
@@ -5,6 +5,64 @@
 // are fully implemented to prevent any crashes.
 // ═══════════════════════════════════════════════════════════════
 
+import {
+  ELIGIBILITY_RULES,
+  EXPENSE_CATEGORIES,
+  INCOME_FREQUENCIES,
+  INCOME_SOURCE_TYPES,
+  LOAN_PRODUCTS,
+  MIN_LIVING_COST,
+} from '../config/lendingPolicy';
+import { calculateMonthlyInstallment } from './InstallmentCalculator';
+
+// Rate used to stress-test the new installment before a score (and
+// therefore a quoted rate) exists — top of the Egyptian personal-loan
+// band (CBE-based, 2024–2025).
+const ASSESSMENT_RATE = 35;
+
+// Credit facility types captured on the Financial Profile screen
+const CREDIT_FACILITY_TYPES = [
+  { value: 'personal-loan', label: 'Personal Loan' },
+  { value: 'car-loan',      label: 'Car Loan'      },
+  { value: 'credit-card',   label: 'Credit Card'   },
+  { value: 'bnpl',          label: 'BNPL Plan'     },
+];
+
+// Minimum monthly payment Egyptian card issuers charge on a revolving balance
+const CARD_MIN_PAYMENT_RATE = 0.05;
+
+const toAmount = (v) => {
+  const n = parseFloat(v);
+  return isNaN(n) || n < 0 ? 0 : n;
+};
+
+/** Normalise one income source record (Firestore / form values may be strings) */
+const normalizeIncomeSource = (src = {}) => ({
+  type:      INCOME_SOURCE_TYPES[src.type]     ? src.type      : 'salary',
+  amount:    toAmount(src.amount),
+  frequency: INCOME_FREQUENCIES[src.frequency] ? src.frequency : 'monthly',
+});
+
+/** Keep known expense categories only, as non-negative numbers */
+const normalizeExpenseCategories = (categories) => {
+  if (!categories || typeof categories !== 'object') return {};
+  return Object.keys(EXPENSE_CATEGORIES).reduce((acc, key) => {
+    const amount = toAmount(categories[key]);
+    if (amount > 0) acc[key] = amount;
+    return acc;
+  }, {});
+};
+
+/** Normalise one facility record (Firestore / form values may be strings) */
+const normalizeFacility = (f = {}) => ({
+  type:               CREDIT_FACILITY_TYPES.some(t => t.value === f.type) ? f.type : 'personal-loan',
+  outstandingBalance: toAmount(f.outstandingBalance),
+  monthlyInstallment: toAmount(f.monthlyInstallment),
+  annualRate:         toAmount(f.annualRate),
+  remainingMonths:    toAmount(f.remainingMonths),
+  creditLimit:        toAmount(f.creditLimit),
+});
+
 class UserFinancialProfile {
   constructor(data = {}) {
     this.monthlyIncome       = data.monthlyIncome       || 0;
@@ -14,45 +72,169 @@ class UserFinancialProfile {
     this.employmentType      = data.employmentType      || 'unemployed';
     this.employmentYears     = data.employmentYears     || 0;
     this.requestedLoanAmount = data.requestedLoanAmount || 0;
+    this.loanTermMonths      = data.loanTermMonths      || 60;
+    this.householdSize       = data.householdSize       || 1;
+    this.loanProduct         = LOAN_PRODUCTS[data.loanProduct] ? data.loanProduct : 'personal-loan';
+
+    // Categorized expenses — when present, monthlyExpenses becomes their total
+    this.expenseCategories = normalizeExpenseCategories(data.expenseCategories);
+    if (Object.keys(this.expenseCategories).length > 0) {
+      this.monthlyExpenses = Object.values(this.expenseCategories).reduce((sum, v) => sum + v, 0);
+    }
+
+    // Itemized income sources — when present, monthlyIncome becomes their
+    // raw monthly total; scoring uses the haircut bankable figure instead
+    this.incomeSources = Array.isArray(data.incomeSources)
+      ? data.incomeSources.map(normalizeIncomeSource).filter(src => src.amount > 0)
+      : [];
+    if (this.incomeSources.length > 0) {
+      this.monthlyIncome = this.incomeSources.reduce((sum, src) => sum + this.getIncomeSourceMonthlyAmount(src), 0);
+    }
+
+    // Itemized credit facilities — when present, they replace the lump
+    // existingDebts figure, which becomes the total outstanding balance
+    this.creditFacilities = Array.isArray(data.creditFacilities)
+      ? data.creditFacilities.map(normalizeFacility)
+      : [];
+    if (this.creditFacilities.length > 0) {
+      this.existingDebts = this.creditFacilities.reduce((sum, f) => sum + f.outstandingBalance, 0);
+    }
 
     // Aliases used by Aggressive strategy
     this.employmentStatus = this.employmentType;
     this.yearsAtJob       = this.employmentYears;
   }
 
+  // ── INCOME ─────────────────────────────────────────────────
+
+  /** Monthly equivalent of one income source (before haircut) */
+  getIncomeSourceMonthlyAmount(src) {
+    return src.amount / INCOME_FREQUENCIES[src.frequency].months;
+  }
+
+  /**
+   * Bankable monthly income — each source counted after its policy
+   * haircut (config/lendingPolicy.js). A single declared income with
+   * no itemized sources is treated as salary and counted in full.
+   */
+  getBankableIncome() {
+    if (this.incomeSources.length === 0) return this.monthlyIncome;
+    return this.incomeSources.reduce((sum, src) => {
+      const haircut = INCOME_SOURCE_TYPES[src.type].haircut;
+      return sum + this.getIncomeSourceMonthlyAmount(src) * (1 - haircut);
+    }, 0);
+  }
+
+  // ── LIVING EXPENSES ────────────────────────────────────────
+
+  /** Minimum plausible living cost for this household (config/lendingPolicy.js) */
+  getLivingCostBenchmark() {
+    const extraMembers = Math.max(Math.round(this.householdSize) - 1, 0);
+    return MIN_LIVING_COST.firstMember + extraMembers * MIN_LIVING_COST.additionalMember;
+  }
+
+  /**
+   * Expenses used for affordability — the declared total, or the
+   * household benchmark when the declared figure is implausibly low.
+   */
+  getAssessedExpenses() {
+    return Math.max(this.monthlyExpenses, this.getLivingCostBenchmark());
+  }
+
+  /** Amount added on top of declared expenses (0 when plausible) */
+  getExpenseAdjustment() {
+    return this.getAssessedExpenses() - this.monthlyExpenses;
+  }
+
+  // ── DEBT OBLIGATIONS ───────────────────────────────────────
+
+  /**
+   * Monthly repayment of one facility.
+   * Cards without a fixed installment pay the issuer minimum; loans without
+   * an installment are amortized from balance, rate and remaining months.
+   */
+  getFacilityMonthlyPayment(facility) {
+    if (facility.monthlyInstallment > 0) return facility.monthlyInstallment;
+    if (facility.type === 'credit-card')  return facility.outstandingBalance * CARD_MIN_PAYMENT_RATE;
+    if (facility.remainingMonths > 0) {
+      return calculateMonthlyInstallment(facility.outstandingBalance, facility.annualRate, facility.remainingMonths);
+    }
+    return 0;
+  }
+
+  /**
+   * Total monthly debt repayments (EGP).
+   * Falls back to the legacy lump total spread over 12 months.
+   */
+  getMonthlyDebtObligations() {
+    if (this.creditFacilities.length === 0) return this.existingDebts / 12;
+    return this.creditFacilities.reduce((sum, f) => sum + this.getFacilityMonthlyPayment(f), 0);
+  }
+
+  /**
+   * Credit card utilization % (card balances / card limits).
+   * Returns null when the applicant has no cards with a limit.
+   */
+  getCreditCardUtilization() {
+    const cards = this.creditFacilities.filter(f => f.type === 'credit-card' && f.creditLimit > 0);
+    if (cards.length === 0) return null;
+    const balance = cards.reduce((sum, f) => sum + f.outstandingBalance, 0);
+    const limit   = cards.reduce((sum, f) => sum + f.creditLimit, 0);
+    return Math.min((balance / limit) * 100, 100);
+  }
+
   // ── CORE CALCULATIONS ──────────────────────────────────────
 
-  /** DTI — Egyptian banks hard cap at 50% */
+  /** DTI (on bankable income) — Egyptian banks hard cap at 50% */
   calculateDTI() {
-    if (this.monthlyIncome === 0) return 100;
-    const monthlyDebt = this.monthlyExpenses + (this.existingDebts / 12);
-    return Math.min((monthlyDebt / this.monthlyIncome) * 100, 100);
+    const income = this.getBankableIncome();
+    if (income === 0) return 100;
+    const monthlyDebt = this.getAssessedExpenses() + this.getMonthlyDebtObligations();
+    return Math.min((monthlyDebt / income) * 100, 100);
+  }
+
+  /** Installment of the requested loan (EGP/month) */
+  calculateProposedInstallment(annualRate = ASSESSMENT_RATE, termMonths = this.loanTermMonths) {
+    return calculateMonthlyInstallment(this.requestedLoanAmount, annualRate, termMonths);
+  }
+
+  /**
+   * Post-loan DTI — current obligations PLUS the installment of the
+   * requested loan. The Egyptian 50% cap applies to this figure.
+   */
+  calculatePostLoanDTI(annualRate = ASSESSMENT_RATE, termMonths = this.loanTermMonths) {
+    const income = this.getBankableIncome();
+    if (income === 0) return 100;
+    const monthlyDebt = this.getAssessedExpenses() + this.getMonthlyDebtObligations()
+      + this.calculateProposedInstallment(annualRate, termMonths);
+    return Math.min((monthlyDebt / income) * 100, 100);
   }
 
   /** Monthly disposable income after all obligations */
   calculateDisposableIncome() {
-    const monthlyDebt = this.existingDebts / 12;
-    return Math.max(this.monthlyIncome - this.monthlyExpenses - monthlyDebt, 0);
+    const monthlyDebt = this.getMonthlyDebtObligations();
+    return Math.max(this.getBankableIncome() - this.getAssessedExpenses() - monthlyDebt, 0);
   }
 
-  /** Savings rate as % of monthly income */
+  /** Savings rate as % of bankable monthly income */
   calculateSavingsRate() {
-    if (this.monthlyIncome === 0) return 0;
-    return Math.max((this.calculateDisposableIncome() / this.monthlyIncome) * 100, 0);
+    const income = this.getBankableIncome();
+    if (income === 0) return 0;
+    return Math.max((this.calculateDisposableIncome() / income) * 100, 0);
   }
 
-  /** Requested loan / annual income */
+  /** Requested loan / annual bankable income */
   calculateLoanToIncomeRatio() {
-    const annual = this.monthlyIncome * 12;
+    const annual = this.getBankableIncome() * 12;
     if (annual === 0) return 0;
     return this.requestedLoanAmount / annual;
   }
 
   // ── REQUIRED ALIASES (used by Conservative + Standard strategies) ──
 
-  /** Annual income */
+  /** Annual bankable income */
   getTotalIncome() {
-    return this.monthlyIncome * 12;
+    return this.getBankableIncome() * 12;
   }
 
   /** DTI alias */
@@ -60,6 +242,11 @@ class UserFinancialProfile {
     return this.calculateDTI();
   }
 
+  /** Post-loan DTI alias */
+  getPostLoanDebtToIncomeRatio() {
+    return this.calculatePostLoanDTI();
+  }
+
   /** Annual disposable income */
   getDisposableIncome() {
     return this.calculateDisposableIncome() * 12;
@@ -116,19 +303,20 @@ class UserFinancialProfile {
   // ── EGYPTIAN HARD ELIGIBILITY CHECK ───────────────────────
 
   getEgyptianEligibilityIssues() {
+    const rules  = ELIGIBILITY_RULES;
     const issues = [];
-    if (this.age < 21)
-      issues.push('Must be at least 21 years old (Egyptian banking requirement)');
-    if (this.age > 65)
-      issues.push('Must be under 65 years old (Egyptian banking requirement)');
-    if (this.monthlyIncome < 10000)
-      issues.push(`Monthly income must be at least EGP 10,000 (yours: EGP ${this.monthlyIncome.toLocaleString()})`);
+    if (this.age < rules.minAge)
+      issues.push(`Must be at least ${rules.minAge} years old (Egyptian banking requirement)`);
+    if (this.age > rules.maxAge)
+      issues.push(`Must be under ${rules.maxAge} years old (Egyptian banking requirement)`);
+    if (this.getBankableIncome() < rules.minBankableIncome)
+      issues.push(`Bankable monthly income must be at least EGP ${rules.minBankableIncome.toLocaleString()} (yours: EGP ${Math.round(this.getBankableIncome()).toLocaleString()})`);
     if (this.employmentType === 'unemployed')
       issues.push('Must be employed to apply for a loan');
-    if (this.employmentYears < 0.5)
-      issues.push('Must have completed probation period (minimum 6 months)');
-    if (this.calculateDTI() > 50)
-      issues.push(`DTI of ${this.calculateDTI().toFixed(1)}% exceeds the Egyptian bank maximum of 50%`);
+    if (this.employmentYears < rules.minEmploymentYears)
+      issues.push(`Must have completed probation period (minimum ${Math.round(rules.minEmploymentYears * 12)} months)`);
+    if (this.calculatePostLoanDTI() > rules.maxPostLoanDti)
+      issues.push(`DTI after the new loan of ${this.calculatePostLoanDTI().toFixed(1)}% (at the ${ASSESSMENT_RATE}% stress-test rate) exceeds the Egyptian bank maximum of ${rules.maxPostLoanDti}%`);
     return issues;
   }
 
@@ -142,20 +330,43 @@ class UserFinancialProfile {
     if (this.age < 18)                 errors.push('Age must be at least 18');
     if (this.age > 100)                errors.push('Please enter a valid age');
     if (this.employmentYears < 0)      errors.push('Employment years cannot be negative');
+    if (this.householdSize < 1 || this.householdSize > 20)
+      errors.push('Household size must be between 1 and 20');
     if (this.requestedLoanAmount <= 0) errors.push('Requested loan amount must be greater than 0');
+    if (this.loanTermMonths < 6 || this.loanTermMonths > 84)
+      errors.push('Loan term must be between 6 and 84 months');
+    this.creditFacilities.forEach((f, i) => {
+      if (f.type === 'credit-card' && f.creditLimit <= 0)
+        errors.push(`Credit facility ${i + 1}: card limit must be greater than 0`);
+      if (f.type === 'credit-card' && f.outstandingBalance > f.creditLimit && f.creditLimit > 0)
+        errors.push(`Credit facility ${i + 1}: card balance cannot exceed its limit`);
+    });
     return { isValid: errors.length === 0, errors };
   }
 
   toJSON() {
     return {
       monthlyIncome:            this.monthlyIncome,
+      incomeSources:            this.incomeSources,
+      bankableIncome:           this.getBankableIncome(),
       monthlyExpenses:          this.monthlyExpenses,
+      expenseCategories:        this.expenseCategories,
+      householdSize:            this.householdSize,
+      livingCostBenchmark:      this.getLivingCostBenchmark(),
+      assessedExpenses:         this.getAssessedExpenses(),
       existingDebts:            this.existingDebts,
       age:                      this.age,
       employmentType:           this.employmentType,
       employmentYears:          this.employmentYears,
       requestedLoanAmount:      this.requestedLoanAmount,
+      loanTermMonths:           this.loanTermMonths,
+      loanProduct:              this.loanProduct,
+      creditFacilities:         this.creditFacilities,
+      monthlyDebtObligations:   this.getMonthlyDebtObligations(),
+      creditCardUtilization:    this.getCreditCardUtilization(),
       dti:                      this.calculateDTI(),
+      postLoanDti:              this.calculatePostLoanDTI(),
+      proposedInstallment:      this.calculateProposedInstallment(),
       disposableIncome:         this.calculateDisposableIncome(),
       savingsRate:              this.calculateSavingsRate(),
       loanToIncomeRatio:        this.calculateLoanToIncomeRatio(),
@@ -164,6 +375,30 @@ class UserFinancialProfile {
     };
   }
 
+  /**
+   * Copy of this profile with some inputs changed — used for
+   * what-if checks (e.g. ApprovalPathFinder). Itemized lists win over
+   * their totals, so override e.g. creditFacilities, not existingDebts.
+   */
+  clone(overrides = {}) {
+    return new UserFinancialProfile({
+      monthlyIncome:       this.monthlyIncome,
+      incomeSources:       this.incomeSources,
+      monthlyExpenses:     this.monthlyExpenses,
+      expenseCategories:   this.expenseCategories,
+      householdSize:       this.householdSize,
+      existingDebts:       this.existingDebts,
+      creditFacilities:    this.creditFacilities,
+      age:                 this.age,
+      employmentType:      this.employmentType,
+      employmentYears:     this.employmentYears,
+      requestedLoanAmount: this.requestedLoanAmount,
+      loanTermMonths:      this.loanTermMonths,
+      loanProduct:         this.loanProduct,
+      ...overrides,
+    });
+  }
+
   getFinancialHealthSummary() {
     const dti = this.calculateDTI();
     const sr  = this.calculateSavingsRate();
@@ -174,4 +409,5 @@ class UserFinancialProfile {
   }
 }
 
+export { ASSESSMENT_RATE, CREDIT_FACILITY_TYPES };
 export default UserFinancialProfile;
\ No newline at end of file
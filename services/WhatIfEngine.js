@@ -0,0 +1,223 @@
+// app/services/WhatIfEngine.js
+// ═══════════════════════════════════════════════════════════════
+// WHAT-IF ENGINE — Follow-up questions answered by the rules
+// Recognises the changes applicants ask about ("what if I pay off
+// my car loan?", "what if I borrow 150k over 5 years?"), applies
+// them to a copy of the profile and re-runs LoanDecisionService
+// with AI off, so the advisor quotes computed figures instead of
+// letting the model guess. Recognised changes:
+//   pay off a facility type, or all debt    borrow EGP N
+//   "over / term of N months / years"       N years at the job
+//   income to / by EGP N                    expenses to / by EGP N
+// ═══════════════════════════════════════════════════════════════
+
+import { LOAN_TERMS } from '../config/lendingPolicy';
+import { CREDIT_FACILITY_TYPES } from './UserFinancialProfile';
+
+const formatEGP = (n) => `EGP ${Math.round(n).toLocaleString()}`;
+
+// "150,000", "150k", "1.5m", "EGP 150000"
+const AMOUNT = String.raw`(?:egp\s*)?(\d[\d,]*(?:\.\d+)?)\s*(k|m|thousand|million)?\b`;
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6 };
+
+const toAmount = (digits, unit) =>
+  parseFloat(digits.replace(/,/g, '')) * (MULTIPLIERS[unit] || 1);
+
+const PAY_OFF = /\b(pay(?:ing)?\s*(?:off|back|down)|clear(?:ing)?|settl(?:e|ing)|clos(?:e|ing))\b/;
+
+// Words that name each facility type in a question
+const FACILITY_WORDS = {
+  'car-loan':      /\b(car|auto)\s*loans?\b/,
+  'credit-card':   /\bcredit\s*cards?\b|\bcards?\b/,
+  'personal-loan': /\bpersonal\s*loans?\b/,
+  'bnpl':          /\bbnpl\b|buy now,? pay later|installment plans?/,
+};
+
+const facilityLabel = (type) => CREDIT_FACILITY_TYPES.find(t => t.value === type)?.label || 'Facility';
+
+// Rounded like the figures sent to the AI (services/AiRedaction.js)
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+// Labels reach the model — amounts taken from the profile are rounded
+const approxEGP = (n, step = 1000) => `about ${formatEGP(roundTo(n, step))}`;
+
+// ── Parsing ────────────────────────────────────────────────────
+// Each parser reads the lower-cased question and returns
+// { label, overrides } for UserFinancialProfile.clone(), a note
+// when the change cannot apply to this profile, or null.
+
+const parseDebtPayoff = (q, profile) => {
+  if (!PAY_OFF.test(q)) return null;
+
+  if (/\ball\b.*\b(debts?|loans?)\b|\beverything\b/.test(q)) {
+    if (profile.existingDebts <= 0) return { note: 'There is no existing debt on your profile.' };
+    return {
+      label:     `Pay off all existing debt (${approxEGP(profile.existingDebts)})`,
+      overrides: { creditFacilities: [], existingDebts: 0 },
+    };
+  }
+
+  const type = Object.keys(FACILITY_WORDS).find(t => FACILITY_WORDS[t].test(q));
+  if (type) {
+    const cleared = profile.creditFacilities.filter(f => f.type === type);
+    if (cleared.length === 0) return { note: `There is no ${facilityLabel(type)} on your profile.` };
+    const remaining = profile.creditFacilities.filter(f => f.type !== type);
+    const total = cleared.reduce((sum, f) => sum + f.outstandingBalance, 0);
+    return {
+      label:     `Pay off your ${facilityLabel(type)} (${approxEGP(total)})`,
+      // No facilities left → the lump figure must go too
+      overrides: { creditFacilities: remaining, ...(remaining.length === 0 ? { existingDebts: 0 } : {}) },
+    };
+  }
+
+  // Part of a lump debt total: "pay down 20k of my debt"
+  const partial = new RegExp(`${AMOUNT}\\s*(?:of|off)\\b`).exec(q)
+    || new RegExp(`(?:off|down)\\s*${AMOUNT}`).exec(q);
+  if (partial && /\bdebts?\b/.test(q)) {
+    if (profile.creditFacilities.length > 0) {
+      return { note: 'Your debts are itemized — ask about paying off one of them, e.g. "what if I pay off my car loan?".' };
+    }
+    const amount = Math.min(toAmount(partial[1], partial[2]), profile.existingDebts);
+    return {
+      label:     amount < profile.existingDebts
+        ? `Pay ${formatEGP(amount)} off your existing debt`
+        : `Pay off all existing debt (${approxEGP(amount)})`,
+      overrides: { existingDebts: profile.existingDebts - amount },
+    };
+  }
+  if (/\bdebts?\b/.test(q) && profile.existingDebts > 0) {
+    return {
+      label:     `Pay off all existing debt (${approxEGP(profile.existingDebts)})`,
+      overrides: { creditFacilities: [], existingDebts: 0 },
+    };
+  }
+  return null;
+};
+
+const parseLoanAmount = (q) => {
+  const match = new RegExp(
+    String.raw`\b(?:borrow(?:ing)?|loan\s*(?:of|amount\s*(?:of|to)?)|ask(?:ing)?\s*for|request(?:ing)?|apply(?:ing)?\s*for)\s*(?:only\s*|just\s*)?${AMOUNT}`,
+  ).exec(q);
+  if (!match) return null;
+  const amount = toAmount(match[1], match[2]);
+  return { label: `Borrow ${formatEGP(amount)}`, overrides: { requestedLoanAmount: amount } };
+};
+
+const parseEmploymentYears = (q) => {
+  const match = /(\d+(?:\.\d+)?)\s*years?\s*(?:at|in|with)\s*(?:my|the|this)?\s*(?:job|employer|company|work)/.exec(q);
+  if (!match) return null;
+  const years = parseFloat(match[1]);
+  return { label: `${years} years at your current job`, overrides: { employmentYears: years } };
+};
+
+// "5 years", "48 months", "5-year"
+const DURATION = String.raw`(\d+(?:\.\d+)?)\s*-?\s*(months?|years?)\b`;
+
+// A duration is a term only after a loan word — "35 years old" or
+// "pay off my car loan in 3 months" are not
+const TERM_PATTERNS = [
+  new RegExp(String.raw`\b(?:over|across)\s*${DURATION}`),
+  new RegExp(String.raw`\bterm\s*(?:of|to)?\s*${DURATION}`),
+  new RegExp(String.raw`${DURATION}\s*(?:term|loan)\b`),
+  new RegExp(String.raw`\b(?:borrow(?:ing)?|loan|repay(?:ing)?|pay(?:ing)?\s*(?:it\s*)?back)\b[^.?!]*?\bfor\s*${DURATION}`),
+];
+
+const parseTerm = (q) => {
+  // Years at a job are tenure, not a loan term
+  const text  = q.replace(/(\d+(?:\.\d+)?)\s*years?\s*(?:at|in|with)\s*(?:my|the|this)?\s*(?:job|employer|company|work)/, '');
+  const match = TERM_PATTERNS.map(p => p.exec(text)).find(Boolean);
+  if (!match) return null;
+  const months = Math.round(parseFloat(match[1]) * (match[2].startsWith('year') ? 12 : 1));
+  if (months < LOAN_TERMS.minTermMonths || months > LOAN_TERMS.maxTermMonths) {
+    return { note: `A ${months}-month term is outside the ${LOAN_TERMS.minTermMonths}–${LOAN_TERMS.maxTermMonths} months offered.` };
+  }
+  return { label: `A ${months}-month term`, overrides: { loanTermMonths: months } };
+};
+
+const parseIncome = (q, profile) => {
+  const match = new RegExp(String.raw`\b(?:income|salary|earn(?:ed|ing)?|make|made)\b[^\d]*?\b(by|to|of)?\s*${AMOUNT}`).exec(q);
+  if (!match) return null;
+  const amount = toAmount(match[2], match[3]);
+  if (match[1] === 'by' || /\b(extra|additional|more)\b/.test(q)) {
+    return {
+      label:     `${formatEGP(amount)} more monthly income`,
+      // Itemized income: the rise is counted as salary
+      overrides: profile.incomeSources.length > 0
+        ? { incomeSources: [...profile.incomeSources, { type: 'salary', amount, frequency: 'monthly' }] }
+        : { monthlyIncome: profile.monthlyIncome + amount },
+    };
+  }
+  return { label: `Monthly income of ${formatEGP(amount)}`, overrides: { monthlyIncome: amount, incomeSources: [] } };
+};
+
+const parseExpenses = (q, profile) => {
+  const match = new RegExp(String.raw`\b(?:expenses?|spending|spend)\b[^\d]*?\b(by|to|of)?\s*${AMOUNT}`).exec(q);
+  if (!match) return null;
+  const amount = toAmount(match[2], match[3]);
+  let target = amount;
+  if (match[1] === 'by') {
+    const lower = /\b(cut|reduce|lower|less|decrease|save)\b/.test(q);
+    target = Math.max(profile.monthlyExpenses + (lower ? -amount : amount), 0);
+  }
+  const label = match[1] === 'by' ? `Monthly expenses of ${approxEGP(target, 500)}` : `Monthly expenses of ${formatEGP(target)}`;
+  return { label, overrides: { monthlyExpenses: target, expenseCategories: {} } };
+};
+
+const PARSERS = [parseDebtPayoff, parseLoanAmount, parseEmploymentYears, parseTerm, parseIncome, parseExpenses];
+
+/**
+ * The changes a question asks about
+ * @param {string} question
+ * @param {UserFinancialProfile} profile
+ * @returns {object|null} - { label, overrides, notes[] }; null when no change is recognised
+ */
+const parseWhatIf = (question, profile) => {
+  const q = String(question || '').toLowerCase();
+  const found = PARSERS.map(parse => parse(q, profile)).filter(Boolean);
+  if (found.length === 0) return null;
+
+  const changes = found.filter(f => f.overrides);
+  return {
+    label:     changes.map(c => c.label).join(' · '),
+    overrides: Object.assign({}, ...changes.map(c => c.overrides)),
+    notes:     found.filter(f => f.note).map(f => f.note),
+  };
+};
+
+// ── Running ────────────────────────────────────────────────────
+
+/** The figures a what-if compares, rounded like the AI payload */
+const summarizeOutcome = (decision, profile) => ({
+  approved:            decision.approved === true,
+  score:               decision.score,
+  requestedLoanAmount: roundTo(profile.requestedLoanAmount, 1000),
+  loanTermMonths:      profile.loanTermMonths,
+  postLoanDti:         roundTo(decision.postLoanDTI ?? profile.calculatePostLoanDTI(), 0.5),
+  maxLoanAmount:       roundTo(decision.maxLoanAmount || 0, 1000),
+  monthlyInstallment:  roundTo(decision.loanOffer?.monthlyInstallment || 0, 100),
+});
+
+/**
+ * Re-run the decision with the scenario applied — rules only, so
+ * before and after are scored the same way
+ * @param {UserFinancialProfile} profile
+ * @param {object} scenario - parseWhatIf() result
+ * @param {LoanDecisionService} decisionService
+ * @returns {Promise<object|null>} - { scenario, before, after }; null when nothing changes
+ */
+const runWhatIf = async (profile, scenario, decisionService) => {
+  if (!scenario || Object.keys(scenario.overrides).length === 0) return null;
+  const changed = profile.clone(scenario.overrides);
+  // One after the other — makeDecision sets the calculator's strategy per profile
+  const before  = await decisionService.makeDecision(profile, { aiEnabled: false });
+  const after   = await decisionService.makeDecision(changed, { aiEnabled: false });
+  return {
+    scenario: scenario.label,
+    before:   summarizeOutcome(before, profile),
+    after:    summarizeOutcome(after, changed),
+  };
+};
+
+export { parseWhatIf, runWhatIf };
+
+export default { parseWhatIf, runWhatIf };
@@ -0,0 +1,24 @@
+// utils/hash.js
+// ═══════════════════════════════════════════════════════════════
+// HASHING — Short, stable fingerprints of text
+// Pure JS (cyrb53), so it runs in Expo Go without native crypto.
+// Not for secrets — only to tell inputs apart.
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * 53-bit hash of a string
+ * @param {string} str
+ * @param {number} seed
+ * @returns {string} - 14 hex characters
+ */
+export const hash53 = (str, seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed, h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+};